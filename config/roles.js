@@ -0,0 +1,25 @@
+// Canonical user roles. These values are stored in users.role and used for every role check.
+const ROLES = Object.freeze({
+  SYSTEM_ADMIN: 'SYSTEM_ADMIN',
+  NORMAL_USER: 'NORMAL_USER',
+  STORE_OWNER: 'STORE_OWNER'
+});
+
+const ROLE_VALUES = Object.freeze(Object.values(ROLES));
+
+// Map any casing of a role name (e.g. 'store_owner') to its canonical value
+const normalizeRole = (role) => {
+  return typeof role === 'string' ? role.trim().toUpperCase() : role;
+};
+
+// Check whether a value is a known role (in any casing)
+const isValidRole = (role) => {
+  return ROLE_VALUES.includes(normalizeRole(role));
+};
+
+module.exports = {
+  ROLES,
+  ROLE_VALUES,
+  normalizeRole,
+  isValidRole
+};
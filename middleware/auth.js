@@ -1,5 +1,6 @@
 const jwt = require('jsonwebtoken');
 const { pool } = require('../config/database');
+const { ROLES } = require('../config/roles');
 
 // Verify JWT token
 const authenticateToken = async (req, res, next) => {
@@ -12,18 +13,31 @@ const authenticateToken = async (req, res, next) => {
     }
 
     const decoded = jwt.verify(token, process.env.JWT_SECRET);
+
+    // Purpose-bound tokens (email verification etc.) are not access tokens
+    if (decoded.purpose) {
+      return res.status(401).json({ message: 'Invalid token' });
+    }
     
-    // Get user details from database
+    // Get user details from database, checking the token against the last session revocation
     const userResult = await pool.query(
-      'SELECT id, name, email, role FROM users WHERE id = $1',
-      [decoded.userId]
+      `SELECT id, name, email, role, email_verified_at, totp_enabled_at,
+              date_trunc('second', tokens_valid_after) > to_timestamp($2)::timestamp as token_revoked
+       FROM users WHERE id = $1 AND deleted_at IS NULL`,
+      [decoded.userId, decoded.iat]
     );
 
     if (userResult.rows.length === 0) {
       return res.status(401).json({ message: 'Invalid token - user not found' });
     }
 
-    req.user = userResult.rows[0];
+    const { token_revoked, ...user } = userResult.rows[0];
+
+    if (token_revoked) {
+      return res.status(401).json({ message: 'Token revoked' });
+    }
+
+    req.user = user;
     next();
   } catch (error) {
     if (error.name === 'JsonWebTokenError') {
@@ -44,7 +58,7 @@ const authorizeRoles = (...roles) => {
       return res.status(401).json({ message: 'Authentication required' });
     }
 
-    if (!roles.map(r => r.toLowerCase()).includes(req.user.role.toLowerCase())) {
+    if (!roles.includes(req.user.role)) {
       return res.status(403).json({ 
         message: 'Access denied. Insufficient permissions.' 
       });
@@ -54,39 +68,70 @@ const authorizeRoles = (...roles) => {
   };
 };
 
+// Refuse admin actions until the admin has enrolled in 2FA when REQUIRE_ADMIN_2FA is enabled
+const requireAdminTwoFactor = (req, res, next) => {
+  if (process.env.REQUIRE_ADMIN_2FA !== 'true') {
+    return next();
+  }
+
+  if (req.user.role === ROLES.SYSTEM_ADMIN && !req.user.totp_enabled_at) {
+    return res.status(403).json({ 
+      message: 'Two-factor authentication must be enabled for administrator accounts.',
+      twoFactorSetupRequired: true
+    });
+  }
+
+  next();
+};
+
 // Check if user is system admin
-const requireAdmin = authorizeRoles('SYSTEM_ADMIN');
+const requireAdmin = [authorizeRoles(ROLES.SYSTEM_ADMIN), requireAdminTwoFactor];
 
 // Check if user is store owner
-const requireStoreOwner = authorizeRoles('STORE_OWNER');
+const requireStoreOwner = authorizeRoles(ROLES.STORE_OWNER);
 
 // Check if user is normal user
-const requireNormalUser = authorizeRoles('NORMAL_USER');
+const requireNormalUser = authorizeRoles(ROLES.NORMAL_USER);
 
 // Check if user is admin or store owner
-const requireAdminOrStoreOwner = authorizeRoles('SYSTEM_ADMIN', 'STORE_OWNER');
+const requireAdminOrStoreOwner = authorizeRoles(ROLES.SYSTEM_ADMIN, ROLES.STORE_OWNER);
 
 // Check if user is admin or normal user
-const requireAdminOrNormalUser = authorizeRoles('SYSTEM_ADMIN', 'NORMAL_USER');
+const requireAdminOrNormalUser = authorizeRoles(ROLES.SYSTEM_ADMIN, ROLES.NORMAL_USER);
+
+// Refuse accounts with an unverified email when REQUIRE_EMAIL_VERIFICATION is enabled
+const requireVerifiedEmail = (req, res, next) => {
+  if (process.env.REQUIRE_EMAIL_VERIFICATION !== 'true') {
+    return next();
+  }
+
+  if (!req.user.email_verified_at) {
+    return res.status(403).json({ 
+      message: 'Please verify your email address before continuing.' 
+    });
+  }
+
+  next();
+};
 
 // Middleware to check if store owner is accessing their own store
 const checkStoreOwnership = async (req, res, next) => {
   try {
-    const storeId = req.params.storeId || req.body.storeId;
+    const storeId = req.params.storeId || req.params.id || req.body.storeId;
     
     if (!storeId) {
       return res.status(400).json({ message: 'Store ID required' });
     }
 
     // If user is admin, allow access
-    if (req.user.role === 'SYSTEM_ADMIN') {
+    if (req.user.role === ROLES.SYSTEM_ADMIN) {
       return next();
     }
 
     // If user is store owner, check if they own the store
-    if (req.user.role === 'STORE_OWNER') {
+    if (req.user.role === ROLES.STORE_OWNER) {
       const storeResult = await pool.query(
-        'SELECT owner_id FROM stores WHERE id = $1',
+        'SELECT owner_id FROM stores WHERE id = $1 AND deleted_at IS NULL',
         [storeId]
       );
 
@@ -99,9 +144,12 @@ const checkStoreOwnership = async (req, res, next) => {
           message: 'Access denied. You can only access your own store.' 
         });
       }
+
+      return next();
     }
 
-    next();
+    // Any other role has no access to store-owner data
+    return res.status(403).json({ message: 'Access denied. Insufficient permissions.' });
   } catch (error) {
     console.error('Store ownership check error:', error);
     return res.status(500).json({ message: 'Server error during authorization' });
@@ -116,5 +164,7 @@ module.exports = {
   requireNormalUser,
   requireAdminOrStoreOwner,
   requireAdminOrNormalUser,
+  requireVerifiedEmail,
+  requireAdminTwoFactor,
   checkStoreOwnership
 };
\ No newline at end of file
@@ -0,0 +1,35 @@
+const { parseMultipart, MultipartError } = require('../utils/multipart');
+const { maxPhotosPerRating, maxPhotoBytes } = require('../utils/ratingPhotos');
+
+// Room for the multipart framing around each file
+const PART_OVERHEAD_BYTES = 16 * 1024;
+
+// Parse a multipart photo upload into req.files (files of the "photos" field) and req.body
+const uploadPhotos = async (req, res, next) => {
+  try {
+    const maxFiles = maxPhotosPerRating();
+    const { fields, files } = await parseMultipart(req, {
+      maxBodySize: maxFiles * (maxPhotoBytes() + PART_OVERHEAD_BYTES),
+      maxFiles
+    });
+
+    req.body = fields;
+    req.files = files.filter(file => file.fieldName === 'photos');
+
+    if (req.files.length === 0) {
+      return res.status(400).json({ message: 'No photos uploaded (use the "photos" field)' });
+    }
+
+    next();
+  } catch (error) {
+    if (error instanceof MultipartError) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    console.error('Photo upload error:', error);
+    res.status(500).json({ message: 'Server error during upload' });
+  }
+};
+
+module.exports = {
+  uploadPhotos
+};
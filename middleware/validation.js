@@ -1,4 +1,11 @@
-const { body, validationResult } = require('express-validator');
+const { body, query, validationResult } = require('express-validator');
+const { ROLE_VALUES, normalizeRole } = require('../config/roles');
+const { REPORT_REASONS } = require('../utils/ratingQueries');
+const { FILTER_ACTIONS, MAX_COMMENT_LENGTH, isKnownRuleType, getRuleTypes } = require('../utils/contentFilter');
+const { checkDimensionScores } = require('../utils/ratingDimensions');
+const { EXPORT_FORMATS } = require('../utils/exporter');
+const { ANALYTICS_GRANULARITIES } = require('../utils/ratingAnalytics');
+const { SEARCH_TYPES } = require('../utils/search');
 
 // Handle validation errors
 const handleValidationErrors = (req, res, next) => {
@@ -58,6 +65,130 @@ const validateUserLogin = [
   handleValidationErrors
 ];
 
+// Refresh token validation
+const validateRefreshToken = [
+  body('refreshToken')
+    .isString()
+    .withMessage('Refresh token must be a string')
+    .notEmpty()
+    .withMessage('Refresh token is required'),
+  
+  handleValidationErrors
+];
+
+// Email verification validation
+const validateEmailVerification = [
+  body('token')
+    .isString()
+    .withMessage('Verification token must be a string')
+    .notEmpty()
+    .withMessage('Verification token is required'),
+  
+  handleValidationErrors
+];
+
+// Second factor: either a 6-digit TOTP code or a recovery code
+const secondFactorRules = () => [
+  body('code')
+    .optional()
+    .matches(/^\d{6}$/)
+    .withMessage('Authentication code must be 6 digits'),
+  
+  body('recoveryCode')
+    .optional()
+    .isString()
+    .withMessage('Recovery code must be a string'),
+  
+  body()
+    .custom((value) => {
+      if (!value.code && !value.recoveryCode) {
+        throw new Error('Authentication code or recovery code is required');
+      }
+      return true;
+    })
+];
+
+// TOTP code validation (enrollment)
+const validateTwoFactorCode = [
+  body('code')
+    .matches(/^\d{6}$/)
+    .withMessage('Authentication code must be 6 digits'),
+  
+  handleValidationErrors
+];
+
+// Second login step validation
+const validateTwoFactorLogin = [
+  body('challengeToken')
+    .isString()
+    .withMessage('Challenge token must be a string')
+    .notEmpty()
+    .withMessage('Challenge token is required'),
+  
+  ...secondFactorRules(),
+  
+  handleValidationErrors
+];
+
+// Disabling 2FA validation
+const validateTwoFactorDisable = [
+  body('password')
+    .notEmpty()
+    .withMessage('Password is required'),
+  
+  ...secondFactorRules(),
+  
+  handleValidationErrors
+];
+
+// Category and tag rules shared by store creation and update
+const storeClassificationRules = () => [
+  body('categoryId')
+    .optional({ values: 'null' })
+    .isInt({ min: 1 })
+    .withMessage('Category ID must be a positive integer')
+    .toInt(),
+  
+  body('tags')
+    .optional()
+    .isArray({ max: 20 })
+    .withMessage('Tags must be an array of at most 20 items'),
+  
+  body('tags.*')
+    .isString()
+    .withMessage('Each tag must be a string')
+    .trim()
+    .isLength({ min: 1, max: 30 })
+    .withMessage('Each tag must be between 1 and 30 characters')
+    .escape()
+];
+
+// Coordinate rules shared by store creation and update. Latitude and longitude go together.
+const storeLocationRules = () => [
+  body('latitude')
+    .optional({ values: 'null' })
+    .isFloat({ min: -90, max: 90 })
+    .withMessage('Latitude must be between -90 and 90')
+    .toFloat(),
+  
+  body('longitude')
+    .optional({ values: 'null' })
+    .isFloat({ min: -180, max: 180 })
+    .withMessage('Longitude must be between -180 and 180')
+    .toFloat(),
+  
+  body('latitude')
+    .custom((value, { req }) => {
+      if ((value === undefined) !== (req.body.longitude === undefined)) {
+        throw new Error('Latitude and longitude must be provided together');
+      }
+      if ((value === null) !== (req.body.longitude === null)) {
+        throw new Error('Latitude and longitude must be cleared together');
+      }
+      return true;
+    })
+];
+
 // Store creation validation
 const validateStoreCreation = [
   body('name')
@@ -85,6 +216,10 @@ const validateStoreCreation = [
     .isInt({ min: 1 })
     .withMessage('Owner ID must be a positive integer'),
   
+  ...storeClassificationRules(),
+  
+  ...storeLocationRules(),
+  
   handleValidationErrors
 ];
 
@@ -98,15 +233,216 @@ const validateRating = [
     .isInt({ min: 1 })
     .withMessage('Store ID must be a positive integer'),
   
+  body('comment')
+    .optional({ values: 'null' })
+    .isString()
+    .withMessage('Comment must be a string')
+    .isLength({ max: MAX_COMMENT_LENGTH })
+    .withMessage(`Comment must not exceed ${MAX_COMMENT_LENGTH} characters`),
+  
+  // Per-dimension scores ({ "service": 4, ... }) must match the dimensions configured for the store.
+  // On update, leaving them out keeps the stored scores.
+  body('dimensions')
+    .custom(async (value, { req }) => {
+      if (value === undefined && req.method !== 'POST') {
+        return true;
+      }
+      if (value !== undefined && (typeof value !== 'object' || value === null || Array.isArray(value))) {
+        throw new Error('Dimensions must be an object of dimension scores');
+      }
+      
+      const storeId = req.params.storeId || req.body.storeId;
+      if (!/^\d+$/.test(String(storeId))) {
+        return true;
+      }
+      
+      const error = await checkDimensionScores(storeId, value || {});
+      if (error) {
+        throw new Error(error);
+      }
+      return true;
+    }),
+  
   handleValidationErrors
 ];
 
-// Password update validation
-const validatePasswordUpdate = [
-  body('currentPassword')
-    .notEmpty()
-    .withMessage('Current password is required'),
+// Owner reply validation
+const validateRatingReply = [
+  body('reply')
+    .isString()
+    .withMessage('Reply must be a string')
+    .trim()
+    .isLength({ min: 1, max: 1000 })
+    .withMessage('Reply must be between 1 and 1000 characters')
+    .escape(),
+  
+  handleValidationErrors
+];
+
+// Review report validation
+const validateRatingReport = [
+  body('reason')
+    .isIn(REPORT_REASONS)
+    .withMessage(`Reason must be one of: ${REPORT_REASONS.join(', ')}`),
+  
+  body('details')
+    .optional()
+    .isString()
+    .withMessage('Details must be a string')
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Details must not exceed 500 characters')
+    .escape(),
+  
+  handleValidationErrors
+];
+
+// Helpfulness vote validation
+const validateRatingVote = [
+  body('helpful')
+    .isBoolean({ strict: true })
+    .withMessage('Helpful must be true or false'),
   
+  handleValidationErrors
+];
+
+// Moderation action validation (for admin)
+const validateModerationAction = [
+  body('reason')
+    .optional()
+    .isString()
+    .withMessage('Reason must be a string')
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Reason must not exceed 500 characters')
+    .escape(),
+  
+  handleValidationErrors
+];
+
+// Content filter rule fields; on update every field is optional
+const filterRuleRules = (optional) => {
+  const field = (name) => optional ? body(name).optional() : body(name);
+  
+  return [
+    field('name')
+      .isString()
+      .withMessage('Rule name must be a string')
+      .trim()
+      .isLength({ min: 2, max: 60 })
+      .withMessage('Rule name must be between 2 and 60 characters')
+      .escape(),
+    
+    field('type')
+      .custom(isKnownRuleType)
+      .withMessage(() => `Rule type must be one of: ${getRuleTypes().join(', ')}`),
+    
+    field('action')
+      .isIn(FILTER_ACTIONS)
+      .withMessage(`Rule action must be one of: ${FILTER_ACTIONS.join(', ')}`),
+    
+    body('config')
+      .optional()
+      .isObject()
+      .withMessage('Rule config must be an object'),
+    
+    body('enabled')
+      .optional()
+      .isBoolean({ strict: true })
+      .withMessage('Enabled must be true or false'),
+    
+    body('position')
+      .optional()
+      .isInt({ min: 0 })
+      .withMessage('Position must be a non-negative integer')
+      .toInt()
+  ];
+};
+
+// Content filter rule creation validation (for admin)
+const validateFilterRuleCreation = [
+  ...filterRuleRules(false),
+  
+  handleValidationErrors
+];
+
+// Content filter rule update validation (for admin)
+const validateFilterRuleUpdate = [
+  ...filterRuleRules(true),
+  
+  handleValidationErrors
+];
+
+// Rating dimension fields; on update every field is optional
+const ratingDimensionRules = (optional) => {
+  const field = (name) => optional ? body(name).optional() : body(name);
+  
+  return [
+    field('key')
+      .isString()
+      .withMessage('Dimension key must be a string')
+      .trim()
+      .toLowerCase()
+      .matches(/^[a-z][a-z0-9_]{1,29}$/)
+      .withMessage('Dimension key must be 2-30 lowercase letters, digits or underscores, starting with a letter'),
+    
+    field('name')
+      .isString()
+      .withMessage('Dimension name must be a string')
+      .trim()
+      .isLength({ min: 2, max: 60 })
+      .withMessage('Dimension name must be between 2 and 60 characters')
+      .escape(),
+    
+    body('categoryId')
+      .optional({ values: 'null' })
+      .isInt({ min: 1 })
+      .withMessage('Category ID must be a positive integer')
+      .toInt(),
+    
+    body('required')
+      .optional()
+      .isBoolean({ strict: true })
+      .withMessage('Required must be true or false'),
+    
+    body('active')
+      .optional()
+      .isBoolean({ strict: true })
+      .withMessage('Active must be true or false'),
+    
+    body('position')
+      .optional()
+      .isInt({ min: 0 })
+      .withMessage('Position must be a non-negative integer')
+      .toInt()
+  ];
+};
+
+// Rating dimension creation validation (for admin)
+const validateRatingDimensionCreation = [
+  ...ratingDimensionRules(false),
+  
+  handleValidationErrors
+];
+
+// Rating dimension update validation (for admin)
+const validateRatingDimensionUpdate = [
+  ...ratingDimensionRules(true),
+  
+  handleValidationErrors
+];
+
+// Content filter dry run validation (for admin)
+const validateFilterTest = [
+  body('comment')
+    .isString()
+    .withMessage('Comment must be a string'),
+  
+  handleValidationErrors
+];
+
+// New password rules shared by password update and reset
+const newPasswordRules = () => [
   body('newPassword')
     .isLength({ min: 8, max: 16 })
     .withMessage('New password must be between 8 and 16 characters')
@@ -119,7 +455,40 @@ const validatePasswordUpdate = [
         throw new Error('Password confirmation does not match new password');
       }
       return true;
-    }),
+    })
+];
+
+// Password update validation
+const validatePasswordUpdate = [
+  body('currentPassword')
+    .notEmpty()
+    .withMessage('Current password is required'),
+  
+  ...newPasswordRules(),
+  
+  handleValidationErrors
+];
+
+// Forgot password validation
+const validateForgotPassword = [
+  body('email')
+    .isEmail()
+    .withMessage('Please provide a valid email address')
+    .normalizeEmail()
+    .toLowerCase(),
+  
+  handleValidationErrors
+];
+
+// Password reset validation
+const validatePasswordReset = [
+  body('token')
+    .isString()
+    .withMessage('Reset token must be a string')
+    .notEmpty()
+    .withMessage('Reset token is required'),
+  
+  ...newPasswordRules(),
   
   handleValidationErrors
 ];
@@ -149,8 +518,9 @@ const validateUserUpdate = [
   
   body('role')
     .optional()
-    .isIn(['SYSTEM_ADMIN', 'NORMAL_USER', 'STORE_OWNER'])
-    .withMessage('Role must be one of: SYSTEM_ADMIN, NORMAL_USER, STORE_OWNER'),
+    .customSanitizer(normalizeRole)
+    .isIn(ROLE_VALUES)
+    .withMessage(`Role must be one of: ${ROLE_VALUES.join(', ')}`),
   
   handleValidationErrors
 ];
@@ -178,6 +548,44 @@ const validateStoreUpdate = [
     .trim()
     .escape(),
   
+  ...storeClassificationRules(),
+  
+  ...storeLocationRules(),
+  
+  handleValidationErrors
+];
+
+// Nearby store search validation
+const validateNearbySearch = [
+  query('lat')
+    .isFloat({ min: -90, max: 90 })
+    .withMessage('lat must be a latitude between -90 and 90')
+    .toFloat(),
+  
+  query('lng')
+    .isFloat({ min: -180, max: 180 })
+    .withMessage('lng must be a longitude between -180 and 180')
+    .toFloat(),
+  
+  query('radius')
+    .optional()
+    .isFloat({ gt: 0, max: 500 })
+    .withMessage('radius must be greater than 0 and at most 500 km')
+    .toFloat(),
+  
+  handleValidationErrors
+];
+
+// Category validation (for admin)
+const validateCategory = [
+  body('name')
+    .isString()
+    .withMessage('Category name must be a string')
+    .trim()
+    .isLength({ min: 2, max: 60 })
+    .withMessage('Category name must be between 2 and 60 characters')
+    .escape(),
+  
   handleValidationErrors
 ];
 
@@ -198,14 +606,217 @@ const validateSearch = [
   handleValidationErrors
 ];
 
+// Audit log filters (for admin)
+const validateAuditLogQuery = [
+  query('actorId')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('actorId must be a positive integer'),
+  
+  query('entityType')
+    .optional()
+    .matches(/^[a-z_]{1,30}$/)
+    .withMessage('entityType must be an entity name such as user or store'),
+  
+  query('entityId')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('entityId must be a positive integer'),
+  
+  query('action')
+    .optional()
+    .matches(/^[a-z0-9_.]{1,50}$/)
+    .withMessage('action must be an action name such as user.update'),
+  
+  query(['dateFrom', 'dateTo'])
+    .optional()
+    .isDate({ format: 'YYYY-MM-DD', strictMode: true })
+    .withMessage('Dates must use the YYYY-MM-DD format'),
+  
+  query('format')
+    .optional()
+    .isIn(['json', 'csv'])
+    .withMessage('format must be json or csv'),
+  
+  handleValidationErrors
+];
+
+// Export format of a listing (?format=csv|xlsx|json)
+const exportFormatRule = () => query('format')
+  .optional()
+  .isIn(EXPORT_FORMATS)
+  .withMessage(`format must be one of: ${EXPORT_FORMATS.join(', ')}`);
+
+const validateExportQuery = [
+  exportFormatRule(),
+  
+  handleValidationErrors
+];
+
+// Filters of a store's rating listing and export
+const validateStoreRatingsQuery = [
+  query(['minRating', 'maxRating'])
+    .optional()
+    .isInt({ min: 1, max: 5 })
+    .withMessage('Rating filters must be between 1 and 5'),
+  
+  query(['dateFrom', 'dateTo'])
+    .optional()
+    .isDate({ format: 'YYYY-MM-DD', strictMode: true })
+    .withMessage('Dates must use the YYYY-MM-DD format'),
+  
+  exportFormatRule(),
+  
+  handleValidationErrors
+];
+
+// Date range, bucket size and rolling window of analytics time series
+const validateAnalyticsQuery = [
+  query('granularity')
+    .optional()
+    .isIn(Object.keys(ANALYTICS_GRANULARITIES))
+    .withMessage(`granularity must be one of: ${Object.keys(ANALYTICS_GRANULARITIES).join(', ')}`),
+  
+  query(['dateFrom', 'dateTo'])
+    .optional()
+    .isDate({ format: 'YYYY-MM-DD', strictMode: true })
+    .withMessage('Dates must use the YYYY-MM-DD format'),
+  
+  query('window')
+    .optional()
+    .isInt({ min: 1, max: 90 })
+    .withMessage('window must be between 1 and 90 buckets'),
+  
+  handleValidationErrors
+];
+
+// Store movers: the analytics range plus how many stores to list and the ratings each needs
+const validateMoversQuery = [
+  ...validateAnalyticsQuery.filter(rule => rule !== handleValidationErrors),
+  
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 50 })
+    .withMessage('limit must be between 1 and 50'),
+  
+  query('minRatings')
+    .optional()
+    .isInt({ min: 1, max: 1000 })
+    .withMessage('minRatings must be between 1 and 1000'),
+  
+  handleValidationErrors
+];
+
+// Store ranking settings (both optional; halfLifeDays null turns recency decay off)
+const validateRankingSettings = [
+  body('priorWeight')
+    .optional()
+    .isFloat({ min: 0, max: 10000 })
+    .withMessage('priorWeight must be a number between 0 and 10000')
+    .toFloat(),
+  
+  body('halfLifeDays')
+    .optional({ values: 'null' })
+    .isInt({ min: 1, max: 3650 })
+    .withMessage('halfLifeDays must be between 1 and 3650 days, or null for no decay')
+    .toInt(),
+  
+  handleValidationErrors
+];
+
+// Full-text search of stores and reviews
+const validateGlobalSearch = [
+  query('q')
+    .isString()
+    .withMessage('Search query is required')
+    .trim()
+    .isLength({ min: 2, max: 100 })
+    .withMessage('Search query must be between 2 and 100 characters'),
+  
+  query('type')
+    .optional()
+    .isIn(SEARCH_TYPES)
+    .withMessage(`type must be one of: ${SEARCH_TYPES.join(', ')}`),
+  
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 50 })
+    .withMessage('limit must be between 1 and 50'),
+  
+  handleValidationErrors
+];
+
+// Bulk import options
+const validateImportQuery = [
+  query('dryRun')
+    .optional()
+    .isIn(['true', 'false'])
+    .withMessage('dryRun must be true or false'),
+  
+  handleValidationErrors
+];
+
+// One row of a bulk store import: the store creation rules, with the owner given by email
+const validateStoreImportRow = [
+  ...validateStoreCreation.filter(rule => rule !== handleValidationErrors),
+  
+  body('ownerEmail')
+    .optional()
+    .isEmail()
+    .withMessage('Owner email must be a valid email address')
+    .normalizeEmail()
+    .toLowerCase(),
+  
+  handleValidationErrors
+];
+
+// One-time import report download
+const validateImportReportDownload = [
+  body('token')
+    .isString()
+    .withMessage('Report token must be a string')
+    .notEmpty()
+    .withMessage('Report token is required'),
+  
+  handleValidationErrors
+];
+
 module.exports = {
   validateUserRegistration,
   validateUserLogin,
+  validateRefreshToken,
+  validateEmailVerification,
+  validateTwoFactorCode,
+  validateTwoFactorLogin,
+  validateTwoFactorDisable,
   validateStoreCreation,
   validateRating,
+  validateRatingReply,
+  validateRatingReport,
+  validateRatingVote,
+  validateModerationAction,
+  validateFilterRuleCreation,
+  validateFilterRuleUpdate,
+  validateFilterTest,
+  validateRatingDimensionCreation,
+  validateRatingDimensionUpdate,
   validatePasswordUpdate,
+  validateForgotPassword,
+  validatePasswordReset,
   validateUserUpdate,
   validateStoreUpdate,
   validateSearch,
+  validateCategory,
+  validateNearbySearch,
+  validateAuditLogQuery,
+  validateImportQuery,
+  validateStoreImportRow,
+  validateImportReportDownload,
+  validateExportQuery,
+  validateStoreRatingsQuery,
+  validateAnalyticsQuery,
+  validateMoversQuery,
+  validateRankingSettings,
+  validateGlobalSearch,
   handleValidationErrors
 };
\ No newline at end of file
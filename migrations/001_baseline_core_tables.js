@@ -0,0 +1,78 @@
+const { ROLES, ROLE_VALUES } = require('../config/roles');
+
+// Role values as a SQL list for CHECK constraints
+const ROLE_SQL_LIST = ROLE_VALUES.map(role => `'${role}'`).join(', ');
+
+// Baseline: users, stores and ratings as previously created by initializeDatabase.
+// Statements are idempotent so databases created before migrations existed can adopt them.
+module.exports = {
+  up: async (client) => {
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS users (
+        id SERIAL PRIMARY KEY,
+        name VARCHAR(60) NOT NULL CHECK (LENGTH(name) >= 20 AND LENGTH(name) <= 60),
+        email VARCHAR(255) UNIQUE NOT NULL,
+        password VARCHAR(255) NOT NULL,
+        address VARCHAR(400) NOT NULL CHECK (LENGTH(address) <= 400),
+        role VARCHAR(20) NOT NULL DEFAULT '${ROLES.NORMAL_USER}' CHECK (role IN (${ROLE_SQL_LIST})),
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS stores (
+        id SERIAL PRIMARY KEY,
+        name VARCHAR(60) NOT NULL CHECK (LENGTH(name) >= 20 AND LENGTH(name) <= 60),
+        email VARCHAR(255) UNIQUE NOT NULL,
+        address VARCHAR(400) NOT NULL CHECK (LENGTH(address) <= 400),
+        owner_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+        average_rating DECIMAL(2,1) DEFAULT 0.0,
+        total_ratings INTEGER DEFAULT 0,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS ratings (
+        id SERIAL PRIMARY KEY,
+        user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        store_id INTEGER NOT NULL REFERENCES stores(id) ON DELETE CASCADE,
+        rating INTEGER NOT NULL CHECK (rating >= 1 AND rating <= 5),
+        comment TEXT,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE(user_id, store_id)
+      )
+    `);
+
+    // Add comment column if it doesn't exist (for existing databases)
+    await client.query(`
+      ALTER TABLE ratings 
+      ADD COLUMN IF NOT EXISTS comment TEXT
+    `);
+
+    // Normalize role casing of existing rows to the canonical uppercase values
+    await client.query('ALTER TABLE users DROP CONSTRAINT IF EXISTS users_role_check');
+    await client.query('UPDATE users SET role = UPPER(role) WHERE role <> UPPER(role)');
+    await client.query(`
+      ALTER TABLE users
+      ALTER COLUMN role SET DEFAULT '${ROLES.NORMAL_USER}',
+      ADD CONSTRAINT users_role_check CHECK (role IN (${ROLE_SQL_LIST}))
+    `);
+
+    await client.query('CREATE INDEX IF NOT EXISTS idx_users_email ON users(email)');
+    await client.query('CREATE INDEX IF NOT EXISTS idx_users_role ON users(role)');
+    await client.query('CREATE INDEX IF NOT EXISTS idx_stores_name ON stores(name)');
+    await client.query('CREATE INDEX IF NOT EXISTS idx_stores_owner ON stores(owner_id)');
+    await client.query('CREATE INDEX IF NOT EXISTS idx_ratings_user_store ON ratings(user_id, store_id)');
+    await client.query('CREATE INDEX IF NOT EXISTS idx_ratings_store ON ratings(store_id)');
+  },
+
+  down: async (client) => {
+    await client.query('DROP TABLE IF EXISTS ratings');
+    await client.query('DROP TABLE IF EXISTS stores');
+    await client.query('DROP TABLE IF EXISTS users');
+  }
+};
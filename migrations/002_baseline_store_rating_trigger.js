@@ -0,0 +1,39 @@
+// Baseline: keep stores.average_rating and stores.total_ratings in sync with ratings
+module.exports = {
+  up: async (client) => {
+    await client.query(`
+      CREATE OR REPLACE FUNCTION update_store_rating()
+      RETURNS TRIGGER AS $$
+      BEGIN
+        UPDATE stores 
+        SET 
+          average_rating = (
+            SELECT COALESCE(AVG(rating), 0) 
+            FROM ratings 
+            WHERE store_id = COALESCE(NEW.store_id, OLD.store_id)
+          ),
+          total_ratings = (
+            SELECT COUNT(*) 
+            FROM ratings 
+            WHERE store_id = COALESCE(NEW.store_id, OLD.store_id)
+          )
+        WHERE id = COALESCE(NEW.store_id, OLD.store_id);
+        RETURN COALESCE(NEW, OLD);
+      END;
+      $$ LANGUAGE plpgsql;
+    `);
+
+    await client.query(`
+      DROP TRIGGER IF EXISTS rating_update_trigger ON ratings;
+      CREATE TRIGGER rating_update_trigger
+        AFTER INSERT OR UPDATE OR DELETE ON ratings
+        FOR EACH ROW
+        EXECUTE FUNCTION update_store_rating();
+    `);
+  },
+
+  down: async (client) => {
+    await client.query('DROP TRIGGER IF EXISTS rating_update_trigger ON ratings');
+    await client.query('DROP FUNCTION IF EXISTS update_store_rating()');
+  }
+};
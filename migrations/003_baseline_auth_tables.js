@@ -0,0 +1,114 @@
+// Baseline: session, password reset, email verification, 2FA and login lockout storage
+module.exports = {
+  up: async (client) => {
+    // Access tokens issued before this moment are rejected (password/role change, logout-all)
+    await client.query(`
+      ALTER TABLE users
+      ADD COLUMN IF NOT EXISTS tokens_valid_after TIMESTAMP
+    `);
+
+    // Accounts that existed before email verification are treated as verified
+    await client.query(`
+      DO $$
+      BEGIN
+        IF NOT EXISTS (
+          SELECT 1 FROM information_schema.columns
+          WHERE table_name = 'users' AND column_name = 'email_verified_at'
+        ) THEN
+          ALTER TABLE users ADD COLUMN email_verified_at TIMESTAMP;
+          UPDATE users SET email_verified_at = created_at;
+        END IF;
+      END
+      $$;
+    `);
+
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS refresh_tokens (
+        id SERIAL PRIMARY KEY,
+        user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        token_hash VARCHAR(64) UNIQUE NOT NULL,
+        user_agent VARCHAR(255),
+        ip_address VARCHAR(45),
+        expires_at TIMESTAMP NOT NULL,
+        revoked_at TIMESTAMP,
+        replaced_by INTEGER REFERENCES refresh_tokens(id) ON DELETE SET NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS password_reset_tokens (
+        id SERIAL PRIMARY KEY,
+        user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        token_hash VARCHAR(64) UNIQUE NOT NULL,
+        expires_at TIMESTAMP NOT NULL,
+        used_at TIMESTAMP,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    // TOTP two-factor authentication
+    await client.query(`
+      ALTER TABLE users
+      ADD COLUMN IF NOT EXISTS totp_secret VARCHAR(64),
+      ADD COLUMN IF NOT EXISTS totp_enabled_at TIMESTAMP,
+      ADD COLUMN IF NOT EXISTS totp_last_used_step BIGINT
+    `);
+
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS totp_recovery_codes (
+        id SERIAL PRIMARY KEY,
+        user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        code_hash VARCHAR(64) NOT NULL,
+        used_at TIMESTAMP,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    // Failed login tracking per email and per IP address
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS login_throttles (
+        scope VARCHAR(10) NOT NULL CHECK (scope IN ('email', 'ip')),
+        key VARCHAR(255) NOT NULL,
+        failed_count INTEGER NOT NULL DEFAULT 0,
+        last_failed_at TIMESTAMP,
+        locked_until TIMESTAMP,
+        PRIMARY KEY (scope, key)
+      )
+    `);
+
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS security_events (
+        id SERIAL PRIMARY KEY,
+        event_type VARCHAR(50) NOT NULL,
+        user_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+        email VARCHAR(255),
+        ip_address VARCHAR(45),
+        actor_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+        details JSONB,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    await client.query('CREATE INDEX IF NOT EXISTS idx_refresh_tokens_user ON refresh_tokens(user_id)');
+    await client.query('CREATE INDEX IF NOT EXISTS idx_password_reset_tokens_user ON password_reset_tokens(user_id)');
+    await client.query('CREATE INDEX IF NOT EXISTS idx_security_events_user ON security_events(user_id)');
+    await client.query('CREATE INDEX IF NOT EXISTS idx_totp_recovery_codes_user ON totp_recovery_codes(user_id)');
+  },
+
+  down: async (client) => {
+    await client.query('DROP TABLE IF EXISTS security_events');
+    await client.query('DROP TABLE IF EXISTS login_throttles');
+    await client.query('DROP TABLE IF EXISTS totp_recovery_codes');
+    await client.query('DROP TABLE IF EXISTS password_reset_tokens');
+    await client.query('DROP TABLE IF EXISTS refresh_tokens');
+    await client.query(`
+      ALTER TABLE users
+      DROP COLUMN IF EXISTS totp_last_used_step,
+      DROP COLUMN IF EXISTS totp_enabled_at,
+      DROP COLUMN IF EXISTS totp_secret,
+      DROP COLUMN IF EXISTS email_verified_at,
+      DROP COLUMN IF EXISTS tokens_valid_after
+    `);
+  }
+};
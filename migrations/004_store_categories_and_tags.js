@@ -0,0 +1,45 @@
+// Admin-managed store categories and free-form store tags
+module.exports = {
+  up: async (client) => {
+    await client.query(`
+      CREATE TABLE categories (
+        id SERIAL PRIMARY KEY,
+        name VARCHAR(60) UNIQUE NOT NULL,
+        slug VARCHAR(60) UNIQUE NOT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    await client.query(`
+      ALTER TABLE stores
+      ADD COLUMN category_id INTEGER REFERENCES categories(id) ON DELETE SET NULL
+    `);
+
+    await client.query(`
+      CREATE TABLE tags (
+        id SERIAL PRIMARY KEY,
+        name VARCHAR(30) UNIQUE NOT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    await client.query(`
+      CREATE TABLE store_tags (
+        store_id INTEGER NOT NULL REFERENCES stores(id) ON DELETE CASCADE,
+        tag_id INTEGER NOT NULL REFERENCES tags(id) ON DELETE CASCADE,
+        PRIMARY KEY (store_id, tag_id)
+      )
+    `);
+
+    await client.query('CREATE INDEX idx_stores_category ON stores(category_id)');
+    await client.query('CREATE INDEX idx_store_tags_tag ON store_tags(tag_id)');
+  },
+
+  down: async (client) => {
+    await client.query('DROP TABLE IF EXISTS store_tags');
+    await client.query('DROP TABLE IF EXISTS tags');
+    await client.query('ALTER TABLE stores DROP COLUMN IF EXISTS category_id');
+    await client.query('DROP TABLE IF EXISTS categories');
+  }
+};
@@ -0,0 +1,17 @@
+// Store coordinates for distance search
+module.exports = {
+  up: async (client) => {
+    await client.query(`
+      ALTER TABLE stores
+      ADD COLUMN latitude DOUBLE PRECISION CHECK (latitude BETWEEN -90 AND 90),
+      ADD COLUMN longitude DOUBLE PRECISION CHECK (longitude BETWEEN -180 AND 180)
+    `);
+
+    await client.query('CREATE INDEX idx_stores_coordinates ON stores(latitude, longitude)');
+  },
+
+  down: async (client) => {
+    await client.query('DROP INDEX IF EXISTS idx_stores_coordinates');
+    await client.query('ALTER TABLE stores DROP COLUMN IF EXISTS longitude, DROP COLUMN IF EXISTS latitude');
+  }
+};
@@ -0,0 +1,19 @@
+// Store owner replies to ratings (at most one reply per rating)
+module.exports = {
+  up: async (client) => {
+    await client.query(`
+      CREATE TABLE rating_replies (
+        id SERIAL PRIMARY KEY,
+        rating_id INTEGER UNIQUE NOT NULL REFERENCES ratings(id) ON DELETE CASCADE,
+        author_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+        reply TEXT NOT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+  },
+
+  down: async (client) => {
+    await client.query('DROP TABLE IF EXISTS rating_replies');
+  }
+};
@@ -0,0 +1,76 @@
+// Review moderation: per-rating moderation status and user reports.
+// Removed ratings no longer count toward store averages.
+const storeRatingFunction = (countedCondition) => `
+  CREATE OR REPLACE FUNCTION update_store_rating()
+  RETURNS TRIGGER AS $$
+  BEGIN
+    UPDATE stores 
+    SET 
+      average_rating = (
+        SELECT COALESCE(AVG(rating), 0) 
+        FROM ratings 
+        WHERE store_id = COALESCE(NEW.store_id, OLD.store_id)${countedCondition}
+      ),
+      total_ratings = (
+        SELECT COUNT(*) 
+        FROM ratings 
+        WHERE store_id = COALESCE(NEW.store_id, OLD.store_id)${countedCondition}
+      )
+    WHERE id = COALESCE(NEW.store_id, OLD.store_id);
+    RETURN COALESCE(NEW, OLD);
+  END;
+  $$ LANGUAGE plpgsql;
+`;
+
+module.exports = {
+  up: async (client) => {
+    await client.query(`
+      ALTER TABLE ratings
+      ADD COLUMN moderation_status VARCHAR(20) NOT NULL DEFAULT 'visible'
+        CHECK (moderation_status IN ('visible', 'pending', 'hidden', 'removed')),
+      ADD COLUMN moderation_reason TEXT,
+      ADD COLUMN moderated_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+      ADD COLUMN moderated_at TIMESTAMP
+    `);
+
+    await client.query(`
+      CREATE TABLE rating_reports (
+        id SERIAL PRIMARY KEY,
+        rating_id INTEGER NOT NULL REFERENCES ratings(id) ON DELETE CASCADE,
+        reporter_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        reason VARCHAR(30) NOT NULL,
+        details TEXT,
+        status VARCHAR(20) NOT NULL DEFAULT 'open' CHECK (status IN ('open', 'upheld', 'dismissed')),
+        resolved_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+        resolved_at TIMESTAMP,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE (rating_id, reporter_id)
+      )
+    `);
+
+    await client.query('CREATE INDEX idx_ratings_moderation_status ON ratings(moderation_status)');
+    await client.query('CREATE INDEX idx_rating_reports_rating ON rating_reports(rating_id)');
+
+    await client.query(storeRatingFunction(" AND moderation_status <> 'removed'"));
+  },
+
+  down: async (client) => {
+    await client.query(storeRatingFunction(''));
+    await client.query('DROP TABLE IF EXISTS rating_reports');
+    await client.query('DROP INDEX IF EXISTS idx_ratings_moderation_status');
+    await client.query(`
+      ALTER TABLE ratings
+      DROP COLUMN IF EXISTS moderated_at,
+      DROP COLUMN IF EXISTS moderated_by,
+      DROP COLUMN IF EXISTS moderation_reason,
+      DROP COLUMN IF EXISTS moderation_status
+    `);
+
+    // Removed ratings count again
+    await client.query(`
+      UPDATE stores s SET
+        average_rating = (SELECT COALESCE(AVG(rating), 0) FROM ratings WHERE store_id = s.id),
+        total_ratings = (SELECT COUNT(*) FROM ratings WHERE store_id = s.id)
+    `);
+  }
+};
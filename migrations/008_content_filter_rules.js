@@ -0,0 +1,39 @@
+// Rule-based content filter for rating comments, with a default rule set
+const DEFAULT_RULES = [
+  { name: 'Maximum length', type: 'max_length', action: 'reject', config: { maxLength: 1000 } },
+  { name: 'Profanity', type: 'profanity', action: 'mask', config: { words: ['damn', 'crap', 'bastard', 'bullshit', 'shit', 'fuck', 'asshole'] } },
+  { name: 'Email addresses', type: 'email', action: 'mask', config: {} },
+  { name: 'Phone numbers', type: 'phone', action: 'mask', config: {} },
+  { name: 'Links', type: 'link', action: 'flag', config: {} },
+  { name: 'Repeated characters', type: 'repeated_chars', action: 'flag', config: { maxRepeat: 5 } }
+];
+
+module.exports = {
+  up: async (client) => {
+    await client.query(`
+      CREATE TABLE content_filter_rules (
+        id SERIAL PRIMARY KEY,
+        name VARCHAR(60) UNIQUE NOT NULL,
+        type VARCHAR(30) NOT NULL,
+        action VARCHAR(10) NOT NULL CHECK (action IN ('reject', 'mask', 'flag')),
+        config JSONB NOT NULL DEFAULT '{}',
+        enabled BOOLEAN NOT NULL DEFAULT true,
+        position INTEGER NOT NULL DEFAULT 0,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    for (const [index, rule] of DEFAULT_RULES.entries()) {
+      await client.query(
+        `INSERT INTO content_filter_rules (name, type, action, config, position)
+         VALUES ($1, $2, $3, $4, $5)`,
+        [rule.name, rule.type, rule.action, JSON.stringify(rule.config), (index + 1) * 10]
+      );
+    }
+  },
+
+  down: async (client) => {
+    await client.query('DROP TABLE IF EXISTS content_filter_rules');
+  }
+};
@@ -0,0 +1,58 @@
+// "Was this review helpful?" votes, with per-rating counts kept in sync by a trigger
+module.exports = {
+  up: async (client) => {
+    await client.query(`
+      CREATE TABLE rating_votes (
+        rating_id INTEGER NOT NULL REFERENCES ratings(id) ON DELETE CASCADE,
+        user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        helpful BOOLEAN NOT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        PRIMARY KEY (rating_id, user_id)
+      )
+    `);
+
+    await client.query(`
+      ALTER TABLE ratings
+      ADD COLUMN helpful_count INTEGER NOT NULL DEFAULT 0,
+      ADD COLUMN not_helpful_count INTEGER NOT NULL DEFAULT 0
+    `);
+
+    await client.query(`
+      CREATE OR REPLACE FUNCTION update_rating_vote_counts()
+      RETURNS TRIGGER AS $$
+      BEGIN
+        UPDATE ratings
+        SET
+          helpful_count = (
+            SELECT COUNT(*) FROM rating_votes
+            WHERE rating_id = COALESCE(NEW.rating_id, OLD.rating_id) AND helpful
+          ),
+          not_helpful_count = (
+            SELECT COUNT(*) FROM rating_votes
+            WHERE rating_id = COALESCE(NEW.rating_id, OLD.rating_id) AND NOT helpful
+          )
+        WHERE id = COALESCE(NEW.rating_id, OLD.rating_id);
+        RETURN COALESCE(NEW, OLD);
+      END;
+      $$ LANGUAGE plpgsql;
+    `);
+
+    await client.query(`
+      CREATE TRIGGER rating_vote_trigger
+        AFTER INSERT OR UPDATE OR DELETE ON rating_votes
+        FOR EACH ROW
+        EXECUTE FUNCTION update_rating_vote_counts();
+    `);
+  },
+
+  down: async (client) => {
+    await client.query('DROP TABLE IF EXISTS rating_votes');
+    await client.query('DROP FUNCTION IF EXISTS update_rating_vote_counts()');
+    await client.query(`
+      ALTER TABLE ratings
+      DROP COLUMN IF EXISTS not_helpful_count,
+      DROP COLUMN IF EXISTS helpful_count
+    `);
+  }
+};
@@ -0,0 +1,129 @@
+// Admin-configurable rating dimensions (optionally per category), per-rating dimension scores
+// and per-store dimension averages kept in sync by triggers
+const DEFAULT_DIMENSIONS = [
+  { key: 'service', name: 'Service' },
+  { key: 'price', name: 'Price' },
+  { key: 'quality', name: 'Quality' },
+  { key: 'cleanliness', name: 'Cleanliness' }
+];
+
+// Store rating trigger function; refreshDimensions adds the per-dimension refresh
+const storeRatingFunction = (refreshDimensions) => `
+  CREATE OR REPLACE FUNCTION update_store_rating()
+  RETURNS TRIGGER AS $$
+  BEGIN
+    UPDATE stores 
+    SET 
+      average_rating = (
+        SELECT COALESCE(AVG(rating), 0) 
+        FROM ratings 
+        WHERE store_id = COALESCE(NEW.store_id, OLD.store_id) AND moderation_status <> 'removed'
+      ),
+      total_ratings = (
+        SELECT COUNT(*) 
+        FROM ratings 
+        WHERE store_id = COALESCE(NEW.store_id, OLD.store_id) AND moderation_status <> 'removed'
+      )
+    WHERE id = COALESCE(NEW.store_id, OLD.store_id);
+    ${refreshDimensions ? 'PERFORM refresh_store_dimension_averages(COALESCE(NEW.store_id, OLD.store_id));' : ''}
+    RETURN COALESCE(NEW, OLD);
+  END;
+  $$ LANGUAGE plpgsql;
+`;
+
+module.exports = {
+  up: async (client) => {
+    await client.query(`
+      CREATE TABLE rating_dimensions (
+        id SERIAL PRIMARY KEY,
+        key VARCHAR(30) UNIQUE NOT NULL,
+        name VARCHAR(60) NOT NULL,
+        category_id INTEGER REFERENCES categories(id) ON DELETE CASCADE,
+        required BOOLEAN NOT NULL DEFAULT false,
+        active BOOLEAN NOT NULL DEFAULT true,
+        position INTEGER NOT NULL DEFAULT 0,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    await client.query(`
+      CREATE TABLE rating_dimension_scores (
+        rating_id INTEGER NOT NULL REFERENCES ratings(id) ON DELETE CASCADE,
+        dimension_id INTEGER NOT NULL REFERENCES rating_dimensions(id) ON DELETE CASCADE,
+        score INTEGER NOT NULL CHECK (score >= 1 AND score <= 5),
+        PRIMARY KEY (rating_id, dimension_id)
+      )
+    `);
+
+    await client.query(`
+      CREATE TABLE store_dimension_averages (
+        store_id INTEGER NOT NULL REFERENCES stores(id) ON DELETE CASCADE,
+        dimension_id INTEGER NOT NULL REFERENCES rating_dimensions(id) ON DELETE CASCADE,
+        average_score DECIMAL(3,2) NOT NULL,
+        total_scores INTEGER NOT NULL,
+        PRIMARY KEY (store_id, dimension_id)
+      )
+    `);
+
+    await client.query('CREATE INDEX idx_rating_dimension_scores_dimension ON rating_dimension_scores(dimension_id)');
+
+    // Recompute the dimension averages of one store from its counted ratings
+    await client.query(`
+      CREATE OR REPLACE FUNCTION refresh_store_dimension_averages(p_store_id INTEGER)
+      RETURNS VOID AS $$
+      BEGIN
+        DELETE FROM store_dimension_averages WHERE store_id = p_store_id;
+
+        INSERT INTO store_dimension_averages (store_id, dimension_id, average_score, total_scores)
+        SELECT r.store_id, ds.dimension_id, ROUND(AVG(ds.score), 2), COUNT(*)
+        FROM rating_dimension_scores ds
+        JOIN ratings r ON ds.rating_id = r.id
+        WHERE r.store_id = p_store_id AND r.moderation_status <> 'removed'
+        GROUP BY r.store_id, ds.dimension_id;
+      END;
+      $$ LANGUAGE plpgsql;
+    `);
+
+    await client.query(`
+      CREATE OR REPLACE FUNCTION update_store_dimension_averages()
+      RETURNS TRIGGER AS $$
+      DECLARE
+        v_store_id INTEGER;
+      BEGIN
+        SELECT store_id INTO v_store_id FROM ratings WHERE id = COALESCE(NEW.rating_id, OLD.rating_id);
+        IF v_store_id IS NOT NULL THEN
+          PERFORM refresh_store_dimension_averages(v_store_id);
+        END IF;
+        RETURN COALESCE(NEW, OLD);
+      END;
+      $$ LANGUAGE plpgsql;
+    `);
+
+    await client.query(`
+      CREATE TRIGGER rating_dimension_score_trigger
+        AFTER INSERT OR UPDATE OR DELETE ON rating_dimension_scores
+        FOR EACH ROW
+        EXECUTE FUNCTION update_store_dimension_averages();
+    `);
+
+    // Rating deletes and moderation changes also move the dimension averages
+    await client.query(storeRatingFunction(true));
+
+    for (const [index, dimension] of DEFAULT_DIMENSIONS.entries()) {
+      await client.query(
+        'INSERT INTO rating_dimensions (key, name, position) VALUES ($1, $2, $3)',
+        [dimension.key, dimension.name, (index + 1) * 10]
+      );
+    }
+  },
+
+  down: async (client) => {
+    await client.query(storeRatingFunction(false));
+    await client.query('DROP TABLE IF EXISTS store_dimension_averages');
+    await client.query('DROP TABLE IF EXISTS rating_dimension_scores');
+    await client.query('DROP FUNCTION IF EXISTS update_store_dimension_averages()');
+    await client.query('DROP FUNCTION IF EXISTS refresh_store_dimension_averages(INTEGER)');
+    await client.query('DROP TABLE IF EXISTS rating_dimensions');
+  }
+};
@@ -0,0 +1,53 @@
+// Photos attached to ratings. Files live in the storage backend; when a photo row goes away
+// (directly or through a rating/store/user cascade) its storage key is queued in
+// photo_deletions so the application can remove the file afterwards.
+module.exports = {
+  up: async (client) => {
+    await client.query(`
+      CREATE TABLE rating_photos (
+        id SERIAL PRIMARY KEY,
+        rating_id INTEGER NOT NULL REFERENCES ratings(id) ON DELETE CASCADE,
+        store_id INTEGER NOT NULL REFERENCES stores(id) ON DELETE CASCADE,
+        storage_key VARCHAR(255) NOT NULL UNIQUE,
+        content_type VARCHAR(50) NOT NULL,
+        size_bytes INTEGER NOT NULL CHECK (size_bytes > 0),
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    await client.query('CREATE INDEX idx_rating_photos_rating ON rating_photos(rating_id)');
+    await client.query('CREATE INDEX idx_rating_photos_store ON rating_photos(store_id)');
+
+    await client.query(`
+      CREATE TABLE photo_deletions (
+        storage_key VARCHAR(255) PRIMARY KEY,
+        queued_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    await client.query(`
+      CREATE OR REPLACE FUNCTION queue_photo_deletion()
+      RETURNS TRIGGER AS $$
+      BEGIN
+        INSERT INTO photo_deletions (storage_key)
+        VALUES (OLD.storage_key)
+        ON CONFLICT (storage_key) DO NOTHING;
+        RETURN OLD;
+      END;
+      $$ LANGUAGE plpgsql;
+    `);
+
+    await client.query(`
+      CREATE TRIGGER rating_photo_deletion_trigger
+        AFTER DELETE ON rating_photos
+        FOR EACH ROW
+        EXECUTE FUNCTION queue_photo_deletion();
+    `);
+  },
+
+  down: async (client) => {
+    await client.query('DROP TABLE IF EXISTS rating_photos');
+    await client.query('DROP FUNCTION IF EXISTS queue_photo_deletion()');
+    await client.query('DROP TABLE IF EXISTS photo_deletions');
+  }
+};
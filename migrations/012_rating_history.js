@@ -0,0 +1,87 @@
+// History of every create, update and delete of a rating with old and new values.
+// Rows are written by triggers and deliberately have no foreign keys, so the history of a
+// rating outlives the rating, its store and its author.
+module.exports = {
+  up: async (client) => {
+    await client.query(`
+      CREATE TABLE rating_history (
+        id SERIAL PRIMARY KEY,
+        rating_id INTEGER NOT NULL,
+        store_id INTEGER NOT NULL,
+        user_id INTEGER NOT NULL,
+        action VARCHAR(10) NOT NULL CHECK (action IN ('create', 'update', 'delete')),
+        old_rating INTEGER,
+        new_rating INTEGER,
+        old_comment TEXT,
+        new_comment TEXT,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    await client.query('CREATE INDEX idx_rating_history_rating ON rating_history(rating_id, created_at)');
+
+    // Set when the rating value or comment changes after submission
+    await client.query('ALTER TABLE ratings ADD COLUMN edited_at TIMESTAMP');
+
+    await client.query(`
+      CREATE OR REPLACE FUNCTION set_rating_edited_at()
+      RETURNS TRIGGER AS $$
+      BEGIN
+        IF NEW.rating IS DISTINCT FROM OLD.rating OR NEW.comment IS DISTINCT FROM OLD.comment THEN
+          NEW.edited_at = CURRENT_TIMESTAMP;
+        END IF;
+        RETURN NEW;
+      END;
+      $$ LANGUAGE plpgsql;
+    `);
+
+    await client.query(`
+      CREATE TRIGGER rating_edited_at_trigger
+        BEFORE UPDATE ON ratings
+        FOR EACH ROW
+        EXECUTE FUNCTION set_rating_edited_at();
+    `);
+
+    await client.query(`
+      CREATE OR REPLACE FUNCTION record_rating_history()
+      RETURNS TRIGGER AS $$
+      BEGIN
+        IF TG_OP = 'INSERT' THEN
+          INSERT INTO rating_history (rating_id, store_id, user_id, action, new_rating, new_comment)
+          VALUES (NEW.id, NEW.store_id, NEW.user_id, 'create', NEW.rating, NEW.comment);
+        ELSIF TG_OP = 'UPDATE' THEN
+          -- Moderation and vote count updates leave the review itself unchanged
+          IF NEW.rating IS DISTINCT FROM OLD.rating OR NEW.comment IS DISTINCT FROM OLD.comment THEN
+            INSERT INTO rating_history (
+              rating_id, store_id, user_id, action, old_rating, new_rating, old_comment, new_comment
+            )
+            VALUES (
+              NEW.id, NEW.store_id, NEW.user_id, 'update', OLD.rating, NEW.rating, OLD.comment, NEW.comment
+            );
+          END IF;
+        ELSE
+          INSERT INTO rating_history (rating_id, store_id, user_id, action, old_rating, old_comment)
+          VALUES (OLD.id, OLD.store_id, OLD.user_id, 'delete', OLD.rating, OLD.comment);
+        END IF;
+        RETURN COALESCE(NEW, OLD);
+      END;
+      $$ LANGUAGE plpgsql;
+    `);
+
+    await client.query(`
+      CREATE TRIGGER rating_history_trigger
+        AFTER INSERT OR UPDATE OR DELETE ON ratings
+        FOR EACH ROW
+        EXECUTE FUNCTION record_rating_history();
+    `);
+  },
+
+  down: async (client) => {
+    await client.query('DROP TRIGGER IF EXISTS rating_history_trigger ON ratings');
+    await client.query('DROP TRIGGER IF EXISTS rating_edited_at_trigger ON ratings');
+    await client.query('DROP FUNCTION IF EXISTS record_rating_history()');
+    await client.query('DROP FUNCTION IF EXISTS set_rating_edited_at()');
+    await client.query('ALTER TABLE ratings DROP COLUMN IF EXISTS edited_at');
+    await client.query('DROP TABLE IF EXISTS rating_history');
+  }
+};
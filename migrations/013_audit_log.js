@@ -0,0 +1,55 @@
+// Append-only audit log of administrative and authentication actions.
+// Actor and target ids are plain integers so entries survive deletion of the users and
+// entities they refer to; a trigger rejects any update or delete of existing entries.
+module.exports = {
+  up: async (client) => {
+    await client.query(`
+      CREATE TABLE audit_log (
+        id BIGSERIAL PRIMARY KEY,
+        actor_id INTEGER,
+        actor_email VARCHAR(100),
+        actor_role VARCHAR(20),
+        action VARCHAR(50) NOT NULL,
+        entity_type VARCHAR(30) NOT NULL,
+        entity_id INTEGER,
+        changes JSONB,
+        details JSONB,
+        ip_address VARCHAR(45),
+        user_agent TEXT,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    await client.query('CREATE INDEX idx_audit_log_created ON audit_log(created_at)');
+    await client.query('CREATE INDEX idx_audit_log_actor ON audit_log(actor_id, created_at)');
+    await client.query('CREATE INDEX idx_audit_log_entity ON audit_log(entity_type, entity_id, created_at)');
+
+    await client.query(`
+      CREATE OR REPLACE FUNCTION reject_audit_log_change()
+      RETURNS TRIGGER AS $$
+      BEGIN
+        RAISE EXCEPTION 'audit_log is append-only';
+      END;
+      $$ LANGUAGE plpgsql;
+    `);
+
+    await client.query(`
+      CREATE TRIGGER audit_log_append_only_trigger
+        BEFORE UPDATE OR DELETE ON audit_log
+        FOR EACH ROW
+        EXECUTE FUNCTION reject_audit_log_change();
+    `);
+
+    await client.query(`
+      CREATE TRIGGER audit_log_no_truncate_trigger
+        BEFORE TRUNCATE ON audit_log
+        FOR EACH STATEMENT
+        EXECUTE FUNCTION reject_audit_log_change();
+    `);
+  },
+
+  down: async (client) => {
+    await client.query('DROP TABLE IF EXISTS audit_log');
+    await client.query('DROP FUNCTION IF EXISTS reject_audit_log_change()');
+  }
+};
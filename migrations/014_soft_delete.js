@@ -0,0 +1,148 @@
+// Soft deletion of users, stores and ratings via deleted_at. Deleted rows stay until the
+// scheduled purge; unique emails and one-rating-per-store only apply to rows that are not deleted.
+// Store owners no longer take their stores with them when they are finally purged.
+
+// Store rating trigger function; with softDelete, deleted ratings no longer count
+const storeRatingFunction = (softDelete) => `
+  CREATE OR REPLACE FUNCTION update_store_rating()
+  RETURNS TRIGGER AS $$
+  BEGIN
+    UPDATE stores 
+    SET 
+      average_rating = (
+        SELECT COALESCE(AVG(rating), 0) 
+        FROM ratings 
+        WHERE store_id = COALESCE(NEW.store_id, OLD.store_id) AND moderation_status <> 'removed'${softDelete ? ' AND deleted_at IS NULL' : ''}
+      ),
+      total_ratings = (
+        SELECT COUNT(*) 
+        FROM ratings 
+        WHERE store_id = COALESCE(NEW.store_id, OLD.store_id) AND moderation_status <> 'removed'${softDelete ? ' AND deleted_at IS NULL' : ''}
+      )
+    WHERE id = COALESCE(NEW.store_id, OLD.store_id);
+    PERFORM refresh_store_dimension_averages(COALESCE(NEW.store_id, OLD.store_id));
+    RETURN COALESCE(NEW, OLD);
+  END;
+  $$ LANGUAGE plpgsql;
+`;
+
+const dimensionAveragesFunction = (softDelete) => `
+  CREATE OR REPLACE FUNCTION refresh_store_dimension_averages(p_store_id INTEGER)
+  RETURNS VOID AS $$
+  BEGIN
+    DELETE FROM store_dimension_averages WHERE store_id = p_store_id;
+
+    INSERT INTO store_dimension_averages (store_id, dimension_id, average_score, total_scores)
+    SELECT r.store_id, ds.dimension_id, ROUND(AVG(ds.score), 2), COUNT(*)
+    FROM rating_dimension_scores ds
+    JOIN ratings r ON ds.rating_id = r.id
+    WHERE r.store_id = p_store_id AND r.moderation_status <> 'removed'${softDelete ? ' AND r.deleted_at IS NULL' : ''}
+    GROUP BY r.store_id, ds.dimension_id;
+  END;
+  $$ LANGUAGE plpgsql;
+`;
+
+// Rating history: soft deletes and restores are recorded, hard deletes only happen on purge
+const ratingHistoryFunction = (softDelete) => `
+  CREATE OR REPLACE FUNCTION record_rating_history()
+  RETURNS TRIGGER AS $$
+  BEGIN
+    IF TG_OP = 'INSERT' THEN
+      INSERT INTO rating_history (rating_id, store_id, user_id, action, new_rating, new_comment)
+      VALUES (NEW.id, NEW.store_id, NEW.user_id, 'create', NEW.rating, NEW.comment);
+    ELSIF TG_OP = 'UPDATE' THEN
+      ${softDelete ? `IF OLD.deleted_at IS NULL AND NEW.deleted_at IS NOT NULL THEN
+        INSERT INTO rating_history (rating_id, store_id, user_id, action, old_rating, old_comment)
+        VALUES (NEW.id, NEW.store_id, NEW.user_id, 'delete', OLD.rating, OLD.comment);
+      ELSIF OLD.deleted_at IS NOT NULL AND NEW.deleted_at IS NULL THEN
+        INSERT INTO rating_history (rating_id, store_id, user_id, action, new_rating, new_comment)
+        VALUES (NEW.id, NEW.store_id, NEW.user_id, 'restore', NEW.rating, NEW.comment);
+      END IF;
+      ` : ''}-- Moderation and vote count updates leave the review itself unchanged
+      IF NEW.rating IS DISTINCT FROM OLD.rating OR NEW.comment IS DISTINCT FROM OLD.comment THEN
+        INSERT INTO rating_history (
+          rating_id, store_id, user_id, action, old_rating, new_rating, old_comment, new_comment
+        )
+        VALUES (
+          NEW.id, NEW.store_id, NEW.user_id, 'update', OLD.rating, NEW.rating, OLD.comment, NEW.comment
+        );
+      END IF;
+    ELSE
+      INSERT INTO rating_history (rating_id, store_id, user_id, action, old_rating, old_comment)
+      VALUES (OLD.id, OLD.store_id, OLD.user_id, '${softDelete ? 'purge' : 'delete'}', OLD.rating, OLD.comment);
+    END IF;
+    RETURN COALESCE(NEW, OLD);
+  END;
+  $$ LANGUAGE plpgsql;
+`;
+
+module.exports = {
+  up: async (client) => {
+    for (const table of ['users', 'stores', 'ratings']) {
+      await client.query(`ALTER TABLE ${table} ADD COLUMN deleted_at TIMESTAMP`);
+      await client.query(`CREATE INDEX idx_${table}_deleted_at ON ${table}(deleted_at) WHERE deleted_at IS NOT NULL`);
+    }
+
+    // Uniqueness only among rows that are not deleted
+    await client.query('ALTER TABLE users DROP CONSTRAINT users_email_key');
+    await client.query('CREATE UNIQUE INDEX idx_users_email_active ON users(email) WHERE deleted_at IS NULL');
+    await client.query('ALTER TABLE stores DROP CONSTRAINT stores_email_key');
+    await client.query('CREATE UNIQUE INDEX idx_stores_email_active ON stores(email) WHERE deleted_at IS NULL');
+    await client.query('ALTER TABLE ratings DROP CONSTRAINT ratings_user_id_store_id_key');
+    await client.query(
+      'CREATE UNIQUE INDEX idx_ratings_user_store_active ON ratings(user_id, store_id) WHERE deleted_at IS NULL'
+    );
+
+    await client.query('ALTER TABLE stores DROP CONSTRAINT stores_owner_id_fkey');
+    await client.query(`
+      ALTER TABLE stores
+      ADD CONSTRAINT stores_owner_id_fkey FOREIGN KEY (owner_id) REFERENCES users(id) ON DELETE SET NULL
+    `);
+
+    await client.query(dimensionAveragesFunction(true));
+    await client.query(storeRatingFunction(true));
+
+    await client.query('ALTER TABLE rating_history DROP CONSTRAINT rating_history_action_check');
+    await client.query(`
+      ALTER TABLE rating_history
+      ADD CONSTRAINT rating_history_action_check
+      CHECK (action IN ('create', 'update', 'delete', 'restore', 'purge'))
+    `);
+    await client.query(ratingHistoryFunction(true));
+  },
+
+  down: async (client) => {
+    // Before soft deletion, deleted rows were gone; finish deleting them
+    await client.query('DELETE FROM ratings WHERE deleted_at IS NOT NULL');
+    await client.query('DELETE FROM stores WHERE deleted_at IS NOT NULL');
+    await client.query('DELETE FROM users WHERE deleted_at IS NOT NULL');
+
+    await client.query(ratingHistoryFunction(false));
+    await client.query('ALTER TABLE rating_history DROP CONSTRAINT rating_history_action_check');
+    await client.query(`
+      ALTER TABLE rating_history
+      ADD CONSTRAINT rating_history_action_check
+      CHECK (action IN ('create', 'update', 'delete')) NOT VALID
+    `);
+
+    await client.query(storeRatingFunction(false));
+    await client.query(dimensionAveragesFunction(false));
+
+    await client.query('ALTER TABLE stores DROP CONSTRAINT stores_owner_id_fkey');
+    await client.query(`
+      ALTER TABLE stores
+      ADD CONSTRAINT stores_owner_id_fkey FOREIGN KEY (owner_id) REFERENCES users(id) ON DELETE CASCADE
+    `);
+
+    await client.query('DROP INDEX IF EXISTS idx_ratings_user_store_active');
+    await client.query('ALTER TABLE ratings ADD CONSTRAINT ratings_user_id_store_id_key UNIQUE (user_id, store_id)');
+    await client.query('DROP INDEX IF EXISTS idx_stores_email_active');
+    await client.query('ALTER TABLE stores ADD CONSTRAINT stores_email_key UNIQUE (email)');
+    await client.query('DROP INDEX IF EXISTS idx_users_email_active');
+    await client.query('ALTER TABLE users ADD CONSTRAINT users_email_key UNIQUE (email)');
+
+    for (const table of ['ratings', 'stores', 'users']) {
+      await client.query(`ALTER TABLE ${table} DROP COLUMN IF EXISTS deleted_at`);
+    }
+  }
+};
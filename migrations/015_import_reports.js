@@ -0,0 +1,21 @@
+// One-time reports of passwords generated by bulk user imports.
+// The content is encrypted with a key derived from the download token, and only the token's
+// hash is stored, so the passwords cannot be read from the database alone.
+module.exports = {
+  up: async (client) => {
+    await client.query(`
+      CREATE TABLE import_reports (
+        id SERIAL PRIMARY KEY,
+        token_hash VARCHAR(64) UNIQUE NOT NULL,
+        created_by INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        content BYTEA NOT NULL,
+        expires_at TIMESTAMP NOT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+  },
+
+  down: async (client) => {
+    await client.query('DROP TABLE IF EXISTS import_reports');
+  }
+};
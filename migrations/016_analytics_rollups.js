@@ -0,0 +1,101 @@
+// Daily rollups of counted ratings (not removed, not deleted) for the platform analytics:
+// per store (count and sum of ratings) and per user (ratings submitted, for active raters and
+// cohort retention). A trigger on ratings keeps them current; ratings are dated by created_at.
+module.exports = {
+  up: async (client) => {
+    await client.query(`
+      CREATE TABLE store_daily_ratings (
+        store_id INTEGER NOT NULL REFERENCES stores(id) ON DELETE CASCADE,
+        day DATE NOT NULL,
+        rating_count INTEGER NOT NULL,
+        rating_sum INTEGER NOT NULL,
+        PRIMARY KEY (store_id, day)
+      )
+    `);
+    await client.query('CREATE INDEX idx_store_daily_ratings_day ON store_daily_ratings(day)');
+
+    await client.query(`
+      CREATE TABLE user_daily_ratings (
+        user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        day DATE NOT NULL,
+        rating_count INTEGER NOT NULL,
+        PRIMARY KEY (user_id, day)
+      )
+    `);
+    await client.query('CREATE INDEX idx_user_daily_ratings_day ON user_daily_ratings(day)');
+
+    await client.query(`
+      CREATE OR REPLACE FUNCTION update_rating_rollups()
+      RETURNS TRIGGER AS $$
+      DECLARE
+        old_counted BOOLEAN := TG_OP <> 'INSERT' AND OLD.moderation_status <> 'removed' AND OLD.deleted_at IS NULL;
+        new_counted BOOLEAN := TG_OP <> 'DELETE' AND NEW.moderation_status <> 'removed' AND NEW.deleted_at IS NULL;
+      BEGIN
+        -- Vote counts, comments and moderation within the counted states change nothing here
+        IF TG_OP = 'UPDATE' AND old_counted = new_counted AND OLD.rating = NEW.rating
+           AND OLD.created_at = NEW.created_at AND OLD.store_id = NEW.store_id AND OLD.user_id = NEW.user_id THEN
+          RETURN NEW;
+        END IF;
+
+        IF old_counted THEN
+          UPDATE store_daily_ratings
+          SET rating_count = rating_count - 1, rating_sum = rating_sum - OLD.rating
+          WHERE store_id = OLD.store_id AND day = OLD.created_at::date;
+          DELETE FROM store_daily_ratings
+          WHERE store_id = OLD.store_id AND day = OLD.created_at::date AND rating_count <= 0;
+
+          UPDATE user_daily_ratings
+          SET rating_count = rating_count - 1
+          WHERE user_id = OLD.user_id AND day = OLD.created_at::date;
+          DELETE FROM user_daily_ratings
+          WHERE user_id = OLD.user_id AND day = OLD.created_at::date AND rating_count <= 0;
+        END IF;
+
+        IF new_counted THEN
+          INSERT INTO store_daily_ratings (store_id, day, rating_count, rating_sum)
+          VALUES (NEW.store_id, NEW.created_at::date, 1, NEW.rating)
+          ON CONFLICT (store_id, day) DO UPDATE
+          SET rating_count = store_daily_ratings.rating_count + 1,
+              rating_sum = store_daily_ratings.rating_sum + EXCLUDED.rating_sum;
+
+          INSERT INTO user_daily_ratings (user_id, day, rating_count)
+          VALUES (NEW.user_id, NEW.created_at::date, 1)
+          ON CONFLICT (user_id, day) DO UPDATE
+          SET rating_count = user_daily_ratings.rating_count + 1;
+        END IF;
+
+        RETURN COALESCE(NEW, OLD);
+      END;
+      $$ LANGUAGE plpgsql;
+    `);
+
+    await client.query(`
+      CREATE TRIGGER ratings_update_rollups
+      AFTER INSERT OR UPDATE OR DELETE ON ratings
+      FOR EACH ROW EXECUTE FUNCTION update_rating_rollups()
+    `);
+
+    // Existing ratings
+    await client.query(`
+      INSERT INTO store_daily_ratings (store_id, day, rating_count, rating_sum)
+      SELECT store_id, created_at::date, COUNT(*), SUM(rating)
+      FROM ratings
+      WHERE moderation_status <> 'removed' AND deleted_at IS NULL
+      GROUP BY store_id, created_at::date
+    `);
+    await client.query(`
+      INSERT INTO user_daily_ratings (user_id, day, rating_count)
+      SELECT user_id, created_at::date, COUNT(*)
+      FROM ratings
+      WHERE moderation_status <> 'removed' AND deleted_at IS NULL
+      GROUP BY user_id, created_at::date
+    `);
+  },
+
+  down: async (client) => {
+    await client.query('DROP TRIGGER IF EXISTS ratings_update_rollups ON ratings');
+    await client.query('DROP FUNCTION IF EXISTS update_rating_rollups()');
+    await client.query('DROP TABLE IF EXISTS user_daily_ratings');
+    await client.query('DROP TABLE IF EXISTS store_daily_ratings');
+  }
+};
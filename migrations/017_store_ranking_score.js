@@ -0,0 +1,104 @@
+// Confidence-adjusted ranking score of stores: a Bayesian average that pulls the store's
+// average towards the platform-wide mean (the prior) by prior_weight virtual ratings, with an
+// optional exponential decay of older ratings (weight halves every half_life_days).
+// The store rating trigger keeps the score current; refresh_store_scores() recomputes the
+// prior and every score, and runs periodically so the decay keeps up with time.
+
+// Store rating trigger function; withScore also maintains rating_score
+const storeRatingFunction = (withScore) => `
+  CREATE OR REPLACE FUNCTION update_store_rating()
+  RETURNS TRIGGER AS $$
+  BEGIN
+    UPDATE stores
+    SET
+      average_rating = (
+        SELECT COALESCE(AVG(rating), 0)
+        FROM ratings
+        WHERE store_id = COALESCE(NEW.store_id, OLD.store_id) AND moderation_status <> 'removed' AND deleted_at IS NULL
+      ),
+      total_ratings = (
+        SELECT COUNT(*)
+        FROM ratings
+        WHERE store_id = COALESCE(NEW.store_id, OLD.store_id) AND moderation_status <> 'removed' AND deleted_at IS NULL
+      )${withScore ? `,
+      rating_score = store_rating_score(COALESCE(NEW.store_id, OLD.store_id))` : ''}
+    WHERE id = COALESCE(NEW.store_id, OLD.store_id);
+    PERFORM refresh_store_dimension_averages(COALESCE(NEW.store_id, OLD.store_id));
+    RETURN COALESCE(NEW, OLD);
+  END;
+  $$ LANGUAGE plpgsql;
+`;
+
+module.exports = {
+  up: async (client) => {
+    // Single-row settings table
+    await client.query(`
+      CREATE TABLE store_ranking_settings (
+        id BOOLEAN PRIMARY KEY DEFAULT TRUE CHECK (id),
+        prior_weight NUMERIC(8,2) NOT NULL DEFAULT 10 CHECK (prior_weight >= 0),
+        half_life_days INTEGER CHECK (half_life_days > 0),
+        prior_mean NUMERIC(5,4) NOT NULL DEFAULT 0,
+        prior_refreshed_at TIMESTAMP,
+        updated_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+    await client.query('INSERT INTO store_ranking_settings DEFAULT VALUES');
+
+    await client.query('ALTER TABLE stores ADD COLUMN rating_score NUMERIC(5,4) DEFAULT 0');
+    await client.query('CREATE INDEX idx_stores_rating_score ON stores(rating_score)');
+
+    // Ratings are dated by their last edit, so a revised opinion counts as a recent one
+    await client.query(`
+      CREATE OR REPLACE FUNCTION store_rating_score(p_store_id INTEGER)
+      RETURNS NUMERIC AS $$
+        SELECT COALESCE(
+          (st.prior_weight * st.prior_mean + COALESCE(SUM(w.weight * w.rating), 0))
+            / NULLIF(st.prior_weight + COALESCE(SUM(w.weight), 0), 0),
+          0
+        )
+        FROM store_ranking_settings st
+        LEFT JOIN LATERAL (
+          SELECT r.rating,
+                 CASE WHEN st.half_life_days IS NULL THEN 1
+                      ELSE POWER(0.5, EXTRACT(EPOCH FROM (CURRENT_TIMESTAMP - COALESCE(r.edited_at, r.created_at)))
+                                      / 86400.0 / st.half_life_days)
+                 END as weight
+          FROM ratings r
+          WHERE r.store_id = p_store_id AND r.moderation_status <> 'removed' AND r.deleted_at IS NULL
+        ) w ON true
+        GROUP BY st.prior_weight, st.prior_mean
+      $$ LANGUAGE sql STABLE;
+    `);
+
+    // The prior is the average of all counted ratings, read from the daily rollups
+    await client.query(`
+      CREATE OR REPLACE FUNCTION refresh_store_scores()
+      RETURNS INTEGER AS $$
+      DECLARE
+        updated INTEGER;
+      BEGIN
+        UPDATE store_ranking_settings
+        SET prior_mean = COALESCE((SELECT SUM(rating_sum)::numeric / NULLIF(SUM(rating_count), 0) FROM store_daily_ratings), 0),
+            prior_refreshed_at = CURRENT_TIMESTAMP;
+
+        UPDATE stores SET rating_score = store_rating_score(id) WHERE deleted_at IS NULL;
+        GET DIAGNOSTICS updated = ROW_COUNT;
+        RETURN updated;
+      END;
+      $$ LANGUAGE plpgsql;
+    `);
+
+    await client.query(storeRatingFunction(true));
+    await client.query('SELECT refresh_store_scores()');
+  },
+
+  down: async (client) => {
+    await client.query(storeRatingFunction(false));
+    await client.query('DROP FUNCTION IF EXISTS refresh_store_scores()');
+    await client.query('DROP FUNCTION IF EXISTS store_rating_score(INTEGER)');
+    await client.query('DROP INDEX IF EXISTS idx_stores_rating_score');
+    await client.query('ALTER TABLE stores DROP COLUMN IF EXISTS rating_score');
+    await client.query('DROP TABLE IF EXISTS store_ranking_settings');
+  }
+};
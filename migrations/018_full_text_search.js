@@ -0,0 +1,85 @@
+// Full-text search over stores (name, category, address) and review comments, plus trigram
+// indexes so store names and addresses match despite typos and substring searches can use an index.
+// Store vectors are kept current by triggers on stores and on category renames; review vectors
+// are generated columns.
+module.exports = {
+  up: async (client) => {
+    await client.query('CREATE EXTENSION IF NOT EXISTS pg_trgm');
+
+    // Name weighs most, then category, then address
+    await client.query(`
+      CREATE OR REPLACE FUNCTION store_search_vector(p_name TEXT, p_address TEXT, p_category_id INTEGER)
+      RETURNS tsvector AS $$
+        SELECT setweight(to_tsvector('english', COALESCE(p_name, '')), 'A') ||
+               setweight(to_tsvector('english', COALESCE((SELECT name FROM categories WHERE id = p_category_id), '')), 'B') ||
+               setweight(to_tsvector('english', COALESCE(p_address, '')), 'C')
+      $$ LANGUAGE sql STABLE;
+    `);
+
+    await client.query('ALTER TABLE stores ADD COLUMN search_vector tsvector');
+    await client.query('UPDATE stores SET search_vector = store_search_vector(name, address, category_id)');
+
+    await client.query(`
+      CREATE OR REPLACE FUNCTION update_store_search_vector()
+      RETURNS TRIGGER AS $$
+      BEGIN
+        NEW.search_vector := store_search_vector(NEW.name, NEW.address, NEW.category_id);
+        RETURN NEW;
+      END;
+      $$ LANGUAGE plpgsql;
+    `);
+    await client.query(`
+      CREATE TRIGGER stores_search_vector_trigger
+        BEFORE INSERT OR UPDATE OF name, address, category_id ON stores
+        FOR EACH ROW
+        EXECUTE FUNCTION update_store_search_vector();
+    `);
+
+    // Renaming a category changes what its stores match
+    await client.query(`
+      CREATE OR REPLACE FUNCTION update_category_store_search_vectors()
+      RETURNS TRIGGER AS $$
+      BEGIN
+        IF NEW.name IS DISTINCT FROM OLD.name THEN
+          UPDATE stores
+          SET search_vector = store_search_vector(name, address, category_id)
+          WHERE category_id = NEW.id;
+        END IF;
+        RETURN NEW;
+      END;
+      $$ LANGUAGE plpgsql;
+    `);
+    await client.query(`
+      CREATE TRIGGER categories_search_vector_trigger
+        AFTER UPDATE OF name ON categories
+        FOR EACH ROW
+        EXECUTE FUNCTION update_category_store_search_vectors();
+    `);
+
+    await client.query(`
+      ALTER TABLE ratings
+      ADD COLUMN search_vector tsvector
+      GENERATED ALWAYS AS (to_tsvector('english', COALESCE(comment, ''))) STORED
+    `);
+
+    await client.query('CREATE INDEX idx_stores_search ON stores USING GIN (search_vector)');
+    await client.query('CREATE INDEX idx_ratings_search ON ratings USING GIN (search_vector)');
+    await client.query('CREATE INDEX idx_stores_name_trgm ON stores USING GIN (name gin_trgm_ops)');
+    await client.query('CREATE INDEX idx_stores_address_trgm ON stores USING GIN (address gin_trgm_ops)');
+  },
+
+  down: async (client) => {
+    await client.query('DROP INDEX IF EXISTS idx_stores_address_trgm');
+    await client.query('DROP INDEX IF EXISTS idx_stores_name_trgm');
+    await client.query('DROP INDEX IF EXISTS idx_ratings_search');
+    await client.query('DROP INDEX IF EXISTS idx_stores_search');
+    await client.query('ALTER TABLE ratings DROP COLUMN IF EXISTS search_vector');
+    await client.query('DROP TRIGGER IF EXISTS categories_search_vector_trigger ON categories');
+    await client.query('DROP FUNCTION IF EXISTS update_category_store_search_vectors()');
+    await client.query('DROP TRIGGER IF EXISTS stores_search_vector_trigger ON stores');
+    await client.query('DROP FUNCTION IF EXISTS update_store_search_vector()');
+    await client.query('ALTER TABLE stores DROP COLUMN IF EXISTS search_vector');
+    await client.query('DROP FUNCTION IF EXISTS store_search_vector(TEXT, TEXT, INTEGER)');
+    await client.query('DROP EXTENSION IF EXISTS pg_trgm');
+  }
+};
@@ -0,0 +1,57 @@
+// New stores start at their ranking score (the prior, as they have no ratings yet) instead of 0,
+// and the recency decay exponent is capped so very old ratings cannot underflow POWER(), which
+// raises an error on PostgreSQL 13 and older where EXTRACT returns double precision.
+
+// Ranking score function from 017; cappedDecay limits the decay exponent to 1000 half-lives
+const storeRatingScoreFunction = (cappedDecay) => `
+  CREATE OR REPLACE FUNCTION store_rating_score(p_store_id INTEGER)
+  RETURNS NUMERIC AS $$
+    SELECT COALESCE(
+      (st.prior_weight * st.prior_mean + COALESCE(SUM(w.weight * w.rating), 0))
+        / NULLIF(st.prior_weight + COALESCE(SUM(w.weight), 0), 0),
+      0
+    )
+    FROM store_ranking_settings st
+    LEFT JOIN LATERAL (
+      SELECT r.rating,
+             CASE WHEN st.half_life_days IS NULL THEN 1
+                  ELSE POWER(0.5, ${cappedDecay ? 'LEAST(' : ''}EXTRACT(EPOCH FROM (CURRENT_TIMESTAMP - COALESCE(r.edited_at, r.created_at)))
+                                  / 86400.0 / st.half_life_days${cappedDecay ? ', 1000)' : ''})
+             END as weight
+      FROM ratings r
+      WHERE r.store_id = p_store_id AND r.moderation_status <> 'removed' AND r.deleted_at IS NULL
+    ) w ON true
+    GROUP BY st.prior_weight, st.prior_mean
+  $$ LANGUAGE sql STABLE;
+`;
+
+module.exports = {
+  up: async (client) => {
+    await client.query(storeRatingScoreFunction(true));
+
+    await client.query(`
+      CREATE OR REPLACE FUNCTION set_new_store_rating_score()
+      RETURNS TRIGGER AS $$
+      BEGIN
+        NEW.rating_score := store_rating_score(NEW.id);
+        RETURN NEW;
+      END;
+      $$ LANGUAGE plpgsql;
+    `);
+    await client.query(`
+      CREATE TRIGGER stores_initial_rating_score
+        BEFORE INSERT ON stores
+        FOR EACH ROW
+        EXECUTE FUNCTION set_new_store_rating_score();
+    `);
+
+    // Stores created since the last refresh
+    await client.query('SELECT refresh_store_scores()');
+  },
+
+  down: async (client) => {
+    await client.query('DROP TRIGGER IF EXISTS stores_initial_rating_score ON stores');
+    await client.query('DROP FUNCTION IF EXISTS set_new_store_rating_score()');
+    await client.query(storeRatingScoreFunction(false));
+  }
+};
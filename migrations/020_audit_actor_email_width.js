@@ -0,0 +1,10 @@
+// Audit entries record the actor's email, which can be as long as users.email allows
+module.exports = {
+  up: async (client) => {
+    await client.query('ALTER TABLE audit_log ALTER COLUMN actor_email TYPE VARCHAR(255)');
+  },
+
+  down: async (client) => {
+    await client.query('ALTER TABLE audit_log ALTER COLUMN actor_email TYPE VARCHAR(100) USING LEFT(actor_email, 100)');
+  }
+};
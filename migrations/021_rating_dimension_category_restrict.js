@@ -0,0 +1,21 @@
+// Deleting a category no longer deletes its rating dimensions and their scores; a category
+// with dimensions cannot be deleted until they are moved to another category or deleted
+module.exports = {
+  up: async (client) => {
+    await client.query('ALTER TABLE rating_dimensions DROP CONSTRAINT rating_dimensions_category_id_fkey');
+    await client.query(`
+      ALTER TABLE rating_dimensions
+        ADD CONSTRAINT rating_dimensions_category_id_fkey
+        FOREIGN KEY (category_id) REFERENCES categories(id) ON DELETE RESTRICT
+    `);
+  },
+
+  down: async (client) => {
+    await client.query('ALTER TABLE rating_dimensions DROP CONSTRAINT rating_dimensions_category_id_fkey');
+    await client.query(`
+      ALTER TABLE rating_dimensions
+        ADD CONSTRAINT rating_dimensions_category_id_fkey
+        FOREIGN KEY (category_id) REFERENCES categories(id) ON DELETE CASCADE
+    `);
+  }
+};
@@ -1,12 +1,105 @@
 const express = require('express');
 const bcrypt = require('bcryptjs');
 const { pool } = require('../config/database');
+const { ROLES, isValidRole, normalizeRole } = require('../config/roles');
 const { authenticateToken, requireAdmin } = require('../middleware/auth');
 const { 
   validateUserRegistration, 
   validateStoreCreation,
-  validateUserUpdate 
+  validateUserUpdate,
+  validateModerationAction,
+  validateFilterRuleCreation,
+  validateFilterRuleUpdate,
+  validateFilterTest,
+  validateRatingDimensionCreation,
+  validateRatingDimensionUpdate,
+  validateAuditLogQuery,
+  validateImportQuery,
+  validateStoreImportRow,
+  validateImportReportDownload,
+  validateExportQuery,
+  validateAnalyticsQuery,
+  validateMoversQuery,
+  validateRankingSettings
 } = require('../middleware/validation');
+const { unlockAccount } = require('../utils/loginThrottle');
+const {
+  OWNER_STORES_JOIN,
+  STORE_TAGS_SELECT,
+  STORE_DIMENSIONS_SELECT,
+  storeSortColumn,
+  parseTagFilter,
+  buildStoreFilters,
+  getStoreFacets,
+  setStoreTags
+} = require('../utils/storeQueries');
+const { resolveStoreCoordinates } = require('../utils/geocoder');
+const { MODERATION_STATUS, COUNTED_RATING_CONDITION, RATING_PHOTOS_SELECT } = require('../utils/ratingQueries');
+const { getRuleTypes, validateRuleConfig, filterComment } = require('../utils/contentFilter');
+const { recordAudit } = require('../utils/auditLog');
+const { rollback } = require('../utils/transactions');
+const { softDeleteRetentionDays } = require('../utils/purge');
+const {
+  IMPORT_FIELDS,
+  readImportRows,
+  validateImportRow,
+  generatePassword,
+  createImportReport,
+  takeImportReport
+} = require('../utils/bulkImport');
+const { streamExport } = require('../utils/exporter');
+const { resolveAnalyticsRange, describeRange } = require('../utils/ratingAnalytics');
+const {
+  getPlatformSeries,
+  getPlatformTotals,
+  getRaterCohorts,
+  getStoreMovers
+} = require('../utils/platformAnalytics');
+const { getRankingSettings, refreshStoreScores } = require('../utils/storeRanking');
+
+// Columns of the audit log CSV export
+const AUDIT_LOG_CSV_COLUMNS = [
+  { key: 'id', header: 'id' },
+  { key: 'created_at', header: 'created_at' },
+  { key: 'actor_id', header: 'actor_id' },
+  { key: 'actor_email', header: 'actor_email' },
+  { key: 'actor_role', header: 'actor_role' },
+  { key: 'action', header: 'action' },
+  { key: 'entity_type', header: 'entity_type' },
+  { key: 'entity_id', header: 'entity_id' },
+  { key: 'changes', header: 'changes' },
+  { key: 'details', header: 'details' },
+  { key: 'ip_address', header: 'ip_address' },
+  { key: 'user_agent', header: 'user_agent' }
+];
+
+// Columns of user and store exports (?format=csv|xlsx|json); headers are part of the export contract
+const USER_EXPORT_COLUMNS = [
+  { key: 'id', header: 'id' },
+  { key: 'name', header: 'name' },
+  { key: 'email', header: 'email' },
+  { key: 'address', header: 'address' },
+  { key: 'role', header: 'role' },
+  { key: 'store_count', header: 'store_count', type: 'number' },
+  { header: 'store_names', value: user => (user.stores ? user.stores.map(store => store.name).join('; ') : null) },
+  { key: 'store_rating', header: 'store_rating', type: 'number' },
+  { key: 'created_at', header: 'created_at' }
+];
+
+const STORE_EXPORT_COLUMNS = [
+  { key: 'id', header: 'id' },
+  { key: 'name', header: 'name' },
+  { key: 'email', header: 'email' },
+  { key: 'address', header: 'address' },
+  { key: 'category_name', header: 'category' },
+  { header: 'tags', value: store => store.tags.join('; ') },
+  { key: 'average_rating', header: 'average_rating', type: 'number' },
+  { key: 'total_ratings', header: 'total_ratings', type: 'number' },
+  { key: 'owner_id', header: 'owner_id' },
+  { key: 'owner_name', header: 'owner_name' },
+  { key: 'owner_email', header: 'owner_email' },
+  { key: 'created_at', header: 'created_at' }
+];
 
 const router = express.Router();
 
@@ -17,20 +110,22 @@ router.get('/dashboard', authenticateToken, requireAdmin, async (req, res) => {
   try {
     const stats = await pool.query(`
       SELECT 
-        (SELECT COUNT(*) FROM users) as total_users,
-        (SELECT COUNT(*) FROM users WHERE role ILIKE 'normal_user') as normal_users,
-        (SELECT COUNT(*) FROM users WHERE role ILIKE 'store_owner') as store_owners,
-        (SELECT COUNT(*) FROM users WHERE role ILIKE 'system_admin') as admin_users,
-        (SELECT COUNT(*) FROM stores) as total_stores,
-        (SELECT COUNT(*) FROM ratings) as total_ratings,
-        (SELECT COALESCE(AVG(rating), 0) FROM ratings) as average_rating,
-        (SELECT COUNT(*) FROM stores WHERE total_ratings > 0) as stores_with_ratings
+        (SELECT COUNT(*) FROM users WHERE deleted_at IS NULL) as total_users,
+        (SELECT COUNT(*) FROM users WHERE role = '${ROLES.NORMAL_USER}' AND deleted_at IS NULL) as normal_users,
+        (SELECT COUNT(*) FROM users WHERE role = '${ROLES.STORE_OWNER}' AND deleted_at IS NULL) as store_owners,
+        (SELECT COUNT(*) FROM users WHERE role = '${ROLES.SYSTEM_ADMIN}' AND deleted_at IS NULL) as admin_users,
+        (SELECT COUNT(*) FROM stores WHERE deleted_at IS NULL) as total_stores,
+        (SELECT COUNT(*) FROM ratings r WHERE ${COUNTED_RATING_CONDITION}) as total_ratings,
+        (SELECT COALESCE(AVG(rating), 0) FROM ratings r WHERE ${COUNTED_RATING_CONDITION}) as average_rating,
+        (SELECT COUNT(*) FROM stores WHERE total_ratings > 0 AND deleted_at IS NULL) as stores_with_ratings,
+        (SELECT COUNT(*) FROM ratings WHERE moderation_status = '${MODERATION_STATUS.PENDING}' AND deleted_at IS NULL) as pending_moderation
     `);
 
     // Get recent activities
     const recentUsers = await pool.query(`
       SELECT id, name, email, role, created_at
       FROM users
+      WHERE deleted_at IS NULL
       ORDER BY created_at DESC
       LIMIT 5
     `);
@@ -39,18 +134,20 @@ router.get('/dashboard', authenticateToken, requireAdmin, async (req, res) => {
       SELECT s.id, s.name, s.email, s.average_rating, s.total_ratings, s.created_at,
              u.name as owner_name
       FROM stores s
-      LEFT JOIN users u ON s.owner_id = u.id
+      LEFT JOIN users u ON s.owner_id = u.id AND u.deleted_at IS NULL
+      WHERE s.deleted_at IS NULL
       ORDER BY s.created_at DESC
       LIMIT 5
     `);
 
     const recentRatings = await pool.query(`
-      SELECT r.id, r.rating, r.created_at,
+      SELECT r.id, r.rating, r.moderation_status, r.created_at,
              u.name as user_name,
              s.name as store_name
       FROM ratings r
       JOIN users u ON r.user_id = u.id
       JOIN stores s ON r.store_id = s.id
+      WHERE ${COUNTED_RATING_CONDITION}
       ORDER BY r.created_at DESC
       LIMIT 10
     `);
@@ -72,22 +169,175 @@ router.get('/dashboard', authenticateToken, requireAdmin, async (req, res) => {
   }
 });
 
+// @route   GET /api/admin/analytics
+// @desc    Platform metrics per day, week or month: signups by role, stores created, ratings
+//          submitted, active raters and average rating drift (?granularity=, ?dateFrom=, ?dateTo=)
+// @access  Private (Admin)
+router.get('/analytics', authenticateToken, requireAdmin, validateAnalyticsQuery, async (req, res) => {
+  try {
+    const { granularity = 'day', dateFrom, dateTo } = req.query;
+
+    const range = await resolveAnalyticsRange({ granularity, dateFrom, dateTo });
+    if (range.error) {
+      return res.status(400).json({ message: range.error });
+    }
+
+    const series = await getPlatformSeries(range);
+    const totals = await getPlatformTotals(range);
+
+    res.json({
+      granularity,
+      range: describeRange(range.start, range.end),
+      totals,
+      series
+    });
+  } catch (error) {
+    console.error('Platform analytics error:', error);
+    res.status(500).json({ message: 'Server error fetching analytics' });
+  }
+});
+
+// @route   GET /api/admin/analytics/cohorts
+// @desc    Retention of raters by the week (or ?granularity=) of their first rating
+// @access  Private (Admin)
+router.get('/analytics/cohorts', authenticateToken, requireAdmin, validateAnalyticsQuery, async (req, res) => {
+  try {
+    const { granularity = 'week', dateFrom, dateTo } = req.query;
+
+    const range = await resolveAnalyticsRange({ granularity, dateFrom, dateTo });
+    if (range.error) {
+      return res.status(400).json({ message: range.error });
+    }
+
+    const cohorts = await getRaterCohorts(range);
+
+    res.json({
+      granularity,
+      range: describeRange(range.start, range.end),
+      cohorts
+    });
+  } catch (error) {
+    console.error('Rater cohorts error:', error);
+    res.status(500).json({ message: 'Server error fetching rater cohorts' });
+  }
+});
+
+// @route   GET /api/admin/analytics/movers
+// @desc    Stores whose average rating rose or fell the most against the previous period
+//          (?limit= per direction, ?minRatings= needed in both periods)
+// @access  Private (Admin)
+router.get('/analytics/movers', authenticateToken, requireAdmin, validateMoversQuery, async (req, res) => {
+  try {
+    const { granularity = 'day', dateFrom, dateTo, limit = 5, minRatings = 3 } = req.query;
+
+    const range = await resolveAnalyticsRange({ granularity, dateFrom, dateTo });
+    if (range.error) {
+      return res.status(400).json({ message: range.error });
+    }
+
+    const movers = await getStoreMovers(range, {
+      limit: parseInt(limit),
+      minRatings: parseInt(minRatings)
+    });
+
+    res.json({
+      granularity,
+      range: describeRange(range.start, range.end),
+      previousRange: describeRange(range.previousStart, range.start),
+      minRatings: parseInt(minRatings),
+      ...movers
+    });
+  } catch (error) {
+    console.error('Store movers error:', error);
+    res.status(500).json({ message: 'Server error fetching store movers' });
+  }
+});
+
+// @route   GET /api/admin/ranking
+// @desc    Store ranking settings (prior weight, recency half-life) and the current platform prior
+// @access  Private (Admin)
+router.get('/ranking', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const settings = await getRankingSettings();
+    res.json({ settings });
+  } catch (error) {
+    console.error('Get ranking settings error:', error);
+    res.status(500).json({ message: 'Server error fetching ranking settings' });
+  }
+});
+
+// @route   PUT /api/admin/ranking
+// @desc    Update store ranking settings and recompute every store's score
+// @access  Private (Admin)
+router.put('/ranking', authenticateToken, requireAdmin, validateRankingSettings, async (req, res) => {
+  const { priorWeight, halfLifeDays } = req.body;
+
+  if (priorWeight === undefined && halfLifeDays === undefined) {
+    return res.status(400).json({ message: 'No valid fields to update' });
+  }
+
+  let client;
+
+  try {
+    client = await pool.connect();
+    await client.query('BEGIN');
+
+    const before = await getRankingSettings(client);
+
+    await client.query(`
+      UPDATE store_ranking_settings
+      SET prior_weight = COALESCE($1, prior_weight),
+          half_life_days = CASE WHEN $2 THEN $3::int ELSE half_life_days END,
+          updated_by = $4,
+          updated_at = CURRENT_TIMESTAMP
+    `, [priorWeight === undefined ? null : priorWeight, halfLifeDays !== undefined, halfLifeDays === undefined ? null : halfLifeDays, req.user.id]);
+
+    const updatedStores = await refreshStoreScores(client);
+    const settings = await getRankingSettings(client);
+
+    await recordAudit(req, {
+      action: 'ranking.update',
+      entityType: 'ranking',
+      before: { prior_weight: before.priorWeight, half_life_days: before.halfLifeDays },
+      after: { prior_weight: settings.priorWeight, half_life_days: settings.halfLifeDays }
+    }, client);
+
+    await client.query('COMMIT');
+
+    res.json({
+      message: 'Ranking settings updated successfully',
+      settings,
+      updatedStores
+    });
+  } catch (error) {
+    await rollback(client);
+    console.error('Update ranking settings error:', error);
+    res.status(500).json({ message: 'Server error updating ranking settings' });
+  } finally {
+    if (client) {
+      client.release();
+    }
+  }
+});
+
 // @route   POST /api/admin/users
 // @desc    Create new user (Admin only)
 // @access  Private (Admin)
 router.post('/users', authenticateToken, requireAdmin, validateUserRegistration, async (req, res) => {
+  let client;
+
   try {
-    const { name, email, password, address, role = 'NORMAL_USER' } = req.body;
+    const { name, email, password, address } = req.body;
+    const role = normalizeRole(req.body.role || ROLES.NORMAL_USER);
 
     // Validate role
-    const validRoles = ['SYSTEM_ADMIN', 'NORMAL_USER', 'STORE_OWNER'];
-    if (!validRoles.includes(role)) {
+    if (!isValidRole(role)) {
       return res.status(400).json({ message: 'Invalid role specified' });
     }
 
     // Check if user already exists
     const existingUser = await pool.query(
-      'SELECT id FROM users WHERE email = $1',
+      'SELECT id FROM users WHERE email = $1 AND deleted_at IS NULL',
       [email]
     );
 
@@ -99,23 +349,35 @@ router.post('/users', authenticateToken, requireAdmin, validateUserRegistration,
     const saltRounds = 12;
     const hashedPassword = await bcrypt.hash(password, saltRounds);
 
-    // Create user
-    const result = await pool.query(
-      `INSERT INTO users (name, email, password, address, role) 
-       VALUES ($1, $2, $3, $4, $5) 
+    client = await pool.connect();
+    await client.query('BEGIN');
+
+    // Create user (accounts created by an admin are considered verified)
+    const result = await client.query(
+      `INSERT INTO users (name, email, password, address, role, email_verified_at) 
+       VALUES ($1, $2, $3, $4, $5, CURRENT_TIMESTAMP) 
        RETURNING id, name, email, address, role, created_at`,
       [name, email, hashedPassword, address, role]
     );
 
     const user = result.rows[0];
 
+    await recordAudit(req, { action: 'user.create', entityType: 'user', entityId: user.id, after: user }, client);
+
+    await client.query('COMMIT');
+
     res.status(201).json({
       message: 'User created successfully',
       user
     });
   } catch (error) {
+    await rollback(client);
     console.error('Admin create user error:', error);
     res.status(500).json({ message: 'Server error creating user' });
+  } finally {
+    if (client) {
+      client.release();
+    }
   }
 });
 
@@ -123,12 +385,14 @@ router.post('/users', authenticateToken, requireAdmin, validateUserRegistration,
 // @desc    Create new store (Admin only)
 // @access  Private (Admin)
 router.post('/stores', authenticateToken, requireAdmin, validateStoreCreation, async (req, res) => {
+  let client;
+
   try {
-    const { name, email, address, ownerId } = req.body;
+    const { name, email, address, ownerId, categoryId, tags, latitude, longitude } = req.body;
 
     // Check if store email already exists
     const existingStore = await pool.query(
-      'SELECT id FROM stores WHERE email = $1',
+      'SELECT id FROM stores WHERE email = $1 AND deleted_at IS NULL',
       [email]
     );
 
@@ -139,7 +403,7 @@ router.post('/stores', authenticateToken, requireAdmin, validateStoreCreation, a
     // If ownerId provided, verify the user exists and is a store owner
     if (ownerId) {
       const ownerCheck = await pool.query(
-        'SELECT id, role FROM users WHERE id = $1',
+        'SELECT id, role FROM users WHERE id = $1 AND deleted_at IS NULL',
         [ownerId]
       );
 
@@ -147,30 +411,40 @@ router.post('/stores', authenticateToken, requireAdmin, validateStoreCreation, a
         return res.status(400).json({ message: 'Owner not found' });
       }
 
-      if (ownerCheck.rows[0].role !== 'STORE_OWNER') {
+      if (ownerCheck.rows[0].role !== ROLES.STORE_OWNER) {
         return res.status(400).json({ message: 'User must be a store owner' });
       }
+    }
 
-      // Check if owner already has a store
-      const existingOwnerStore = await pool.query(
-        'SELECT id FROM stores WHERE owner_id = $1',
-        [ownerId]
-      );
-
-      if (existingOwnerStore.rows.length > 0) {
-        return res.status(400).json({ message: 'Store owner already has a store' });
+    // If categoryId provided, verify the category exists
+    if (categoryId) {
+      const categoryCheck = await pool.query('SELECT id FROM categories WHERE id = $1', [categoryId]);
+      if (categoryCheck.rows.length === 0) {
+        return res.status(400).json({ message: 'Category not found' });
       }
     }
 
+    // Use the given coordinates or geocode the address
+    const coordinates = await resolveStoreCoordinates({ latitude, longitude, address });
+
+    client = await pool.connect();
+    await client.query('BEGIN');
+
     // Create store
-    const result = await pool.query(
-      `INSERT INTO stores (name, email, address, owner_id) 
-       VALUES ($1, $2, $3, $4) 
-       RETURNING id, name, email, address, owner_id, average_rating, total_ratings, created_at`,
-      [name, email, address, ownerId || null]
+    const result = await client.query(
+      `INSERT INTO stores (name, email, address, owner_id, category_id, latitude, longitude) 
+       VALUES ($1, $2, $3, $4, $5, $6, $7) 
+       RETURNING id, name, email, address, owner_id, category_id, latitude, longitude,
+                 average_rating, total_ratings, created_at`,
+      [name, email, address, ownerId || null, categoryId || null, coordinates.latitude, coordinates.longitude]
     );
 
     const store = result.rows[0];
+    store.tags = await setStoreTags(store.id, tags || [], client);
+
+    await recordAudit(req, { action: 'store.create', entityType: 'store', entityId: store.id, after: store }, client);
+
+    await client.query('COMMIT');
 
     // Get owner details if exists
     let storeWithOwner = store;
@@ -190,15 +464,318 @@ router.post('/stores', authenticateToken, requireAdmin, validateStoreCreation, a
       store: storeWithOwner
     });
   } catch (error) {
+    await rollback(client);
     console.error('Admin create store error:', error);
     res.status(500).json({ message: 'Server error creating store' });
+  } finally {
+    if (client) {
+      client.release();
+    }
+  }
+});
+
+// CSV bodies for the bulk import routes (JSON bodies are parsed by the app)
+const importBody = express.text({ type: ['text/csv', 'application/csv'], limit: '5mb' });
+
+// Columns of the one-time report of generated passwords
+const IMPORT_REPORT_COLUMNS = [
+  { key: 'row', header: 'row' },
+  { key: 'email', header: 'email' },
+  { key: 'name', header: 'name' },
+  { key: 'password', header: 'password' }
+];
+
+// Response for an import whose rows did not all validate: nothing is written
+const sendImportErrors = (res, dryRun, totalRows, errors) => {
+  const invalidRows = new Set(errors.map(error => error.row)).size;
+
+  if (dryRun) {
+    return res.json({ dryRun: true, totalRows, validRows: totalRows - invalidRows, errors });
+  }
+
+  return res.status(400).json({
+    message: 'Import failed validation; nothing was imported',
+    totalRows,
+    validRows: totalRows - invalidRows,
+    errors
+  });
+};
+
+// @route   POST /api/admin/import/users
+// @desc    Bulk create users from CSV (text/csv) or JSON rows; ?dryRun=true only validates.
+//          Rows without a password get a generated one, returned once through a report token.
+// @access  Private (Admin)
+router.post('/import/users', authenticateToken, requireAdmin, validateImportQuery, importBody, async (req, res) => {
+  const dryRun = req.query.dryRun === 'true';
+  const parsed = readImportRows(req.body, IMPORT_FIELDS.users);
+  if (parsed.error) {
+    return res.status(400).json({ message: parsed.error });
+  }
+
+  let client;
+
+  try {
+    const rows = [];
+    const errors = [];
+    const emailRows = new Map();
+
+    // Validate every row with the same rules as single user creation
+    for (const [index, row] of parsed.rows.entries()) {
+      const rowNumber = index + 1;
+      const generated = row.password === undefined;
+      const { values, errors: rowErrors } = await validateImportRow(
+        validateUserRegistration,
+        generated ? { ...row, password: generatePassword() } : row
+      );
+
+      values.role = normalizeRole(values.role || ROLES.NORMAL_USER);
+      if (!isValidRole(values.role)) {
+        rowErrors.push({ field: 'role', message: 'Invalid role specified' });
+      }
+
+      if (emailRows.has(values.email)) {
+        rowErrors.push({ field: 'email', message: `Same email as row ${emailRows.get(values.email)}` });
+      } else if (values.email) {
+        emailRows.set(values.email, rowNumber);
+      }
+
+      errors.push(...rowErrors.map(error => ({ row: rowNumber, ...error })));
+      rows.push({ rowNumber, values, generated });
+    }
+
+    const existing = await pool.query(
+      'SELECT email FROM users WHERE email = ANY($1::varchar[]) AND deleted_at IS NULL',
+      [[...emailRows.keys()]]
+    );
+    for (const { email } of existing.rows) {
+      errors.push({ row: emailRows.get(email), field: 'email', message: 'User already exists with this email' });
+    }
+
+    if (errors.length > 0 || dryRun) {
+      errors.sort((a, b) => a.row - b.row);
+      return sendImportErrors(res, dryRun, rows.length, errors);
+    }
+
+    // Hash before the transaction so it is not held open for the slow part
+    const saltRounds = 12;
+    for (const row of rows) {
+      row.hashedPassword = await bcrypt.hash(row.values.password, saltRounds);
+    }
+
+    client = await pool.connect();
+    await client.query('BEGIN');
+
+    const created = [];
+    const generatedPasswords = [];
+
+    for (const { rowNumber, values, generated, hashedPassword } of rows) {
+      // Accounts created by an admin are considered verified
+      const result = await client.query(
+        `INSERT INTO users (name, email, password, address, role, email_verified_at)
+         VALUES ($1, $2, $3, $4, $5, CURRENT_TIMESTAMP)
+         RETURNING id, name, email, address, role, created_at`,
+        [values.name, values.email, hashedPassword, values.address, values.role]
+      );
+
+      const user = result.rows[0];
+      created.push({ row: rowNumber, ...user });
+
+      if (generated) {
+        generatedPasswords.push({ row: rowNumber, email: user.email, name: user.name, password: values.password });
+      }
+
+      await recordAudit(req, {
+        action: 'user.create',
+        entityType: 'user',
+        entityId: user.id,
+        after: user,
+        details: { source: 'import' }
+      }, client);
+    }
+
+    const report = generatedPasswords.length > 0
+      ? await createImportReport(IMPORT_REPORT_COLUMNS, generatedPasswords, req.user.id, client)
+      : null;
+
+    await client.query('COMMIT');
+
+    res.status(201).json({
+      message: `Imported ${created.length} user(s)`,
+      users: created,
+      generatedPasswords: generatedPasswords.length,
+      // Download once with POST /api/admin/import/report before it expires
+      report
+    });
+  } catch (error) {
+    await rollback(client);
+    console.error('Import users error:', error);
+    res.status(500).json({ message: 'Server error importing users' });
+  } finally {
+    if (client) {
+      client.release();
+    }
+  }
+});
+
+// @route   POST /api/admin/import/stores
+// @desc    Bulk create stores from CSV (text/csv) or JSON rows, owners given by email; ?dryRun=true only validates
+// @access  Private (Admin)
+router.post('/import/stores', authenticateToken, requireAdmin, validateImportQuery, importBody, async (req, res) => {
+  const dryRun = req.query.dryRun === 'true';
+  const parsed = readImportRows(req.body, IMPORT_FIELDS.stores);
+  if (parsed.error) {
+    return res.status(400).json({ message: parsed.error });
+  }
+
+  let client;
+
+  try {
+    const rows = [];
+    const errors = [];
+    const emailRows = new Map();
+
+    // Validate every row with the same rules as single store creation
+    for (const [index, row] of parsed.rows.entries()) {
+      const rowNumber = index + 1;
+      const { values, errors: rowErrors } = await validateImportRow(validateStoreImportRow, row);
+
+      if (emailRows.has(values.email)) {
+        rowErrors.push({ field: 'email', message: `Same email as row ${emailRows.get(values.email)}` });
+      } else if (values.email) {
+        emailRows.set(values.email, rowNumber);
+      }
+
+      errors.push(...rowErrors.map(error => ({ row: rowNumber, ...error })));
+      rows.push({ rowNumber, values });
+    }
+
+    const existing = await pool.query(
+      'SELECT email FROM stores WHERE email = ANY($1::varchar[]) AND deleted_at IS NULL',
+      [[...emailRows.keys()]]
+    );
+    for (const { email } of existing.rows) {
+      errors.push({ row: emailRows.get(email), field: 'email', message: 'Store already exists with this email' });
+    }
+
+    // Resolve owners by email; they must be existing store owners
+    const ownerEmails = [...new Set(rows.map(row => row.values.ownerEmail).filter(Boolean))];
+    const ownerResult = await pool.query(
+      'SELECT id, email, role FROM users WHERE email = ANY($1::varchar[]) AND deleted_at IS NULL',
+      [ownerEmails]
+    );
+    const owners = new Map(ownerResult.rows.map(owner => [owner.email, owner]));
+
+    const categoryIds = [...new Set(rows.map(row => row.values.categoryId).filter(Number.isInteger))];
+    const categoryResult = await pool.query('SELECT id FROM categories WHERE id = ANY($1::int[])', [categoryIds]);
+    const categories = new Set(categoryResult.rows.map(category => category.id));
+
+    for (const { rowNumber, values } of rows) {
+      if (values.ownerEmail) {
+        const owner = owners.get(values.ownerEmail);
+        if (!owner) {
+          errors.push({ row: rowNumber, field: 'ownerEmail', message: 'Owner not found' });
+        } else if (owner.role !== ROLES.STORE_OWNER) {
+          errors.push({ row: rowNumber, field: 'ownerEmail', message: 'User must be a store owner' });
+        } else {
+          values.ownerId = owner.id;
+        }
+      }
+
+      if (Number.isInteger(values.categoryId) && !categories.has(values.categoryId)) {
+        errors.push({ row: rowNumber, field: 'categoryId', message: 'Category not found' });
+      }
+    }
+
+    if (errors.length > 0 || dryRun) {
+      errors.sort((a, b) => a.row - b.row);
+      return sendImportErrors(res, dryRun, rows.length, errors);
+    }
+
+    // Geocode before the transaction so it is not held open for the slow part
+    for (const row of rows) {
+      const { latitude, longitude, address } = row.values;
+      row.coordinates = await resolveStoreCoordinates({ latitude, longitude, address });
+    }
+
+    client = await pool.connect();
+    await client.query('BEGIN');
+
+    const created = [];
+
+    for (const { rowNumber, values, coordinates } of rows) {
+      const result = await client.query(
+        `INSERT INTO stores (name, email, address, owner_id, category_id, latitude, longitude)
+         VALUES ($1, $2, $3, $4, $5, $6, $7)
+         RETURNING id, name, email, address, owner_id, category_id, latitude, longitude, created_at`,
+        [
+          values.name,
+          values.email,
+          values.address,
+          values.ownerId || null,
+          values.categoryId || null,
+          coordinates.latitude,
+          coordinates.longitude
+        ]
+      );
+
+      const store = result.rows[0];
+      store.tags = await setStoreTags(store.id, values.tags || [], client);
+      created.push({ row: rowNumber, ...store });
+
+      await recordAudit(req, {
+        action: 'store.create',
+        entityType: 'store',
+        entityId: store.id,
+        after: store,
+        details: { source: 'import' }
+      }, client);
+    }
+
+    await client.query('COMMIT');
+
+    res.status(201).json({
+      message: `Imported ${created.length} store(s)`,
+      stores: created
+    });
+  } catch (error) {
+    await rollback(client);
+    console.error('Import stores error:', error);
+    res.status(500).json({ message: 'Server error importing stores' });
+  } finally {
+    if (client) {
+      client.release();
+    }
+  }
+});
+
+// @route   POST /api/admin/import/report
+// @desc    Download the one-time CSV report of generated passwords ({ token }); it is deleted on download
+// @access  Private (Admin who ran the import)
+router.post('/import/report', authenticateToken, requireAdmin, validateImportReportDownload, async (req, res) => {
+  try {
+    const report = await takeImportReport(req.body.token, req.user.id);
+    if (report === null) {
+      return res.status(404).json({ message: 'Report not found, already downloaded or expired' });
+    }
+
+    await recordAudit(req, { action: 'import.report_download', entityType: 'import_report' });
+
+    res.set({
+      'Content-Type': 'text/csv; charset=utf-8',
+      'Content-Disposition': 'attachment; filename="import-passwords.csv"',
+      'Cache-Control': 'no-store'
+    });
+    res.send(report);
+  } catch (error) {
+    console.error('Download import report error:', error);
+    res.status(500).json({ message: 'Server error downloading import report' });
   }
 });
 
 // @route   GET /api/admin/users
-// @desc    Get all users with advanced filtering (Admin only)
+// @desc    Get all users with advanced filtering (Admin only); ?format=csv|xlsx|json exports every match
 // @access  Private (Admin)
-router.get('/users', authenticateToken, requireAdmin, async (req, res) => {
+router.get('/users', authenticateToken, requireAdmin, validateExportQuery, async (req, res) => {
   try {
     const { 
       page = 1, 
@@ -209,7 +786,8 @@ router.get('/users', authenticateToken, requireAdmin, async (req, res) => {
       searchBy = 'name',
       role = '',
       dateFrom = '',
-      dateTo = ''
+      dateTo = '',
+      format
     } = req.query;
 
     const offset = (page - 1) * limit;
@@ -225,17 +803,10 @@ router.get('/users', authenticateToken, requireAdmin, async (req, res) => {
     // Build query
     let query = `
       SELECT u.id, u.name, u.email, u.address, u.role, u.created_at,
-             CASE 
-               WHEN u.role = 'STORE_OWNER' THEN s.average_rating
-               ELSE NULL 
-             END as store_rating,
-             CASE 
-               WHEN u.role = 'STORE_OWNER' THEN s.name
-               ELSE NULL 
-             END as store_name
+             os.store_rating, os.store_name, os.store_count, os.stores
       FROM users u
-      LEFT JOIN stores s ON u.id = s.owner_id AND u.role = 'STORE_OWNER'
-      WHERE 1=1
+      ${OWNER_STORES_JOIN}
+      WHERE u.deleted_at IS NULL
     `;
     
     const queryParams = [];
@@ -252,7 +823,7 @@ router.get('/users', authenticateToken, requireAdmin, async (req, res) => {
     if (role) {
       paramCount++;
       query += ` AND u.role = $${paramCount}`;
-      queryParams.push(role);
+      queryParams.push(normalizeRole(role));
     }
 
     // Add date filters
@@ -269,7 +840,17 @@ router.get('/users', authenticateToken, requireAdmin, async (req, res) => {
     }
 
     // Add sorting
-    query += ` ORDER BY u.${sortField} ${order}`;
+    query += ` ORDER BY u.${sortField} ${order}, u.id`;
+
+    if (format) {
+      return await streamExport(res, {
+        format,
+        filename: 'users',
+        columns: USER_EXPORT_COLUMNS,
+        query,
+        params: queryParams
+      });
+    }
 
     // Add pagination
     paramCount++;
@@ -283,7 +864,7 @@ router.get('/users', authenticateToken, requireAdmin, async (req, res) => {
     const result = await pool.query(query, queryParams);
 
     // Get total count
-    let countQuery = 'SELECT COUNT(*) FROM users u WHERE 1=1';
+    let countQuery = 'SELECT COUNT(*) FROM users u WHERE u.deleted_at IS NULL';
     const countParams = [];
     let countParamCount = 0;
 
@@ -296,7 +877,7 @@ router.get('/users', authenticateToken, requireAdmin, async (req, res) => {
     if (role) {
       countParamCount++;
       countQuery += ` AND u.role = $${countParamCount}`;
-      countParams.push(role);
+      countParams.push(normalizeRole(role));
     }
 
     if (dateFrom) {
@@ -341,9 +922,9 @@ router.get('/users', authenticateToken, requireAdmin, async (req, res) => {
 });
 
 // @route   GET /api/admin/stores
-// @desc    Get all stores with advanced filtering (Admin only)
+// @desc    Get all stores with advanced filtering (Admin only); ?format=csv|xlsx|json exports every match
 // @access  Private (Admin)
-router.get('/stores', authenticateToken, requireAdmin, async (req, res) => {
+router.get('/stores', authenticateToken, requireAdmin, validateExportQuery, async (req, res) => {
   try {
     const { 
       page = 1, 
@@ -355,11 +936,14 @@ router.get('/stores', authenticateToken, requireAdmin, async (req, res) => {
       minRating = '',
       maxRating = '',
       dateFrom = '',
-      dateTo = ''
+      dateTo = '',
+      category = '',
+      tag = '',
+      format
     } = req.query;
 
     const offset = (page - 1) * limit;
-    const validSortFields = ['name', 'email', 'address', 'average_rating', 'total_ratings', 'created_at'];
+    const validSortFields = ['name', 'email', 'address', 'average_rating', 'total_ratings', 'score', 'created_at'];
     const validSortOrders = ['asc', 'desc'];
     const validSearchFields = ['name', 'email', 'address'];
 
@@ -368,53 +952,46 @@ router.get('/stores', authenticateToken, requireAdmin, async (req, res) => {
     const order = validSortOrders.includes(sortOrder.toLowerCase()) ? sortOrder.toUpperCase() : 'ASC';
     const searchField = validSearchFields.includes(searchBy) ? searchBy : 'name';
 
-    // Build query
+    const filters = {
+      search,
+      searchField,
+      minRating,
+      maxRating,
+      dateFrom,
+      dateTo,
+      category,
+      tags: parseTagFilter(tag)
+    };
+
+    // Build query with search, rating, date, category and tag filters
+    const storeFilters = buildStoreFilters(filters);
     let query = `
-      SELECT s.id, s.name, s.email, s.address, s.average_rating, s.total_ratings, s.created_at,
-             u.name as owner_name, u.id as owner_id, u.email as owner_email
+      SELECT s.id, s.name, s.email, s.address, s.average_rating, s.total_ratings, s.rating_score, s.created_at,
+             u.name as owner_name, u.id as owner_id, u.email as owner_email,
+             c.id as category_id, c.name as category_name,
+             ${STORE_TAGS_SELECT} as tags,
+             ${STORE_DIMENSIONS_SELECT} as dimension_averages
       FROM stores s
-      LEFT JOIN users u ON s.owner_id = u.id
-      WHERE 1=1
+      LEFT JOIN users u ON s.owner_id = u.id AND u.deleted_at IS NULL
+      LEFT JOIN categories c ON s.category_id = c.id
+      WHERE 1=1${storeFilters.where}
     `;
     
-    const queryParams = [];
-    let paramCount = 0;
-
-    // Add search filter
-    if (search) {
-      paramCount++;
-      query += ` AND LOWER(s.${searchField}) LIKE LOWER($${paramCount})`;
-      queryParams.push(`%${search}%`);
-    }
-
-    // Add rating filters
-    if (minRating) {
-      paramCount++;
-      query += ` AND s.average_rating >= $${paramCount}`;
-      queryParams.push(parseFloat(minRating));
-    }
-
-    if (maxRating) {
-      paramCount++;
-      query += ` AND s.average_rating <= $${paramCount}`;
-      queryParams.push(parseFloat(maxRating));
-    }
-
-    // Add date filters
-    if (dateFrom) {
-      paramCount++;
-      query += ` AND s.created_at >= $${paramCount}`;
-      queryParams.push(dateFrom);
-    }
-
-    if (dateTo) {
-      paramCount++;
-      query += ` AND s.created_at <= $${paramCount}`;
-      queryParams.push(dateTo + ' 23:59:59');
-    }
+    const queryParams = [...storeFilters.params];
+    let paramCount = queryParams.length;
 
     // Add sorting
-    query += ` ORDER BY s.${sortField} ${order}`;
+    query += ` ORDER BY ${storeSortColumn(sortField)} ${order}, s.id`;
+
+    if (format) {
+      return await streamExport(res, {
+        format,
+        filename: 'stores',
+        columns: STORE_EXPORT_COLUMNS,
+        query,
+        params: queryParams
+      });
+    }
 
     // Add pagination
     paramCount++;
@@ -435,7 +1012,14 @@ router.get('/stores', authenticateToken, requireAdmin, async (req, res) => {
       address: store.address,
       average_rating: store.average_rating,
       total_ratings: store.total_ratings,
+      rating_score: store.rating_score,
       created_at: store.created_at,
+      category: store.category_id ? {
+        id: store.category_id,
+        name: store.category_name
+      } : null,
+      tags: store.tags,
+      dimension_averages: store.dimension_averages,
       owner: {
         id: store.owner_id,
         name: store.owner_name,
@@ -444,46 +1028,18 @@ router.get('/stores', authenticateToken, requireAdmin, async (req, res) => {
     }));
 
     // Get total count with same filters
-    let countQuery = 'SELECT COUNT(*) FROM stores s WHERE 1=1';
-    const countParams = [];
-    let countParamCount = 0;
-
-    if (search) {
-      countParamCount++;
-      countQuery += ` AND LOWER(s.${searchField}) LIKE LOWER($${countParamCount})`;
-      countParams.push(`%${search}%`);
-    }
-
-    if (minRating) {
-      countParamCount++;
-      countQuery += ` AND s.average_rating >= $${countParamCount}`;
-      countParams.push(parseFloat(minRating));
-    }
-
-    if (maxRating) {
-      countParamCount++;
-      countQuery += ` AND s.average_rating <= $${countParamCount}`;
-      countParams.push(parseFloat(maxRating));
-    }
-
-    if (dateFrom) {
-      countParamCount++;
-      countQuery += ` AND s.created_at >= $${countParamCount}`;
-      countParams.push(dateFrom);
-    }
-
-    if (dateTo) {
-      countParamCount++;
-      countQuery += ` AND s.created_at <= $${countParamCount}`;
-      countParams.push(dateTo + ' 23:59:59');
-    }
-
-    const countResult = await pool.query(countQuery, countParams);
+    const countResult = await pool.query(
+      `SELECT COUNT(*) FROM stores s WHERE 1=1${storeFilters.where}`,
+      storeFilters.params
+    );
     const totalStores = parseInt(countResult.rows[0].count);
     const totalPages = Math.ceil(totalStores / limit);
 
+    const facets = await getStoreFacets(filters);
+
     res.json({
       stores: transformedStores,
+      facets,
       pagination: {
         currentPage: parseInt(page),
         totalPages,
@@ -498,6 +1054,8 @@ router.get('/stores', authenticateToken, requireAdmin, async (req, res) => {
         maxRating,
         dateFrom,
         dateTo,
+        category,
+        tag,
         sortBy,
         sortOrder
       }
@@ -508,16 +1066,1117 @@ router.get('/stores', authenticateToken, requireAdmin, async (req, res) => {
   }
 });
 
+// @route   POST /api/admin/users/:id/unlock
+// @desc    Unlock an account locked after failed login attempts
+// @access  Private (Admin)
+router.post('/users/:id/unlock', authenticateToken, requireAdmin, async (req, res) => {
+  let client;
+
+  try {
+    const userResult = await pool.query(
+      'SELECT id, email FROM users WHERE id = $1 AND deleted_at IS NULL',
+      [req.params.id]
+    );
+
+    if (userResult.rows.length === 0) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    client = await pool.connect();
+    await client.query('BEGIN');
+
+    const wasLocked = await unlockAccount(userResult.rows[0], req.user.id, req.ip, client);
+
+    if (wasLocked) {
+      await recordAudit(req, { action: 'user.unlock', entityType: 'user', entityId: userResult.rows[0].id }, client);
+    }
+
+    await client.query('COMMIT');
+
+    res.json({ 
+      message: wasLocked ? 'Account unlocked successfully' : 'Account was not locked',
+      unlocked: wasLocked
+    });
+  } catch (error) {
+    await rollback(client);
+    console.error('Unlock account error:', error);
+    res.status(500).json({ message: 'Server error unlocking account' });
+  } finally {
+    if (client) {
+      client.release();
+    }
+  }
+});
+
+// @route   GET /api/admin/moderation
+// @desc    List reviews by moderation status (default: pending) with their reports
+// @access  Private (Admin)
+router.get('/moderation', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const { page = 1, limit = 10, status = MODERATION_STATUS.PENDING, sortOrder = 'asc' } = req.query;
+
+    const offset = (page - 1) * limit;
+    const validStatuses = Object.values(MODERATION_STATUS);
+    const moderationStatus = validStatuses.includes(status) ? status : MODERATION_STATUS.PENDING;
+    const order = sortOrder.toLowerCase() === 'desc' ? 'DESC' : 'ASC';
+
+    // Oldest reported first by default so the queue is worked in order
+    const result = await pool.query(`
+      SELECT r.id, r.rating, r.comment, r.moderation_status, r.moderation_reason, r.moderated_at,
+             r.created_at, r.updated_at, r.edited_at,
+             r.edited_at IS NOT NULL as edited,
+             ${RATING_PHOTOS_SELECT} as photos,
+             u.id as user_id, u.name as user_name, u.email as user_email,
+             s.id as store_id, s.name as store_name,
+             mu.name as moderated_by_name,
+             COALESCE(rep.open_reports, 0) as open_reports,
+             COALESCE(rep.reports, '[]'::json) as reports,
+             rep.first_reported_at
+      FROM ratings r
+      JOIN users u ON r.user_id = u.id
+      JOIN stores s ON r.store_id = s.id
+      LEFT JOIN users mu ON r.moderated_by = mu.id
+      LEFT JOIN LATERAL (
+        SELECT COUNT(*) FILTER (WHERE rr.status = 'open')::int as open_reports,
+               MIN(rr.created_at) as first_reported_at,
+               json_agg(json_build_object(
+                 'id', rr.id,
+                 'reason', rr.reason,
+                 'details', rr.details,
+                 'status', rr.status,
+                 'reporter_name', ru.name,
+                 'created_at', rr.created_at
+               ) ORDER BY rr.created_at) as reports
+        FROM rating_reports rr
+        JOIN users ru ON rr.reporter_id = ru.id
+        WHERE rr.rating_id = r.id
+      ) rep ON true
+      WHERE r.moderation_status = $1 AND r.deleted_at IS NULL
+      ORDER BY COALESCE(rep.first_reported_at, r.created_at) ${order}, r.id
+      LIMIT $2 OFFSET $3
+    `, [moderationStatus, limit, offset]);
+
+    const countResult = await pool.query(
+      'SELECT COUNT(*) FROM ratings WHERE moderation_status = $1 AND deleted_at IS NULL',
+      [moderationStatus]
+    );
+    const totalRatings = parseInt(countResult.rows[0].count);
+    const totalPages = Math.ceil(totalRatings / limit);
+
+    res.json({
+      ratings: result.rows,
+      pagination: {
+        currentPage: parseInt(page),
+        totalPages,
+        totalRatings,
+        hasNext: page < totalPages,
+        hasPrev: page > 1
+      },
+      filters: {
+        status: moderationStatus,
+        sortOrder
+      }
+    });
+  } catch (error) {
+    console.error('Get moderation queue error:', error);
+    res.status(500).json({ message: 'Server error fetching moderation queue' });
+  }
+});
+
+// Moderation actions: the status each one sets, the statuses it applies to,
+// and how it resolves the open reports of the review (null leaves them open)
+const MODERATION_ACTIONS = {
+  approve: {
+    status: MODERATION_STATUS.VISIBLE,
+    from: [MODERATION_STATUS.VISIBLE, MODERATION_STATUS.PENDING],
+    reportStatus: 'dismissed',
+    message: 'Review approved'
+  },
+  hide: {
+    status: MODERATION_STATUS.HIDDEN,
+    from: [MODERATION_STATUS.VISIBLE, MODERATION_STATUS.PENDING],
+    reportStatus: 'upheld',
+    message: 'Review comment hidden'
+  },
+  remove: {
+    status: MODERATION_STATUS.REMOVED,
+    from: [MODERATION_STATUS.VISIBLE, MODERATION_STATUS.PENDING, MODERATION_STATUS.HIDDEN],
+    reportStatus: 'upheld',
+    message: 'Review removed'
+  },
+  restore: {
+    status: MODERATION_STATUS.VISIBLE,
+    from: [MODERATION_STATUS.HIDDEN, MODERATION_STATUS.REMOVED],
+    reportStatus: null,
+    message: 'Review restored'
+  }
+};
+
+// @route   POST /api/admin/moderation/:ratingId/:action
+// @desc    Approve, hide, remove or restore a review
+// @access  Private (Admin)
+router.post('/moderation/:ratingId/:action', authenticateToken, requireAdmin, validateModerationAction, async (req, res) => {
+  const action = MODERATION_ACTIONS[req.params.action];
+  if (!action) {
+    return res.status(404).json({ message: 'Route not found' });
+  }
+
+  let client;
+
+  try {
+    const ratingId = req.params.ratingId;
+    const { reason } = req.body;
+
+    client = await pool.connect();
+    await client.query('BEGIN');
+
+    const ratingResult = await client.query(
+      'SELECT id, moderation_status FROM ratings WHERE id = $1 AND deleted_at IS NULL FOR UPDATE',
+      [ratingId]
+    );
+
+    if (ratingResult.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({ message: 'Rating not found' });
+    }
+
+    const currentStatus = ratingResult.rows[0].moderation_status;
+    if (!action.from.includes(currentStatus)) {
+      await client.query('ROLLBACK');
+      return res.status(400).json({ 
+        message: `Cannot ${req.params.action} a review that is ${currentStatus}` 
+      });
+    }
+
+    // Updating the rating re-runs the store average trigger, which skips removed reviews
+    const result = await client.query(
+      `UPDATE ratings
+       SET moderation_status = $1, moderation_reason = $2, moderated_by = $3, moderated_at = CURRENT_TIMESTAMP
+       WHERE id = $4
+       RETURNING id, store_id, rating, moderation_status, moderation_reason, moderated_at`,
+      [action.status, reason || null, req.user.id, ratingId]
+    );
+
+    let resolvedReports = 0;
+    if (action.reportStatus) {
+      const reportsResult = await client.query(
+        `UPDATE rating_reports
+         SET status = $1, resolved_by = $2, resolved_at = CURRENT_TIMESTAMP
+         WHERE rating_id = $3 AND status = 'open'`,
+        [action.reportStatus, req.user.id, ratingId]
+      );
+      resolvedReports = reportsResult.rowCount;
+    }
+
+    await recordAudit(req, {
+      action: `rating.${req.params.action}`,
+      entityType: 'rating',
+      entityId: result.rows[0].id,
+      before: { moderation_status: currentStatus },
+      after: { moderation_status: result.rows[0].moderation_status },
+      details: { reason: reason || null, resolvedReports }
+    }, client);
+
+    await client.query('COMMIT');
+
+    res.json({
+      message: action.message,
+      rating: result.rows[0],
+      resolvedReports
+    });
+  } catch (error) {
+    await rollback(client);
+    console.error('Moderate rating error:', error);
+    res.status(500).json({ message: 'Server error moderating review' });
+  } finally {
+    if (client) {
+      client.release();
+    }
+  }
+});
+
+// @route   GET /api/admin/ratings/:id/history
+// @desc    Create, update, delete, restore and purge history of a rating with old and new values (also for purged ratings)
+// @access  Private (Admin)
+router.get('/ratings/:id/history', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const ratingId = parseInt(req.params.id);
+    if (!Number.isInteger(ratingId)) {
+      return res.status(400).json({ message: 'Invalid rating id' });
+    }
+
+    const historyResult = await pool.query(`
+      SELECT h.id, h.action, h.old_rating, h.new_rating, h.old_comment, h.new_comment, h.created_at,
+             h.user_id, u.name as user_name, h.store_id, s.name as store_name
+      FROM rating_history h
+      LEFT JOIN users u ON h.user_id = u.id
+      LEFT JOIN stores s ON h.store_id = s.id
+      WHERE h.rating_id = $1
+      ORDER BY h.created_at, h.id
+    `, [ratingId]);
+
+    const ratingResult = await pool.query(`
+      SELECT r.id, r.user_id, r.store_id, r.rating, r.comment, r.moderation_status,
+             r.created_at, r.updated_at, r.edited_at, r.deleted_at
+      FROM ratings r
+      WHERE r.id = $1
+    `, [ratingId]);
+
+    if (historyResult.rows.length === 0 && ratingResult.rows.length === 0) {
+      return res.status(404).json({ message: 'Rating not found' });
+    }
+
+    res.json({
+      // null once the rating has been purged
+      rating: ratingResult.rows[0] || null,
+      history: historyResult.rows
+    });
+  } catch (error) {
+    console.error('Get rating history error:', error);
+    res.status(500).json({ message: 'Server error fetching rating history' });
+  }
+});
+
+// Listings of soft-deleted records, keyed by the :type route parameter
+const DELETED_LISTINGS = {
+  users: {
+    table: 'users',
+    select: `SELECT u.id, u.name, u.email, u.address, u.role, u.created_at, u.deleted_at
+             FROM users u`,
+    alias: 'u'
+  },
+  stores: {
+    table: 'stores',
+    select: `SELECT s.id, s.name, s.email, s.address, s.owner_id, s.created_at, s.deleted_at
+             FROM stores s`,
+    alias: 's'
+  },
+  ratings: {
+    table: 'ratings',
+    select: `SELECT r.id, r.rating, r.comment, r.user_id, u.name as user_name, r.store_id, s.name as store_name,
+                    r.created_at, r.deleted_at
+             FROM ratings r
+             JOIN users u ON r.user_id = u.id
+             JOIN stores s ON r.store_id = s.id`,
+    alias: 'r'
+  }
+};
+
+// @route   GET /api/admin/deleted/:type
+// @desc    Soft-deleted users, stores or ratings that can still be restored, most recently deleted first
+// @access  Private (Admin)
+router.get('/deleted/:type', authenticateToken, requireAdmin, async (req, res) => {
+  const listing = DELETED_LISTINGS[req.params.type];
+  if (!listing) {
+    return res.status(404).json({ message: 'Route not found' });
+  }
+
+  try {
+    const { page = 1, limit = 10 } = req.query;
+    const offset = (page - 1) * limit;
+
+    const result = await pool.query(`
+      ${listing.select}
+      WHERE ${listing.alias}.deleted_at IS NOT NULL
+      ORDER BY ${listing.alias}.deleted_at DESC, ${listing.alias}.id
+      LIMIT $1 OFFSET $2
+    `, [limit, offset]);
+
+    const countResult = await pool.query(
+      `SELECT COUNT(*) FROM ${listing.table} WHERE deleted_at IS NOT NULL`
+    );
+    const totalItems = parseInt(countResult.rows[0].count);
+    const totalPages = Math.ceil(totalItems / limit);
+    const retentionDays = softDeleteRetentionDays();
+
+    res.json({
+      items: result.rows.map(row => ({
+        ...row,
+        purge_after: new Date(row.deleted_at.getTime() + retentionDays * 24 * 60 * 60 * 1000)
+      })),
+      retentionDays,
+      pagination: {
+        currentPage: parseInt(page),
+        totalPages,
+        totalItems,
+        hasNext: page < totalPages,
+        hasPrev: page > 1
+      }
+    });
+  } catch (error) {
+    console.error('Get deleted records error:', error);
+    res.status(500).json({ message: 'Server error fetching deleted records' });
+  }
+});
+
+// @route   POST /api/admin/users/:id/restore
+// @desc    Restore a soft-deleted user together with the ratings deleted along with them
+// @access  Private (Admin)
+router.post('/users/:id/restore', authenticateToken, requireAdmin, async (req, res) => {
+  let client;
+
+  try {
+    client = await pool.connect();
+    await client.query('BEGIN');
+
+    const userResult = await client.query(
+      `SELECT id, name, email, address, role, deleted_at
+       FROM users
+       WHERE id = $1 AND deleted_at IS NOT NULL
+       FOR UPDATE`,
+      [req.params.id]
+    );
+
+    if (userResult.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({ message: 'Deleted user not found' });
+    }
+
+    const user = userResult.rows[0];
+
+    const emailCheck = await client.query(
+      'SELECT id FROM users WHERE email = $1 AND deleted_at IS NULL',
+      [user.email]
+    );
+    if (emailCheck.rows.length > 0) {
+      await client.query('ROLLBACK');
+      return res.status(409).json({ message: 'Another user now uses this email' });
+    }
+
+    // Ratings deleted with the user share their deleted_at; ratings of since-deleted stores stay deleted
+    const ratingsResult = await client.query(`
+      UPDATE ratings r
+      SET deleted_at = NULL
+      FROM users u, stores s
+      WHERE u.id = $1 AND r.user_id = u.id AND r.deleted_at = u.deleted_at
+        AND s.id = r.store_id AND s.deleted_at IS NULL
+    `, [user.id]);
+
+    const result = await client.query(
+      'UPDATE users SET deleted_at = NULL WHERE id = $1 RETURNING id, name, email, address, role',
+      [user.id]
+    );
+
+    await recordAudit(req, {
+      action: 'user.restore',
+      entityType: 'user',
+      entityId: user.id,
+      details: { deletedAt: user.deleted_at, restoredRatings: ratingsResult.rowCount }
+    }, client);
+
+    await client.query('COMMIT');
+
+    res.json({
+      message: 'User restored successfully',
+      user: result.rows[0],
+      restoredRatings: ratingsResult.rowCount
+    });
+  } catch (error) {
+    await rollback(client);
+    console.error('Restore user error:', error);
+    res.status(500).json({ message: 'Server error restoring user' });
+  } finally {
+    if (client) {
+      client.release();
+    }
+  }
+});
+
+// @route   POST /api/admin/stores/:id/restore
+// @desc    Restore a soft-deleted store together with the ratings deleted along with it
+// @access  Private (Admin)
+router.post('/stores/:id/restore', authenticateToken, requireAdmin, async (req, res) => {
+  let client;
+
+  try {
+    client = await pool.connect();
+    await client.query('BEGIN');
+
+    const storeResult = await client.query(
+      `SELECT id, name, email, address, owner_id, deleted_at
+       FROM stores
+       WHERE id = $1 AND deleted_at IS NOT NULL
+       FOR UPDATE`,
+      [req.params.id]
+    );
+
+    if (storeResult.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({ message: 'Deleted store not found' });
+    }
+
+    const store = storeResult.rows[0];
+
+    const emailCheck = await client.query(
+      'SELECT id FROM stores WHERE email = $1 AND deleted_at IS NULL',
+      [store.email]
+    );
+    if (emailCheck.rows.length > 0) {
+      await client.query('ROLLBACK');
+      return res.status(409).json({ message: 'Another store now uses this email' });
+    }
+
+    // Ratings deleted with the store share its deleted_at; ratings of since-deleted users stay deleted.
+    // Restoring them re-runs the store average trigger.
+    const ratingsResult = await client.query(`
+      UPDATE ratings r
+      SET deleted_at = NULL
+      FROM stores s, users u
+      WHERE s.id = $1 AND r.store_id = s.id AND r.deleted_at = s.deleted_at
+        AND u.id = r.user_id AND u.deleted_at IS NULL
+    `, [store.id]);
+
+    const result = await client.query(
+      `UPDATE stores SET deleted_at = NULL WHERE id = $1
+       RETURNING id, name, email, address, owner_id, average_rating, total_ratings`,
+      [store.id]
+    );
+
+    await recordAudit(req, {
+      action: 'store.restore',
+      entityType: 'store',
+      entityId: store.id,
+      details: { deletedAt: store.deleted_at, restoredRatings: ratingsResult.rowCount }
+    }, client);
+
+    await client.query('COMMIT');
+
+    res.json({
+      message: 'Store restored successfully',
+      store: result.rows[0],
+      restoredRatings: ratingsResult.rowCount
+    });
+  } catch (error) {
+    await rollback(client);
+    console.error('Restore store error:', error);
+    res.status(500).json({ message: 'Server error restoring store' });
+  } finally {
+    if (client) {
+      client.release();
+    }
+  }
+});
+
+// @route   POST /api/admin/ratings/:id/restore
+// @desc    Restore a soft-deleted rating (its author and store must not be deleted)
+// @access  Private (Admin)
+router.post('/ratings/:id/restore', authenticateToken, requireAdmin, async (req, res) => {
+  let client;
+
+  try {
+    client = await pool.connect();
+    await client.query('BEGIN');
+
+    const ratingResult = await client.query(
+      `SELECT r.id, r.user_id, r.store_id, r.rating, r.deleted_at,
+              u.deleted_at IS NOT NULL as user_deleted,
+              s.deleted_at IS NOT NULL as store_deleted
+       FROM ratings r
+       JOIN users u ON r.user_id = u.id
+       JOIN stores s ON r.store_id = s.id
+       WHERE r.id = $1 AND r.deleted_at IS NOT NULL
+       FOR UPDATE OF r`,
+      [req.params.id]
+    );
+
+    if (ratingResult.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({ message: 'Deleted rating not found' });
+    }
+
+    const rating = ratingResult.rows[0];
+
+    if (rating.user_deleted || rating.store_deleted) {
+      await client.query('ROLLBACK');
+      return res.status(409).json({
+        message: `Restore the ${rating.user_deleted ? 'user' : 'store'} first`
+      });
+    }
+
+    // One rating per user and store: the user may have rated the store again since
+    const activeCheck = await client.query(
+      'SELECT id FROM ratings WHERE user_id = $1 AND store_id = $2 AND deleted_at IS NULL',
+      [rating.user_id, rating.store_id]
+    );
+    if (activeCheck.rows.length > 0) {
+      await client.query('ROLLBACK');
+      return res.status(409).json({ message: 'The user has rated this store again since' });
+    }
+
+    // Updating the rating re-runs the store average trigger
+    const result = await client.query(
+      `UPDATE ratings SET deleted_at = NULL WHERE id = $1
+       RETURNING id, user_id, store_id, rating, comment, moderation_status, created_at, updated_at`,
+      [rating.id]
+    );
+
+    await recordAudit(req, {
+      action: 'rating.restore',
+      entityType: 'rating',
+      entityId: rating.id,
+      details: { deletedAt: rating.deleted_at }
+    }, client);
+
+    await client.query('COMMIT');
+
+    res.json({
+      message: 'Rating restored successfully',
+      rating: result.rows[0]
+    });
+  } catch (error) {
+    await rollback(client);
+    console.error('Restore rating error:', error);
+    res.status(500).json({ message: 'Server error restoring rating' });
+  } finally {
+    if (client) {
+      client.release();
+    }
+  }
+});
+
+// @route   GET /api/admin/content-filter/rules
+// @desc    List content filter rules in the order they run
+// @access  Private (Admin)
+router.get('/content-filter/rules', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const result = await pool.query(`
+      SELECT id, name, type, action, config, enabled, position, created_at, updated_at
+      FROM content_filter_rules
+      ORDER BY position, id
+    `);
+
+    res.json({
+      rules: result.rows,
+      ruleTypes: getRuleTypes()
+    });
+  } catch (error) {
+    console.error('Get content filter rules error:', error);
+    res.status(500).json({ message: 'Server error fetching content filter rules' });
+  }
+});
+
+// @route   POST /api/admin/content-filter/rules
+// @desc    Create a content filter rule
+// @access  Private (Admin)
+router.post('/content-filter/rules', authenticateToken, requireAdmin, validateFilterRuleCreation, async (req, res) => {
+  let client;
+
+  try {
+    const { name, type, action, config = {}, enabled = true, position = 0 } = req.body;
+
+    const configError = validateRuleConfig(type, config);
+    if (configError) {
+      return res.status(400).json({ message: configError });
+    }
+
+    // Check if rule name already exists
+    const existingRule = await pool.query('SELECT id FROM content_filter_rules WHERE name = $1', [name]);
+    if (existingRule.rows.length > 0) {
+      return res.status(400).json({ message: 'A rule with this name already exists' });
+    }
+
+    client = await pool.connect();
+    await client.query('BEGIN');
+
+    const result = await client.query(
+      `INSERT INTO content_filter_rules (name, type, action, config, enabled, position)
+       VALUES ($1, $2, $3, $4, $5, $6)
+       RETURNING id, name, type, action, config, enabled, position, created_at`,
+      [name, type, action, JSON.stringify(config), enabled, position]
+    );
+
+    const rule = result.rows[0];
+
+    await recordAudit(req, { action: 'content_filter_rule.create', entityType: 'content_filter_rule', entityId: rule.id, after: rule }, client);
+
+    await client.query('COMMIT');
+
+    res.status(201).json({
+      message: 'Content filter rule created successfully',
+      rule
+    });
+  } catch (error) {
+    await rollback(client);
+    console.error('Create content filter rule error:', error);
+    res.status(500).json({ message: 'Server error creating content filter rule' });
+  } finally {
+    if (client) {
+      client.release();
+    }
+  }
+});
+
+// @route   PUT /api/admin/content-filter/rules/:id
+// @desc    Update a content filter rule
+// @access  Private (Admin)
+router.put('/content-filter/rules/:id', authenticateToken, requireAdmin, validateFilterRuleUpdate, async (req, res) => {
+  let client;
+
+  try {
+    const ruleId = req.params.id;
+    const { name, type, action, config, enabled, position } = req.body;
+
+    const ruleResult = await pool.query(
+      'SELECT id, name, type, action, config, enabled, position FROM content_filter_rules WHERE id = $1',
+      [ruleId]
+    );
+    if (ruleResult.rows.length === 0) {
+      return res.status(404).json({ message: 'Content filter rule not found' });
+    }
+
+    // The config must fit the rule type after the update
+    const existingRule = ruleResult.rows[0];
+    const configError = validateRuleConfig(type || existingRule.type, config || existingRule.config);
+    if (configError) {
+      return res.status(400).json({ message: configError });
+    }
+
+    // Check if another rule already uses this name
+    if (name) {
+      const nameCheck = await pool.query(
+        'SELECT id FROM content_filter_rules WHERE name = $1 AND id != $2',
+        [name, ruleId]
+      );
+      if (nameCheck.rows.length > 0) {
+        return res.status(400).json({ message: 'A rule with this name already exists' });
+      }
+    }
+
+    // Build update query
+    const fields = { name, type, action, config: config && JSON.stringify(config), enabled, position };
+    const updates = [];
+    const values = [];
+    let paramCount = 0;
+
+    for (const [column, value] of Object.entries(fields)) {
+      if (value !== undefined) {
+        paramCount++;
+        updates.push(`${column} = $${paramCount}`);
+        values.push(value);
+      }
+    }
+
+    if (updates.length === 0) {
+      return res.status(400).json({ message: 'No valid fields to update' });
+    }
+
+    paramCount++;
+    updates.push(`updated_at = CURRENT_TIMESTAMP`);
+    values.push(ruleId);
+
+    client = await pool.connect();
+    await client.query('BEGIN');
+
+    const result = await client.query(
+      `UPDATE content_filter_rules
+       SET ${updates.join(', ')}
+       WHERE id = $${paramCount}
+       RETURNING id, name, type, action, config, enabled, position, updated_at`,
+      values
+    );
+
+    const rule = result.rows[0];
+
+    await recordAudit(req, {
+      action: 'content_filter_rule.update',
+      entityType: 'content_filter_rule',
+      entityId: rule.id,
+      before: existingRule,
+      after: rule
+    }, client);
+
+    await client.query('COMMIT');
+
+    res.json({
+      message: 'Content filter rule updated successfully',
+      rule
+    });
+  } catch (error) {
+    await rollback(client);
+    console.error('Update content filter rule error:', error);
+    res.status(500).json({ message: 'Server error updating content filter rule' });
+  } finally {
+    if (client) {
+      client.release();
+    }
+  }
+});
+
+// @route   DELETE /api/admin/content-filter/rules/:id
+// @desc    Delete a content filter rule
+// @access  Private (Admin)
+router.delete('/content-filter/rules/:id', authenticateToken, requireAdmin, async (req, res) => {
+  let client;
+
+  try {
+    client = await pool.connect();
+    await client.query('BEGIN');
+
+    const result = await client.query(
+      'DELETE FROM content_filter_rules WHERE id = $1 RETURNING id, name, type, action, config, enabled, position',
+      [req.params.id]
+    );
+
+    if (result.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({ message: 'Content filter rule not found' });
+    }
+
+    const rule = result.rows[0];
+    await recordAudit(req, { action: 'content_filter_rule.delete', entityType: 'content_filter_rule', entityId: rule.id, before: rule }, client);
+
+    await client.query('COMMIT');
+
+    res.json({ message: 'Content filter rule deleted successfully' });
+  } catch (error) {
+    await rollback(client);
+    console.error('Delete content filter rule error:', error);
+    res.status(500).json({ message: 'Server error deleting content filter rule' });
+  } finally {
+    if (client) {
+      client.release();
+    }
+  }
+});
+
+// @route   POST /api/admin/content-filter/test
+// @desc    Run a sample comment through the enabled rules without saving anything
+// @access  Private (Admin)
+router.post('/content-filter/test', authenticateToken, requireAdmin, validateFilterTest, async (req, res) => {
+  try {
+    const result = await filterComment(req.body.comment);
+    res.json(result);
+  } catch (error) {
+    console.error('Test content filter error:', error);
+    res.status(500).json({ message: 'Server error testing content filter' });
+  }
+});
+
+// @route   GET /api/admin/rating-dimensions
+// @desc    List rating dimensions with their category
+// @access  Private (Admin)
+router.get('/rating-dimensions', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const result = await pool.query(`
+      SELECT d.id, d.key, d.name, d.required, d.active, d.position, d.created_at, d.updated_at,
+             c.id as category_id, c.name as category_name
+      FROM rating_dimensions d
+      LEFT JOIN categories c ON d.category_id = c.id
+      ORDER BY d.position, d.id
+    `);
+
+    res.json({ dimensions: result.rows });
+  } catch (error) {
+    console.error('Get rating dimensions error:', error);
+    res.status(500).json({ message: 'Server error fetching rating dimensions' });
+  }
+});
+
+// @route   POST /api/admin/rating-dimensions
+// @desc    Create a rating dimension, for every store or only stores of one category
+// @access  Private (Admin)
+router.post('/rating-dimensions', authenticateToken, requireAdmin, validateRatingDimensionCreation, async (req, res) => {
+  let client;
+
+  try {
+    const { key, name, categoryId, required = false, active = true, position = 0 } = req.body;
+
+    // Check if dimension key already exists
+    const existingDimension = await pool.query('SELECT id FROM rating_dimensions WHERE key = $1', [key]);
+    if (existingDimension.rows.length > 0) {
+      return res.status(400).json({ message: 'A dimension with this key already exists' });
+    }
+
+    // If categoryId provided, verify the category exists
+    if (categoryId) {
+      const categoryCheck = await pool.query('SELECT id FROM categories WHERE id = $1', [categoryId]);
+      if (categoryCheck.rows.length === 0) {
+        return res.status(400).json({ message: 'Category not found' });
+      }
+    }
+
+    client = await pool.connect();
+    await client.query('BEGIN');
+
+    const result = await client.query(
+      `INSERT INTO rating_dimensions (key, name, category_id, required, active, position)
+       VALUES ($1, $2, $3, $4, $5, $6)
+       RETURNING id, key, name, category_id, required, active, position, created_at`,
+      [key, name, categoryId || null, required, active, position]
+    );
+
+    const dimension = result.rows[0];
+
+    await recordAudit(req, { action: 'rating_dimension.create', entityType: 'rating_dimension', entityId: dimension.id, after: dimension }, client);
+
+    await client.query('COMMIT');
+
+    res.status(201).json({
+      message: 'Rating dimension created successfully',
+      dimension
+    });
+  } catch (error) {
+    await rollback(client);
+    console.error('Create rating dimension error:', error);
+    res.status(500).json({ message: 'Server error creating rating dimension' });
+  } finally {
+    if (client) {
+      client.release();
+    }
+  }
+});
+
+// @route   PUT /api/admin/rating-dimensions/:id
+// @desc    Update a rating dimension
+// @access  Private (Admin)
+router.put('/rating-dimensions/:id', authenticateToken, requireAdmin, validateRatingDimensionUpdate, async (req, res) => {
+  let client;
+
+  try {
+    const dimensionId = req.params.id;
+    const { key, name, categoryId, required, active, position } = req.body;
+
+    const dimensionCheck = await pool.query(
+      'SELECT id, key, name, category_id, required, active, position FROM rating_dimensions WHERE id = $1',
+      [dimensionId]
+    );
+    if (dimensionCheck.rows.length === 0) {
+      return res.status(404).json({ message: 'Rating dimension not found' });
+    }
+
+    // Check if another dimension already uses this key
+    if (key) {
+      const keyCheck = await pool.query(
+        'SELECT id FROM rating_dimensions WHERE key = $1 AND id != $2',
+        [key, dimensionId]
+      );
+      if (keyCheck.rows.length > 0) {
+        return res.status(400).json({ message: 'A dimension with this key already exists' });
+      }
+    }
+
+    // Check if category exists (null makes the dimension apply to every store)
+    if (categoryId) {
+      const categoryCheck = await pool.query('SELECT id FROM categories WHERE id = $1', [categoryId]);
+      if (categoryCheck.rows.length === 0) {
+        return res.status(400).json({ message: 'Category not found' });
+      }
+    }
+
+    // Build update query
+    const fields = { key, name, category_id: categoryId, required, active, position };
+    const updates = [];
+    const values = [];
+    let paramCount = 0;
+
+    for (const [column, value] of Object.entries(fields)) {
+      if (value !== undefined) {
+        paramCount++;
+        updates.push(`${column} = $${paramCount}`);
+        values.push(value);
+      }
+    }
+
+    if (updates.length === 0) {
+      return res.status(400).json({ message: 'No valid fields to update' });
+    }
+
+    paramCount++;
+    updates.push(`updated_at = CURRENT_TIMESTAMP`);
+    values.push(dimensionId);
+
+    client = await pool.connect();
+    await client.query('BEGIN');
+
+    const result = await client.query(
+      `UPDATE rating_dimensions
+       SET ${updates.join(', ')}
+       WHERE id = $${paramCount}
+       RETURNING id, key, name, category_id, required, active, position, updated_at`,
+      values
+    );
+
+    const dimension = result.rows[0];
+
+    await recordAudit(req, {
+      action: 'rating_dimension.update',
+      entityType: 'rating_dimension',
+      entityId: dimension.id,
+      before: dimensionCheck.rows[0],
+      after: dimension
+    }, client);
+
+    await client.query('COMMIT');
+
+    res.json({
+      message: 'Rating dimension updated successfully',
+      dimension
+    });
+  } catch (error) {
+    await rollback(client);
+    console.error('Update rating dimension error:', error);
+    res.status(500).json({ message: 'Server error updating rating dimension' });
+  } finally {
+    if (client) {
+      client.release();
+    }
+  }
+});
+
+// @route   DELETE /api/admin/rating-dimensions/:id
+// @desc    Delete a rating dimension and its scores (set active=false to keep history instead)
+// @access  Private (Admin)
+router.delete('/rating-dimensions/:id', authenticateToken, requireAdmin, async (req, res) => {
+  let client;
+
+  try {
+    client = await pool.connect();
+    await client.query('BEGIN');
+
+    const result = await client.query(
+      'DELETE FROM rating_dimensions WHERE id = $1 RETURNING id, key, name, category_id, required, active, position',
+      [req.params.id]
+    );
+
+    if (result.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({ message: 'Rating dimension not found' });
+    }
+
+    const dimension = result.rows[0];
+    await recordAudit(req, { action: 'rating_dimension.delete', entityType: 'rating_dimension', entityId: dimension.id, before: dimension }, client);
+
+    await client.query('COMMIT');
+
+    res.json({ message: 'Rating dimension deleted successfully' });
+  } catch (error) {
+    await rollback(client);
+    console.error('Delete rating dimension error:', error);
+    res.status(500).json({ message: 'Server error deleting rating dimension' });
+  } finally {
+    if (client) {
+      client.release();
+    }
+  }
+});
+
+// @route   GET /api/admin/audit-log
+// @desc    Audit log of admin and auth actions, newest first (?format=csv for a CSV export)
+// @access  Private (Admin)
+router.get('/audit-log', authenticateToken, requireAdmin, validateAuditLogQuery, async (req, res) => {
+  try {
+    const {
+      page = 1,
+      limit = 50,
+      actorId,
+      entityType,
+      entityId,
+      action,
+      dateFrom,
+      dateTo,
+      format = 'json'
+    } = req.query;
+
+    let where = ' WHERE 1=1';
+    const queryParams = [];
+    let paramCount = 0;
+
+    if (actorId) {
+      paramCount++;
+      where += ` AND a.actor_id = $${paramCount}`;
+      queryParams.push(actorId);
+    }
+
+    if (entityType) {
+      paramCount++;
+      where += ` AND a.entity_type = $${paramCount}`;
+      queryParams.push(entityType);
+    }
+
+    if (entityId) {
+      paramCount++;
+      where += ` AND a.entity_id = $${paramCount}`;
+      queryParams.push(entityId);
+    }
+
+    // "user" matches every user.* action, "user.update" only that one
+    if (action) {
+      paramCount++;
+      where += action.includes('.')
+        ? ` AND a.action = $${paramCount}`
+        : ` AND a.action LIKE $${paramCount} || '.%'`;
+      queryParams.push(action);
+    }
+
+    if (dateFrom) {
+      paramCount++;
+      where += ` AND a.created_at >= $${paramCount}`;
+      queryParams.push(dateFrom);
+    }
+
+    if (dateTo) {
+      paramCount++;
+      where += ` AND a.created_at <= $${paramCount}`;
+      queryParams.push(dateTo + ' 23:59:59.999');
+    }
+
+    const selectQuery = `
+      SELECT a.id, a.created_at, a.actor_id, a.actor_email, a.actor_role, a.action,
+             a.entity_type, a.entity_id, a.changes, a.details, a.ip_address, a.user_agent
+      FROM audit_log a
+      ${where}
+      ORDER BY a.created_at DESC, a.id DESC
+    `;
+
+    // The download holds every matching entry, streamed so it is never cut off
+    if (format === 'csv') {
+      return await streamExport(res, {
+        format,
+        filename: 'audit-log',
+        columns: AUDIT_LOG_CSV_COLUMNS,
+        query: selectQuery,
+        params: queryParams
+      });
+    }
+
+    const offset = (page - 1) * limit;
+    const result = await pool.query(
+      `${selectQuery} LIMIT $${paramCount + 1} OFFSET $${paramCount + 2}`,
+      [...queryParams, limit, offset]
+    );
+
+    const countResult = await pool.query(`SELECT COUNT(*) FROM audit_log a${where}`, queryParams);
+    const totalEntries = parseInt(countResult.rows[0].count);
+    const totalPages = Math.ceil(totalEntries / limit);
+
+    res.json({
+      entries: result.rows,
+      pagination: {
+        currentPage: parseInt(page),
+        totalPages,
+        totalEntries,
+        hasNext: page < totalPages,
+        hasPrev: page > 1
+      }
+    });
+  } catch (error) {
+    console.error('Get audit log error:', error);
+    res.status(500).json({ message: 'Server error fetching audit log' });
+  }
+});
+
 // @route   GET /api/admin/store-owners
-// @desc    Get available store owners for assignment
+// @desc    Get store owners for assignment (owners may run several stores)
 // @access  Private (Admin)
 router.get('/store-owners', authenticateToken, requireAdmin, async (req, res) => {
   try {
     const result = await pool.query(`
-      SELECT u.id, u.name, u.email, u.address
+      SELECT u.id, u.name, u.email, u.address,
+             COUNT(s.id)::int as store_count
       FROM users u
-      LEFT JOIN stores s ON u.id = s.owner_id
-      WHERE u.role = 'STORE_OWNER' AND s.id IS NULL
+      LEFT JOIN stores s ON u.id = s.owner_id AND s.deleted_at IS NULL
+      WHERE u.role = '${ROLES.STORE_OWNER}' AND u.deleted_at IS NULL
+      GROUP BY u.id
       ORDER BY u.name
     `);
 
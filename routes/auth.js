@@ -1,33 +1,94 @@
 const express = require('express');
 const bcrypt = require('bcryptjs');
-const jwt = require('jsonwebtoken');
 const { pool } = require('../config/database');
 const { authenticateToken } = require('../middleware/auth');
+const { ROLES } = require('../config/roles');
 const { 
   validateUserRegistration, 
   validateUserLogin, 
-  validatePasswordUpdate 
+  validateRefreshToken,
+  validatePasswordUpdate,
+  validateForgotPassword,
+  validatePasswordReset,
+  validateEmailVerification,
+  validateTwoFactorCode,
+  validateTwoFactorLogin,
+  validateTwoFactorDisable
 } = require('../middleware/validation');
+const {
+  hashToken,
+  generateOpaqueToken,
+  verifyEmailVerificationToken,
+  sendVerificationEmail,
+  issueTokens,
+  rotateRefreshToken,
+  revokeRefreshToken,
+  revokeUserSessions
+} = require('../utils/tokens');
+const { sendMail } = require('../utils/mailer');
+const {
+  checkLoginAllowed,
+  recordFailedLogin,
+  clearLoginFailures
+} = require('../utils/loginThrottle');
+const { generateSecret, buildOtpAuthUrl } = require('../utils/totp');
+const {
+  generateRecoveryCodes,
+  verifyTotpForUser,
+  verifySecondFactor,
+  generateChallengeToken,
+  verifyChallengeToken
+} = require('../utils/twoFactor');
+const { recordAudit } = require('../utils/auditLog');
+const { rollback } = require('../utils/transactions');
 
 const router = express.Router();
 
-// Generate JWT token
-const generateToken = (userId) => {
-  return jwt.sign({ userId }, process.env.JWT_SECRET, {
-    expiresIn: process.env.JWT_EXPIRE || '7d'
-  });
+const PASSWORD_RESET_EXPIRE_MINUTES = parseInt(process.env.PASSWORD_RESET_EXPIRE_MINUTES) || 60;
+
+// Compared against when the email is unknown so both cases take the same time
+const DUMMY_PASSWORD_HASH = bcrypt.hashSync('dummy-password-for-timing', 12);
+
+// Whether an admin still has to enroll in 2FA before using admin features
+const isTwoFactorSetupRequired = (user) => {
+  return process.env.REQUIRE_ADMIN_2FA === 'true' &&
+    user.role === ROLES.SYSTEM_ADMIN &&
+    !user.totp_enabled_at;
+};
+
+// Issue tokens and build the successful login response
+const buildLoginResponse = async (user, req) => {
+  const { token, refreshToken } = await issueTokens(user.id, req);
+
+  return {
+    message: 'Login successful',
+    token,
+    refreshToken,
+    twoFactorSetupRequired: isTwoFactorSetupRequired(user),
+    user: {
+      id: user.id,
+      name: user.name,
+      email: user.email,
+      address: user.address,
+      role: user.role,
+      emailVerified: !!user.email_verified_at,
+      twoFactorEnabled: !!user.totp_enabled_at
+    }
+  };
 };
 
 // @route   POST /api/auth/register
 // @desc    Register a new normal user
 // @access  Public
 router.post('/register', validateUserRegistration, async (req, res) => {
+  let client;
+
   try {
     const { name, email, password, address } = req.body;
 
     // Check if user already exists
     const existingUser = await pool.query(
-      'SELECT id FROM users WHERE email = $1',
+      'SELECT id FROM users WHERE email = $1 AND deleted_at IS NULL',
       [email]
     );
 
@@ -39,32 +100,54 @@ router.post('/register', validateUserRegistration, async (req, res) => {
     const saltRounds = 12;
     const hashedPassword = await bcrypt.hash(password, saltRounds);
 
+    client = await pool.connect();
+    await client.query('BEGIN');
+
     // Create user
-    const result = await pool.query(
+    const result = await client.query(
       `INSERT INTO users (name, email, password, address, role) 
-       VALUES ($1, $2, $3, $4, 'NORMAL_USER') 
-       RETURNING id, name, email, address, role, created_at`,
-      [name, email, hashedPassword, address]
+       VALUES ($1, $2, $3, $4, $5) 
+       RETURNING id, name, email, address, role, email_verified_at, created_at`,
+      [name, email, hashedPassword, address, ROLES.NORMAL_USER]
     );
 
     const user = result.rows[0];
-    const token = generateToken(user.id);
+
+    await recordAudit(req, { action: 'auth.register', entityType: 'user', entityId: user.id, after: user, actor: user }, client);
+
+    await client.query('COMMIT');
+
+    const { token, refreshToken } = await issueTokens(user.id, req);
+
+    // A failed delivery should not fail the registration; the user can ask for a resend
+    try {
+      await sendVerificationEmail(user);
+    } catch (mailError) {
+      console.error('Verification email error:', mailError);
+    }
 
     res.status(201).json({
       message: 'User registered successfully',
       token,
+      refreshToken,
       user: {
         id: user.id,
         name: user.name,
         email: user.email,
         address: user.address,
         role: user.role,
+        emailVerified: !!user.email_verified_at,
         createdAt: user.created_at
       }
     });
   } catch (error) {
+    await rollback(client);
     console.error('Registration error:', error);
     res.status(500).json({ message: 'Server error during registration' });
+  } finally {
+    if (client) {
+      client.release();
+    }
   }
 });
 
@@ -75,41 +158,410 @@ router.post('/login', validateUserLogin, async (req, res) => {
   try {
     const { email, password } = req.body;
 
+    // Refuse while the email or IP is delayed or locked after failed attempts
+    const throttle = await checkLoginAllowed(email, req.ip);
+    if (!throttle.allowed) {
+      res.set('Retry-After', String(throttle.retryAfter));
+      return res.status(429).json({ 
+        message: 'Too many failed login attempts. Please try again later.',
+        retryAfter: throttle.retryAfter
+      });
+    }
+
     // Find user
     const result = await pool.query(
-      'SELECT id, name, email, password, address, role FROM users WHERE email = $1',
+      'SELECT id, name, email, password, address, role, email_verified_at, totp_enabled_at FROM users WHERE email = $1 AND deleted_at IS NULL',
       [email]
     );
 
-    if (result.rows.length === 0) {
+    const user = result.rows[0];
+
+    // Check password (unknown emails are handled exactly like wrong passwords)
+    const isPasswordValid = await bcrypt.compare(password, user ? user.password : DUMMY_PASSWORD_HASH);
+    if (!user || !isPasswordValid) {
+      await recordFailedLogin(email, req.ip, user ? user.id : null);
+      await recordAudit(req, {
+        action: 'auth.login_failed',
+        entityType: 'user',
+        entityId: user ? user.id : null,
+        details: { email },
+        actor: null
+      });
       return res.status(401).json({ message: 'Invalid email or password' });
     }
 
+    // Enrolled users continue with /login/2fa; failures are only cleared once both steps pass
+    if (user.totp_enabled_at) {
+      return res.json({
+        message: 'Two-factor authentication required',
+        twoFactorRequired: true,
+        challengeToken: generateChallengeToken(user.id)
+      });
+    }
+
+    await clearLoginFailures(email);
+
+    await recordAudit(req, { action: 'auth.login', entityType: 'user', entityId: user.id, actor: user });
+
+    res.json(await buildLoginResponse(user, req));
+  } catch (error) {
+    console.error('Login error:', error);
+    res.status(500).json({ message: 'Server error during login' });
+  }
+});
+
+// @route   POST /api/auth/login/2fa
+// @desc    Complete login with a TOTP or recovery code
+// @access  Public
+router.post('/login/2fa', validateTwoFactorLogin, async (req, res) => {
+  try {
+    const { challengeToken, code, recoveryCode } = req.body;
+
+    const decoded = verifyChallengeToken(challengeToken);
+    if (!decoded) {
+      return res.status(401).json({ message: 'Invalid or expired challenge token' });
+    }
+
+    const result = await pool.query(
+      `SELECT id, name, email, address, role, email_verified_at, totp_secret, totp_enabled_at
+       FROM users WHERE id = $1 AND deleted_at IS NULL`,
+      [decoded.userId]
+    );
+
+    if (result.rows.length === 0 || !result.rows[0].totp_enabled_at) {
+      return res.status(401).json({ message: 'Invalid or expired challenge token' });
+    }
+
     const user = result.rows[0];
 
-    // Check password
+    // Second-factor guesses count toward the same lockout as password guesses
+    const throttle = await checkLoginAllowed(user.email, req.ip);
+    if (!throttle.allowed) {
+      res.set('Retry-After', String(throttle.retryAfter));
+      return res.status(429).json({ 
+        message: 'Too many failed login attempts. Please try again later.',
+        retryAfter: throttle.retryAfter
+      });
+    }
+
+    const isValid = await verifySecondFactor(user, { code, recoveryCode });
+    if (!isValid) {
+      await recordFailedLogin(user.email, req.ip, user.id);
+      await recordAudit(req, {
+        action: 'auth.login_failed',
+        entityType: 'user',
+        entityId: user.id,
+        details: { email: user.email, step: 'two_factor' },
+        actor: null
+      });
+      return res.status(401).json({ message: 'Invalid authentication code' });
+    }
+
+    await clearLoginFailures(user.email);
+
+    await recordAudit(req, {
+      action: 'auth.login',
+      entityType: 'user',
+      entityId: user.id,
+      details: { twoFactor: recoveryCode ? 'recovery_code' : 'totp' },
+      actor: user
+    });
+
+    res.json(await buildLoginResponse(user, req));
+  } catch (error) {
+    console.error('Two-factor login error:', error);
+    res.status(500).json({ message: 'Server error during login' });
+  }
+});
+
+// @route   POST /api/auth/2fa/setup
+// @desc    Start TOTP enrollment and get the provisioning URI
+// @access  Private
+router.post('/2fa/setup', authenticateToken, async (req, res) => {
+  let client;
+
+  try {
+    if (req.user.totp_enabled_at) {
+      return res.status(400).json({ message: 'Two-factor authentication is already enabled' });
+    }
+
+    const secret = generateSecret();
+
+    client = await pool.connect();
+    await client.query('BEGIN');
+
+    await client.query(
+      'UPDATE users SET totp_secret = $1, totp_last_used_step = NULL WHERE id = $2',
+      [secret, req.user.id]
+    );
+
+    await recordAudit(req, { action: 'auth.2fa_setup', entityType: 'user', entityId: req.user.id }, client);
+
+    await client.query('COMMIT');
+
+    res.json({
+      secret,
+      otpauthUrl: buildOtpAuthUrl(secret, req.user.email)
+    });
+  } catch (error) {
+    await rollback(client);
+    console.error('Two-factor setup error:', error);
+    res.status(500).json({ message: 'Server error during two-factor setup' });
+  } finally {
+    if (client) {
+      client.release();
+    }
+  }
+});
+
+// @route   POST /api/auth/2fa/enable
+// @desc    Confirm TOTP enrollment with a code and receive recovery codes
+// @access  Private
+router.post('/2fa/enable', authenticateToken, validateTwoFactorCode, async (req, res) => {
+  let client;
+
+  try {
+    const result = await pool.query(
+      'SELECT totp_secret, totp_enabled_at FROM users WHERE id = $1',
+      [req.user.id]
+    );
+
+    const user = result.rows[0];
+
+    if (user.totp_enabled_at) {
+      return res.status(400).json({ message: 'Two-factor authentication is already enabled' });
+    }
+
+    if (!user.totp_secret) {
+      return res.status(400).json({ message: 'Start two-factor setup first' });
+    }
+
+    const isValid = await verifyTotpForUser(req.user.id, user.totp_secret, req.body.code);
+    if (!isValid) {
+      return res.status(400).json({ message: 'Invalid authentication code' });
+    }
+
+    client = await pool.connect();
+    await client.query('BEGIN');
+
+    await client.query(
+      'UPDATE users SET totp_enabled_at = CURRENT_TIMESTAMP WHERE id = $1',
+      [req.user.id]
+    );
+
+    const recoveryCodes = await generateRecoveryCodes(req.user.id, client);
+
+    await recordAudit(req, { action: 'auth.2fa_enable', entityType: 'user', entityId: req.user.id }, client);
+
+    await client.query('COMMIT');
+
+    res.json({
+      message: 'Two-factor authentication enabled successfully',
+      recoveryCodes
+    });
+  } catch (error) {
+    await rollback(client);
+    console.error('Two-factor enable error:', error);
+    res.status(500).json({ message: 'Server error enabling two-factor authentication' });
+  } finally {
+    if (client) {
+      client.release();
+    }
+  }
+});
+
+// @route   POST /api/auth/2fa/disable
+// @desc    Disable two-factor authentication
+// @access  Private
+router.post('/2fa/disable', authenticateToken, validateTwoFactorDisable, async (req, res) => {
+  let client;
+
+  try {
+    const { password, code, recoveryCode } = req.body;
+
+    if (process.env.REQUIRE_ADMIN_2FA === 'true' && req.user.role === ROLES.SYSTEM_ADMIN) {
+      return res.status(403).json({ message: 'Two-factor authentication is mandatory for administrators' });
+    }
+
+    const result = await pool.query(
+      'SELECT id, password, totp_secret, totp_enabled_at FROM users WHERE id = $1',
+      [req.user.id]
+    );
+
+    const user = result.rows[0];
+
+    if (!user.totp_enabled_at) {
+      return res.status(400).json({ message: 'Two-factor authentication is not enabled' });
+    }
+
     const isPasswordValid = await bcrypt.compare(password, user.password);
     if (!isPasswordValid) {
-      return res.status(401).json({ message: 'Invalid email or password' });
+      return res.status(400).json({ message: 'Password is incorrect' });
+    }
+
+    const isValid = await verifySecondFactor(user, { code, recoveryCode });
+    if (!isValid) {
+      return res.status(400).json({ message: 'Invalid authentication code' });
+    }
+
+    client = await pool.connect();
+    await client.query('BEGIN');
+
+    await client.query(
+      `UPDATE users 
+       SET totp_secret = NULL, totp_enabled_at = NULL, totp_last_used_step = NULL 
+       WHERE id = $1`,
+      [req.user.id]
+    );
+    await client.query('DELETE FROM totp_recovery_codes WHERE user_id = $1', [req.user.id]);
+
+    await recordAudit(req, { action: 'auth.2fa_disable', entityType: 'user', entityId: req.user.id }, client);
+
+    await client.query('COMMIT');
+
+    res.json({ message: 'Two-factor authentication disabled successfully' });
+  } catch (error) {
+    await rollback(client);
+    console.error('Two-factor disable error:', error);
+    res.status(500).json({ message: 'Server error disabling two-factor authentication' });
+  } finally {
+    if (client) {
+      client.release();
+    }
+  }
+});
+
+// @route   POST /api/auth/2fa/recovery-codes
+// @desc    Regenerate recovery codes
+// @access  Private
+router.post('/2fa/recovery-codes', authenticateToken, validateTwoFactorCode, async (req, res) => {
+  let client;
+
+  try {
+    const result = await pool.query(
+      'SELECT totp_secret, totp_enabled_at FROM users WHERE id = $1',
+      [req.user.id]
+    );
+
+    const user = result.rows[0];
+
+    if (!user.totp_enabled_at) {
+      return res.status(400).json({ message: 'Two-factor authentication is not enabled' });
+    }
+
+    const isValid = await verifyTotpForUser(req.user.id, user.totp_secret, req.body.code);
+    if (!isValid) {
+      return res.status(400).json({ message: 'Invalid authentication code' });
+    }
+
+    client = await pool.connect();
+    await client.query('BEGIN');
+
+    const recoveryCodes = await generateRecoveryCodes(req.user.id, client);
+
+    await recordAudit(req, { action: 'auth.recovery_codes_regenerate', entityType: 'user', entityId: req.user.id }, client);
+
+    await client.query('COMMIT');
+
+    res.json({
+      message: 'Recovery codes regenerated successfully',
+      recoveryCodes
+    });
+  } catch (error) {
+    await rollback(client);
+    console.error('Recovery codes error:', error);
+    res.status(500).json({ message: 'Server error regenerating recovery codes' });
+  } finally {
+    if (client) {
+      client.release();
+    }
+  }
+});
+
+// @route   POST /api/auth/refresh
+// @desc    Exchange a refresh token for a new token pair
+// @access  Public
+router.post('/refresh', validateRefreshToken, async (req, res) => {
+  try {
+    const tokens = await rotateRefreshToken(req.body.refreshToken, req);
+
+    if (!tokens) {
+      return res.status(401).json({ message: 'Invalid or expired refresh token' });
     }
 
-    // Generate token
-    const token = generateToken(user.id);
+    await recordAudit(req, {
+      action: 'auth.token_refresh',
+      entityType: 'user',
+      entityId: tokens.userId,
+      actor: { id: tokens.userId }
+    });
 
     res.json({
-      message: 'Login successful',
-      token,
-      user: {
-        id: user.id,
-        name: user.name,
-        email: user.email,
-        address: user.address,
-        role: user.role
-      }
+      message: 'Token refreshed successfully',
+      token: tokens.token,
+      refreshToken: tokens.refreshToken
     });
   } catch (error) {
-    console.error('Login error:', error);
-    res.status(500).json({ message: 'Server error during login' });
+    console.error('Token refresh error:', error);
+    res.status(500).json({ message: 'Server error during token refresh' });
+  }
+});
+
+// @route   POST /api/auth/logout
+// @desc    Revoke the given refresh token
+// @access  Public
+router.post('/logout', validateRefreshToken, async (req, res) => {
+  let client;
+
+  try {
+    client = await pool.connect();
+    await client.query('BEGIN');
+
+    const userId = await revokeRefreshToken(req.body.refreshToken, client);
+
+    if (userId) {
+      await recordAudit(req, { action: 'auth.logout', entityType: 'user', entityId: userId, actor: { id: userId } }, client);
+    }
+
+    await client.query('COMMIT');
+
+    res.json({ message: 'Logged out successfully' });
+  } catch (error) {
+    await rollback(client);
+    console.error('Logout error:', error);
+    res.status(500).json({ message: 'Server error during logout' });
+  } finally {
+    if (client) {
+      client.release();
+    }
+  }
+});
+
+// @route   POST /api/auth/logout-all
+// @desc    Revoke all sessions of the current user
+// @access  Private
+router.post('/logout-all', authenticateToken, async (req, res) => {
+  let client;
+
+  try {
+    client = await pool.connect();
+    await client.query('BEGIN');
+
+    await revokeUserSessions(req.user.id, client);
+
+    await recordAudit(req, { action: 'auth.logout_all', entityType: 'user', entityId: req.user.id }, client);
+
+    await client.query('COMMIT');
+
+    res.json({ message: 'Logged out from all sessions successfully' });
+  } catch (error) {
+    await rollback(client);
+    console.error('Logout all error:', error);
+    res.status(500).json({ message: 'Server error during logout' });
+  } finally {
+    if (client) {
+      client.release();
+    }
   }
 });
 
@@ -117,6 +569,8 @@ router.post('/login', validateUserLogin, async (req, res) => {
 // @desc    Change user password
 // @access  Private
 router.post('/change-password', authenticateToken, validatePasswordUpdate, async (req, res) => {
+  let client;
+
   try {
     const { currentPassword, newPassword } = req.body;
     const userId = req.user.id;
@@ -143,16 +597,236 @@ router.post('/change-password', authenticateToken, validatePasswordUpdate, async
     const saltRounds = 12;
     const hashedNewPassword = await bcrypt.hash(newPassword, saltRounds);
 
+    client = await pool.connect();
+    await client.query('BEGIN');
+
     // Update password
-    await pool.query(
+    await client.query(
       'UPDATE users SET password = $1, updated_at = CURRENT_TIMESTAMP WHERE id = $2',
       [hashedNewPassword, userId]
     );
 
-    res.json({ message: 'Password updated successfully' });
+    // End all existing sessions and issue fresh tokens for this one
+    await revokeUserSessions(userId, client);
+
+    await recordAudit(req, { action: 'auth.password_change', entityType: 'user', entityId: userId }, client);
+
+    await client.query('COMMIT');
+
+    const { token, refreshToken } = await issueTokens(userId, req);
+
+    res.json({
+      message: 'Password updated successfully',
+      token,
+      refreshToken
+    });
   } catch (error) {
+    await rollback(client);
     console.error('Password change error:', error);
     res.status(500).json({ message: 'Server error during password change' });
+  } finally {
+    if (client) {
+      client.release();
+    }
+  }
+});
+
+// @route   POST /api/auth/forgot-password
+// @desc    Send a password reset link
+// @access  Public
+router.post('/forgot-password', validateForgotPassword, async (req, res) => {
+  const genericResponse = {
+    message: 'If an account exists for this email, a password reset link has been sent'
+  };
+  let client;
+
+  try {
+    const { email } = req.body;
+
+    const result = await pool.query(
+      'SELECT id, name, email FROM users WHERE email = $1 AND deleted_at IS NULL',
+      [email]
+    );
+
+    // Respond the same way whether or not the account exists
+    if (result.rows.length === 0) {
+      return res.json(genericResponse);
+    }
+
+    const user = result.rows[0];
+    const token = generateOpaqueToken();
+
+    client = await pool.connect();
+    await client.query('BEGIN');
+
+    // Only the most recent reset link stays valid
+    await client.query(
+      'UPDATE password_reset_tokens SET used_at = CURRENT_TIMESTAMP WHERE user_id = $1 AND used_at IS NULL',
+      [user.id]
+    );
+
+    await client.query(
+      `INSERT INTO password_reset_tokens (user_id, token_hash, expires_at)
+       VALUES ($1, $2, CURRENT_TIMESTAMP + make_interval(mins => $3))`,
+      [user.id, hashToken(token), PASSWORD_RESET_EXPIRE_MINUTES]
+    );
+
+    await recordAudit(req, { action: 'auth.password_reset_request', entityType: 'user', entityId: user.id, actor: null }, client);
+
+    await client.query('COMMIT');
+
+    const resetUrl = `${process.env.CLIENT_URL || 'http://localhost:3000'}/reset-password?token=${token}`;
+
+    await sendMail({
+      to: user.email,
+      subject: 'Reset your password',
+      text: `Hello ${user.name},\n\n` +
+        `Use the link below to reset your password. It expires in ${PASSWORD_RESET_EXPIRE_MINUTES} minutes.\n\n` +
+        `${resetUrl}\n\n` +
+        'If you did not request a password reset, you can ignore this email.'
+    });
+
+    res.json(genericResponse);
+  } catch (error) {
+    await rollback(client);
+    console.error('Forgot password error:', error);
+    res.status(500).json({ message: 'Server error during password reset request' });
+  } finally {
+    if (client) {
+      client.release();
+    }
+  }
+});
+
+// @route   POST /api/auth/reset-password
+// @desc    Reset password with a one-time token
+// @access  Public
+router.post('/reset-password', validatePasswordReset, async (req, res) => {
+  let client;
+
+  try {
+    const { token, newPassword } = req.body;
+
+    client = await pool.connect();
+    await client.query('BEGIN');
+
+    // Consume the token; it can only be used once
+    const tokenResult = await client.query(
+      `UPDATE password_reset_tokens
+       SET used_at = CURRENT_TIMESTAMP
+       WHERE token_hash = $1 AND used_at IS NULL AND expires_at > CURRENT_TIMESTAMP
+       RETURNING user_id`,
+      [hashToken(token)]
+    );
+
+    if (tokenResult.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return res.status(400).json({ message: 'Invalid or expired reset token' });
+    }
+
+    const userId = tokenResult.rows[0].user_id;
+
+    // Hash new password
+    const saltRounds = 12;
+    const hashedNewPassword = await bcrypt.hash(newPassword, saltRounds);
+
+    await client.query(
+      'UPDATE users SET password = $1, updated_at = CURRENT_TIMESTAMP WHERE id = $2',
+      [hashedNewPassword, userId]
+    );
+
+    // End all existing sessions
+    await revokeUserSessions(userId, client);
+
+    await recordAudit(req, {
+      action: 'auth.password_reset',
+      entityType: 'user',
+      entityId: userId,
+      actor: { id: userId }
+    }, client);
+
+    await client.query('COMMIT');
+
+    res.json({ message: 'Password has been reset successfully' });
+  } catch (error) {
+    await rollback(client);
+    console.error('Password reset error:', error);
+    res.status(500).json({ message: 'Server error during password reset' });
+  } finally {
+    if (client) {
+      client.release();
+    }
+  }
+});
+
+// @route   POST /api/auth/verify-email
+// @desc    Verify email address with the signed link token
+// @access  Public
+router.post('/verify-email', validateEmailVerification, async (req, res) => {
+  let client;
+
+  try {
+    const decoded = verifyEmailVerificationToken(req.body.token);
+
+    if (!decoded) {
+      return res.status(400).json({ message: 'Invalid or expired verification token' });
+    }
+
+    client = await pool.connect();
+    await client.query('BEGIN');
+
+    // The token is only valid for the address it was issued for
+    const result = await client.query(
+      `UPDATE users
+       SET email_verified_at = COALESCE(email_verified_at, CURRENT_TIMESTAMP)
+       WHERE id = $1 AND email = $2
+       RETURNING id`,
+      [decoded.userId, decoded.email]
+    );
+
+    if (result.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return res.status(400).json({ message: 'Invalid or expired verification token' });
+    }
+
+    await recordAudit(req, {
+      action: 'auth.email_verify',
+      entityType: 'user',
+      entityId: decoded.userId,
+      actor: { id: decoded.userId, email: decoded.email }
+    }, client);
+
+    await client.query('COMMIT');
+
+    res.json({ message: 'Email verified successfully' });
+  } catch (error) {
+    await rollback(client);
+    console.error('Email verification error:', error);
+    res.status(500).json({ message: 'Server error during email verification' });
+  } finally {
+    if (client) {
+      client.release();
+    }
+  }
+});
+
+// @route   POST /api/auth/resend-verification
+// @desc    Resend the email verification link
+// @access  Private
+router.post('/resend-verification', authenticateToken, async (req, res) => {
+  try {
+    if (req.user.email_verified_at) {
+      return res.status(400).json({ message: 'Email is already verified' });
+    }
+
+    await sendVerificationEmail(req.user);
+
+    await recordAudit(req, { action: 'auth.verification_resend', entityType: 'user', entityId: req.user.id });
+
+    res.json({ message: 'Verification email sent' });
+  } catch (error) {
+    console.error('Resend verification error:', error);
+    res.status(500).json({ message: 'Server error sending verification email' });
   }
 });
 
@@ -162,7 +836,7 @@ router.post('/change-password', authenticateToken, validatePasswordUpdate, async
 router.get('/profile', authenticateToken, async (req, res) => {
   try {
     const result = await pool.query(
-      'SELECT id, name, email, address, role, created_at FROM users WHERE id = $1',
+      'SELECT id, name, email, address, role, email_verified_at, totp_enabled_at, created_at FROM users WHERE id = $1',
       [req.user.id]
     );
 
@@ -178,6 +852,8 @@ router.get('/profile', authenticateToken, async (req, res) => {
         email: user.email,
         address: user.address,
         role: user.role,
+        emailVerified: !!user.email_verified_at,
+        twoFactorEnabled: !!user.totp_enabled_at,
         createdAt: user.created_at
       }
     });
@@ -197,7 +873,8 @@ router.post('/verify-token', authenticateToken, (req, res) => {
       id: req.user.id,
       name: req.user.name,
       email: req.user.email,
-      role: req.user.role
+      role: req.user.role,
+      emailVerified: !!req.user.email_verified_at
     }
   });
 });
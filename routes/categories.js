@@ -0,0 +1,207 @@
+const express = require('express');
+const { pool } = require('../config/database');
+const { authenticateToken, requireAdmin } = require('../middleware/auth');
+const { validateCategory } = require('../middleware/validation');
+const { recordAudit } = require('../utils/auditLog');
+const { rollback } = require('../utils/transactions');
+
+const router = express.Router();
+
+// URL-friendly slug for a category name (e.g. "Home & Garden" -> "home-garden")
+const slugify = (name) => {
+  return name
+    .toLowerCase()
+    .replace(/&[a-z0-9#]+;/g, ' ')
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '');
+};
+
+// @route   GET /api/categories
+// @desc    Get all categories with their store counts
+// @access  Private
+router.get('/', authenticateToken, async (req, res) => {
+  try {
+    const result = await pool.query(`
+      SELECT c.id, c.name, c.slug, c.created_at, COUNT(s.id)::int as store_count
+      FROM categories c
+      LEFT JOIN stores s ON s.category_id = c.id AND s.deleted_at IS NULL
+      GROUP BY c.id
+      ORDER BY c.name
+    `);
+
+    res.json({ categories: result.rows });
+  } catch (error) {
+    console.error('Get categories error:', error);
+    res.status(500).json({ message: 'Server error fetching categories' });
+  }
+});
+
+// @route   POST /api/categories
+// @desc    Create a new category
+// @access  Private (Admin)
+router.post('/', authenticateToken, requireAdmin, validateCategory, async (req, res) => {
+  let client;
+
+  try {
+    const { name } = req.body;
+    const slug = slugify(name);
+
+    if (!slug) {
+      return res.status(400).json({ message: 'Category name must contain letters or numbers' });
+    }
+
+    // Check if category name or slug already exists
+    const existing = await pool.query(
+      'SELECT id FROM categories WHERE LOWER(name) = LOWER($1) OR slug = $2',
+      [name, slug]
+    );
+    if (existing.rows.length > 0) {
+      return res.status(400).json({ message: 'Category already exists' });
+    }
+
+    client = await pool.connect();
+    await client.query('BEGIN');
+
+    const result = await client.query(
+      `INSERT INTO categories (name, slug)
+       VALUES ($1, $2)
+       RETURNING id, name, slug, created_at`,
+      [name, slug]
+    );
+
+    const category = result.rows[0];
+
+    await recordAudit(req, { action: 'category.create', entityType: 'category', entityId: category.id, after: category }, client);
+
+    await client.query('COMMIT');
+
+    res.status(201).json({
+      message: 'Category created successfully',
+      category
+    });
+  } catch (error) {
+    await rollback(client);
+    console.error('Create category error:', error);
+    res.status(500).json({ message: 'Server error creating category' });
+  } finally {
+    if (client) {
+      client.release();
+    }
+  }
+});
+
+// @route   PUT /api/categories/:id
+// @desc    Rename a category
+// @access  Private (Admin)
+router.put('/:id', authenticateToken, requireAdmin, validateCategory, async (req, res) => {
+  let client;
+
+  try {
+    const categoryId = req.params.id;
+    const { name } = req.body;
+    const slug = slugify(name);
+
+    if (!slug) {
+      return res.status(400).json({ message: 'Category name must contain letters or numbers' });
+    }
+
+    const categoryCheck = await pool.query('SELECT id, name, slug FROM categories WHERE id = $1', [categoryId]);
+    if (categoryCheck.rows.length === 0) {
+      return res.status(404).json({ message: 'Category not found' });
+    }
+
+    // Check if another category already uses this name or slug
+    const existing = await pool.query(
+      'SELECT id FROM categories WHERE (LOWER(name) = LOWER($1) OR slug = $2) AND id != $3',
+      [name, slug, categoryId]
+    );
+    if (existing.rows.length > 0) {
+      return res.status(400).json({ message: 'Category already exists' });
+    }
+
+    client = await pool.connect();
+    await client.query('BEGIN');
+
+    const result = await client.query(
+      `UPDATE categories SET name = $1, slug = $2, updated_at = CURRENT_TIMESTAMP
+       WHERE id = $3
+       RETURNING id, name, slug, created_at, updated_at`,
+      [name, slug, categoryId]
+    );
+
+    const category = result.rows[0];
+
+    await recordAudit(req, {
+      action: 'category.update',
+      entityType: 'category',
+      entityId: category.id,
+      before: categoryCheck.rows[0],
+      after: { id: category.id, name: category.name, slug: category.slug }
+    }, client);
+
+    await client.query('COMMIT');
+
+    res.json({
+      message: 'Category updated successfully',
+      category
+    });
+  } catch (error) {
+    await rollback(client);
+    console.error('Update category error:', error);
+    res.status(500).json({ message: 'Server error updating category' });
+  } finally {
+    if (client) {
+      client.release();
+    }
+  }
+});
+
+// @route   DELETE /api/categories/:id
+// @desc    Delete a category (its stores become uncategorized; refused while rating dimensions use it)
+// @access  Private (Admin)
+router.delete('/:id', authenticateToken, requireAdmin, async (req, res) => {
+  let client;
+
+  try {
+    const categoryId = req.params.id;
+
+    client = await pool.connect();
+    await client.query('BEGIN');
+
+    // Dimensions hold the scores given for them, so they are never deleted along with a category
+    const dimensionCheck = await client.query(
+      'SELECT COUNT(*) FROM rating_dimensions WHERE category_id = $1',
+      [categoryId]
+    );
+    const dimensionCount = parseInt(dimensionCheck.rows[0].count);
+    if (dimensionCount > 0) {
+      await client.query('ROLLBACK');
+      return res.status(409).json({
+        message: 'Category still has rating dimensions; move them to another category or delete them first',
+        dimensionCount
+      });
+    }
+
+    const result = await client.query('DELETE FROM categories WHERE id = $1 RETURNING id, name, slug', [categoryId]);
+    if (result.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({ message: 'Category not found' });
+    }
+
+    await recordAudit(req, { action: 'category.delete', entityType: 'category', entityId: result.rows[0].id, before: result.rows[0] }, client);
+
+    await client.query('COMMIT');
+
+    res.json({ message: 'Category deleted successfully' });
+  } catch (error) {
+    await rollback(client);
+    console.error('Delete category error:', error);
+    res.status(500).json({ message: 'Server error deleting category' });
+  } finally {
+    if (client) {
+      client.release();
+    }
+  }
+});
+
+module.exports = router;
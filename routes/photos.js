@@ -0,0 +1,63 @@
+const express = require('express');
+const crypto = require('crypto');
+const { pool } = require('../config/database');
+const { MODERATION_STATUS } = require('../utils/ratingQueries');
+const { getStorage } = require('../utils/storage');
+
+const router = express.Router();
+
+// @route   GET /api/photos/:id
+// @desc    Serve a review photo. Caches revalidate every use (a 304 via the ETag), so moderated photos stop being served at once.
+// @access  Public
+router.get('/:id', async (req, res) => {
+  try {
+    const photoId = parseInt(req.params.id);
+    if (!Number.isInteger(photoId) || photoId < 1) {
+      return res.status(404).json({ message: 'Photo not found' });
+    }
+
+    // Photos of hidden, removed or deleted reviews are withheld together with the review
+    const result = await pool.query(
+      `SELECT rp.id, rp.storage_key, rp.content_type, rp.created_at
+       FROM rating_photos rp
+       JOIN ratings r ON rp.rating_id = r.id
+       WHERE rp.id = $1 AND r.moderation_status NOT IN ($2, $3) AND r.deleted_at IS NULL`,
+      [photoId, MODERATION_STATUS.HIDDEN, MODERATION_STATUS.REMOVED]
+    );
+    if (result.rows.length === 0) {
+      return res.status(404).json({ message: 'Photo not found' });
+    }
+
+    const photo = result.rows[0];
+    const etag = `"${crypto.createHash('sha1').update(photo.storage_key).digest('hex')}"`;
+
+    res.set({
+      'Cache-Control': 'public, no-cache',
+      'ETag': etag,
+      'Last-Modified': new Date(photo.created_at).toUTCString(),
+      // Allow the client app on another origin to embed the image
+      'Cross-Origin-Resource-Policy': 'cross-origin'
+    });
+
+    if (req.headers['if-none-match'] === etag) {
+      return res.status(304).end();
+    }
+
+    const data = await getStorage().read(photo.storage_key);
+    if (!data) {
+      return res.status(404).json({ message: 'Photo not found' });
+    }
+
+    res.set({
+      'Content-Type': photo.content_type,
+      'Content-Length': data.length,
+      'X-Content-Type-Options': 'nosniff'
+    });
+    res.send(data);
+  } catch (error) {
+    console.error('Get photo error:', error);
+    res.status(500).json({ message: 'Server error fetching photo' });
+  }
+});
+
+module.exports = router;
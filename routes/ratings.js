@@ -1,31 +1,88 @@
 const express = require('express');
 const { pool } = require('../config/database');
+const { ROLES } = require('../config/roles');
 const { 
   authenticateToken, 
+  authorizeRoles,
   requireNormalUser,
-  requireAdmin 
+  requireAdmin,
+  requireAdminOrStoreOwner,
+  requireVerifiedEmail,
+  checkStoreOwnership
 } = require('../middleware/auth');
-const { validateRating } = require('../middleware/validation');
+const {
+  validateRating,
+  validateRatingReport,
+  validateRatingVote,
+  validateStoreRatingsQuery
+} = require('../middleware/validation');
+const {
+  MODERATION_STATUS,
+  COUNTED_RATING_CONDITION,
+  PUBLIC_COMMENT_SELECT,
+  HELPFUL_SCORE_SQL,
+  RATING_DIMENSIONS_SELECT,
+  RATING_REPLY_SELECT,
+  RATING_PHOTOS_SELECT,
+  PUBLIC_PHOTOS_SELECT
+} = require('../utils/ratingQueries');
+const { filterComment } = require('../utils/contentFilter');
+const { saveDimensionScores } = require('../utils/ratingDimensions');
+const { rollback } = require('../utils/transactions');
+const {
+  maxPhotosPerRating,
+  preparePhoto,
+  saveRatingPhotos,
+  processPhotoDeletions
+} = require('../utils/ratingPhotos');
+const { uploadPhotos } = require('../middleware/upload');
+const { recordAudit } = require('../utils/auditLog');
+const { streamExport } = require('../utils/exporter');
 
 const router = express.Router();
 
+// Columns of a store's rating export; headers are part of the export contract
+const RATING_EXPORT_COLUMNS = [
+  { key: 'id', header: 'id' },
+  { key: 'store_id', header: 'store_id' },
+  { key: 'user_name', header: 'user_name' },
+  { key: 'rating', header: 'rating', type: 'number' },
+  { key: 'comment', header: 'comment' },
+  { key: 'helpful_count', header: 'helpful_count', type: 'number' },
+  { key: 'not_helpful_count', header: 'not_helpful_count', type: 'number' },
+  { key: 'edited', header: 'edited' },
+  { header: 'reply', value: rating => (rating.reply ? rating.reply.reply : null) },
+  { key: 'created_at', header: 'created_at' },
+  { key: 'updated_at', header: 'updated_at' }
+];
+
+// Exports of a store's ratings are limited to admins and the store's owner
+const requireRatingExportAccess = (req, res, next) => {
+  if (!req.query.format) {
+    return next();
+  }
+  return requireAdminOrStoreOwner(req, res, () => checkStoreOwnership(req, res, next));
+};
+
 // @route   POST /api/ratings
 // @desc    Submit a rating for a store
 // @access  Private (Normal User)
-router.post('/', authenticateToken, requireNormalUser, validateRating, async (req, res) => {
+router.post('/', authenticateToken, requireNormalUser, requireVerifiedEmail, validateRating, async (req, res) => {
+  let client;
+
   try {
-    const { storeId, rating, comment } = req.body;
+    const { storeId, rating, comment, dimensions = {} } = req.body;
     const userId = req.user.id;
 
     // Check if store exists
-    const storeCheck = await pool.query('SELECT id FROM stores WHERE id = $1', [storeId]);
+    const storeCheck = await pool.query('SELECT id FROM stores WHERE id = $1 AND deleted_at IS NULL', [storeId]);
     if (storeCheck.rows.length === 0) {
       return res.status(404).json({ message: 'Store not found' });
     }
 
     // Check if user has already rated this store
     const existingRating = await pool.query(
-      'SELECT id FROM ratings WHERE user_id = $1 AND store_id = $2',
+      'SELECT id FROM ratings WHERE user_id = $1 AND store_id = $2 AND deleted_at IS NULL',
       [userId, storeId]
     );
 
@@ -35,44 +92,74 @@ router.post('/', authenticateToken, requireNormalUser, validateRating, async (re
       });
     }
 
-    // Insert new rating
-    const result = await pool.query(
-      `INSERT INTO ratings (user_id, store_id, rating, comment) 
-       VALUES ($1, $2, $3, $4) 
-       RETURNING id, user_id, store_id, rating, comment, created_at`,
-      [userId, storeId, rating, comment]
+    // Run the comment through the content filter
+    const filterResult = await filterComment(comment);
+    if (filterResult.rejected) {
+      return res.status(400).json({
+        message: 'Comment was rejected by the content filter',
+        firedRules: filterResult.firedRules
+      });
+    }
+
+    client = await pool.connect();
+    await client.query('BEGIN');
+
+    // Insert new rating; flagged comments go to the moderation queue
+    const result = await client.query(
+      `INSERT INTO ratings (user_id, store_id, rating, comment, moderation_status) 
+       VALUES ($1, $2, $3, $4, $5) 
+       RETURNING id, user_id, store_id, rating, comment, moderation_status, created_at`,
+      [
+        userId,
+        storeId,
+        rating,
+        filterResult.comment,
+        filterResult.flagged ? MODERATION_STATUS.PENDING : MODERATION_STATUS.VISIBLE
+      ]
     );
 
     const newRating = result.rows[0];
+    await saveDimensionScores(newRating.id, storeId, dimensions, client);
+    newRating.dimensions = dimensions;
+
+    await client.query('COMMIT');
 
     res.status(201).json({
       message: 'Rating submitted successfully',
-      rating: newRating
+      rating: newRating,
+      firedRules: filterResult.firedRules
     });
   } catch (error) {
+    await rollback(client);
     console.error('Submit rating error:', error);
     res.status(500).json({ message: 'Server error submitting rating' });
+  } finally {
+    if (client) {
+      client.release();
+    }
   }
 });
 
 // @route   PUT /api/ratings/:storeId
 // @desc    Update user's rating for a store
 // @access  Private (Normal User)
-router.put('/:storeId', authenticateToken, requireNormalUser, validateRating, async (req, res) => {
+router.put('/:storeId', authenticateToken, requireNormalUser, requireVerifiedEmail, validateRating, async (req, res) => {
+  let client;
+
   try {
     const storeId = req.params.storeId;
-    const { rating, comment } = req.body;
+    const { rating, comment, dimensions } = req.body;
     const userId = req.user.id;
 
     // Check if store exists
-    const storeCheck = await pool.query('SELECT id FROM stores WHERE id = $1', [storeId]);
+    const storeCheck = await pool.query('SELECT id FROM stores WHERE id = $1 AND deleted_at IS NULL', [storeId]);
     if (storeCheck.rows.length === 0) {
       return res.status(404).json({ message: 'Store not found' });
     }
 
     // Check if user has rated this store
     const existingRating = await pool.query(
-      'SELECT id FROM ratings WHERE user_id = $1 AND store_id = $2',
+      'SELECT id FROM ratings WHERE user_id = $1 AND store_id = $2 AND deleted_at IS NULL',
       [userId, storeId]
     );
 
@@ -82,24 +169,318 @@ router.put('/:storeId', authenticateToken, requireNormalUser, validateRating, as
       });
     }
 
-    // Update rating
-    const result = await pool.query(
+    // Run the comment through the content filter
+    const filterResult = await filterComment(comment);
+    if (filterResult.rejected) {
+      return res.status(400).json({
+        message: 'Comment was rejected by the content filter',
+        firedRules: filterResult.firedRules
+      });
+    }
+
+    client = await pool.connect();
+    await client.query('BEGIN');
+
+    // Update rating; a flagged comment sends a visible review back to the moderation queue
+    const result = await client.query(
       `UPDATE ratings 
-       SET rating = $1, comment = $2, updated_at = CURRENT_TIMESTAMP 
-       WHERE user_id = $3 AND store_id = $4
-       RETURNING id, user_id, store_id, rating, comment, created_at, updated_at`,
-      [rating, comment, userId, storeId]
+       SET rating = $1, comment = $2, updated_at = CURRENT_TIMESTAMP,
+           moderation_status = CASE WHEN $5 AND moderation_status = $6 THEN $7 ELSE moderation_status END
+       WHERE user_id = $3 AND store_id = $4 AND deleted_at IS NULL
+       RETURNING id, user_id, store_id, rating, comment, moderation_status, created_at, updated_at, edited_at`,
+      [
+        rating,
+        filterResult.comment,
+        userId,
+        storeId,
+        filterResult.flagged,
+        MODERATION_STATUS.VISIBLE,
+        MODERATION_STATUS.PENDING
+      ]
     );
 
     const updatedRating = result.rows[0];
 
+    // Replace dimension scores when given, otherwise keep the stored ones
+    if (dimensions !== undefined) {
+      await saveDimensionScores(updatedRating.id, storeId, dimensions, client);
+    }
+
+    const dimensionsResult = await client.query(
+      `SELECT ${RATING_DIMENSIONS_SELECT} as dimensions FROM ratings r WHERE r.id = $1`,
+      [updatedRating.id]
+    );
+    updatedRating.dimensions = dimensionsResult.rows[0].dimensions;
+
+    await client.query('COMMIT');
+
     res.json({
       message: 'Rating updated successfully',
-      rating: updatedRating
+      rating: updatedRating,
+      firedRules: filterResult.firedRules
     });
   } catch (error) {
+    await rollback(client);
     console.error('Update rating error:', error);
     res.status(500).json({ message: 'Server error updating rating' });
+  } finally {
+    if (client) {
+      client.release();
+    }
+  }
+});
+
+// @route   POST /api/ratings/:ratingId/report
+// @desc    Report a review for moderation
+// @access  Private (Normal User or Store Owner)
+router.post('/:ratingId/report', authenticateToken, authorizeRoles(ROLES.NORMAL_USER, ROLES.STORE_OWNER), validateRatingReport, async (req, res) => {
+  try {
+    const ratingId = req.params.ratingId;
+    const { reason, details } = req.body;
+    const userId = req.user.id;
+
+    // Check if rating exists and is still listed
+    const ratingCheck = await pool.query(
+      `SELECT r.id, r.user_id FROM ratings r WHERE r.id = $1 AND ${COUNTED_RATING_CONDITION}`,
+      [ratingId]
+    );
+    if (ratingCheck.rows.length === 0) {
+      return res.status(404).json({ message: 'Rating not found' });
+    }
+
+    if (ratingCheck.rows[0].user_id === userId) {
+      return res.status(400).json({ message: 'You cannot report your own review' });
+    }
+
+    const result = await pool.query(
+      `INSERT INTO rating_reports (rating_id, reporter_id, reason, details)
+       VALUES ($1, $2, $3, $4)
+       ON CONFLICT (rating_id, reporter_id) DO NOTHING
+       RETURNING id, rating_id, reason, details, status, created_at`,
+      [ratingId, userId, reason, details || null]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(400).json({ message: 'You have already reported this review' });
+    }
+
+    // Put visible reviews in the moderation queue; already moderated ones keep their status
+    await pool.query(
+      `UPDATE ratings SET moderation_status = $1
+       WHERE id = $2 AND moderation_status = $3`,
+      [MODERATION_STATUS.PENDING, ratingId, MODERATION_STATUS.VISIBLE]
+    );
+
+    res.status(201).json({
+      message: 'Review reported. Thank you, a moderator will look into it.',
+      report: result.rows[0]
+    });
+  } catch (error) {
+    console.error('Report rating error:', error);
+    res.status(500).json({ message: 'Server error reporting review' });
+  }
+});
+
+// @route   PUT /api/ratings/:ratingId/vote
+// @desc    Mark another user's review as helpful or not helpful (one vote per review, can be changed)
+// @access  Private (Normal User)
+router.put('/:ratingId/vote', authenticateToken, requireNormalUser, validateRatingVote, async (req, res) => {
+  try {
+    const ratingId = req.params.ratingId;
+    const { helpful } = req.body;
+    const userId = req.user.id;
+
+    // Check if rating exists and is still listed
+    const ratingCheck = await pool.query(
+      `SELECT r.id, r.user_id FROM ratings r WHERE r.id = $1 AND ${COUNTED_RATING_CONDITION}`,
+      [ratingId]
+    );
+    if (ratingCheck.rows.length === 0) {
+      return res.status(404).json({ message: 'Rating not found' });
+    }
+
+    if (ratingCheck.rows[0].user_id === userId) {
+      return res.status(400).json({ message: 'You cannot vote on your own review' });
+    }
+
+    await pool.query(
+      `INSERT INTO rating_votes (rating_id, user_id, helpful)
+       VALUES ($1, $2, $3)
+       ON CONFLICT (rating_id, user_id) DO UPDATE SET
+         helpful = EXCLUDED.helpful,
+         updated_at = CURRENT_TIMESTAMP`,
+      [ratingId, userId, helpful]
+    );
+
+    const countsResult = await pool.query(
+      'SELECT id, helpful_count, not_helpful_count FROM ratings WHERE id = $1',
+      [ratingId]
+    );
+
+    res.json({
+      message: 'Vote recorded',
+      rating: {
+        ...countsResult.rows[0],
+        my_vote: helpful
+      }
+    });
+  } catch (error) {
+    console.error('Vote rating error:', error);
+    res.status(500).json({ message: 'Server error recording vote' });
+  }
+});
+
+// @route   DELETE /api/ratings/:ratingId/vote
+// @desc    Withdraw a helpfulness vote
+// @access  Private (Normal User)
+router.delete('/:ratingId/vote', authenticateToken, requireNormalUser, async (req, res) => {
+  try {
+    const ratingId = req.params.ratingId;
+
+    const result = await pool.query(
+      'DELETE FROM rating_votes WHERE rating_id = $1 AND user_id = $2 RETURNING rating_id',
+      [ratingId, req.user.id]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ message: 'Vote not found' });
+    }
+
+    const countsResult = await pool.query(
+      'SELECT id, helpful_count, not_helpful_count FROM ratings WHERE id = $1',
+      [ratingId]
+    );
+
+    res.json({
+      message: 'Vote removed',
+      rating: {
+        ...countsResult.rows[0],
+        my_vote: null
+      }
+    });
+  } catch (error) {
+    console.error('Remove vote error:', error);
+    res.status(500).json({ message: 'Server error removing vote' });
+  }
+});
+
+// @route   POST /api/ratings/:ratingId/photos
+// @desc    Attach photos to your own review (multipart/form-data, field "photos")
+// @access  Private (Normal User)
+router.post('/:ratingId/photos', authenticateToken, requireNormalUser, uploadPhotos, async (req, res) => {
+  try {
+    const ratingId = req.params.ratingId;
+
+    const ratingCheck = await pool.query(
+      `SELECT r.id, r.user_id, r.store_id,
+              (SELECT COUNT(*) FROM rating_photos rp WHERE rp.rating_id = r.id) as photo_count
+       FROM ratings r
+       WHERE r.id = $1 AND ${COUNTED_RATING_CONDITION}`,
+      [ratingId]
+    );
+    if (ratingCheck.rows.length === 0) {
+      return res.status(404).json({ message: 'Rating not found' });
+    }
+
+    const rating = ratingCheck.rows[0];
+    if (rating.user_id !== req.user.id) {
+      return res.status(403).json({ message: 'You can only add photos to your own review' });
+    }
+
+    const maxPhotos = maxPhotosPerRating();
+    if (parseInt(rating.photo_count) + req.files.length > maxPhotos) {
+      return res.status(400).json({
+        message: `A review can have at most ${maxPhotos} photo(s); it already has ${rating.photo_count}`
+      });
+    }
+
+    const photos = req.files.map(preparePhoto);
+    const errors = photos.filter(photo => photo.error).map(photo => photo.error);
+    if (errors.length > 0) {
+      return res.status(400).json({ message: 'Invalid photo upload', errors });
+    }
+
+    const saved = await saveRatingPhotos(rating.id, rating.store_id, photos);
+
+    res.status(201).json({
+      message: 'Photos uploaded successfully',
+      photos: saved.map(photo => ({ ...photo, url: `/api/photos/${photo.id}` }))
+    });
+  } catch (error) {
+    console.error('Upload rating photos error:', error);
+    res.status(500).json({ message: 'Server error uploading photos' });
+  }
+});
+
+// @route   GET /api/ratings/:ratingId/photos
+// @desc    List the photos of a review
+// @access  Private
+router.get('/:ratingId/photos', authenticateToken, async (req, res) => {
+  try {
+    const ratingId = req.params.ratingId;
+
+    const ratingCheck = await pool.query(
+      `SELECT r.id, ${PUBLIC_PHOTOS_SELECT} as photos
+       FROM ratings r
+       WHERE r.id = $1 AND ${COUNTED_RATING_CONDITION}`,
+      [ratingId]
+    );
+    if (ratingCheck.rows.length === 0) {
+      return res.status(404).json({ message: 'Rating not found' });
+    }
+
+    res.json({ photos: ratingCheck.rows[0].photos });
+  } catch (error) {
+    console.error('Get rating photos error:', error);
+    res.status(500).json({ message: 'Server error fetching photos' });
+  }
+});
+
+// @route   DELETE /api/ratings/:ratingId/photos/:photoId
+// @desc    Delete a photo from a review
+// @access  Private (Review author or Admin)
+router.delete('/:ratingId/photos/:photoId', authenticateToken, authorizeRoles(ROLES.NORMAL_USER, ROLES.SYSTEM_ADMIN), async (req, res) => {
+  let client;
+
+  try {
+    const { ratingId, photoId } = req.params;
+
+    const photoCheck = await pool.query(
+      `SELECT rp.id, rp.rating_id, rp.storage_key, r.user_id
+       FROM rating_photos rp
+       JOIN ratings r ON rp.rating_id = r.id
+       WHERE rp.id = $1 AND rp.rating_id = $2 AND r.deleted_at IS NULL`,
+      [photoId, ratingId]
+    );
+    if (photoCheck.rows.length === 0) {
+      return res.status(404).json({ message: 'Photo not found' });
+    }
+
+    if (req.user.role !== ROLES.SYSTEM_ADMIN && photoCheck.rows[0].user_id !== req.user.id) {
+      return res.status(403).json({ message: 'You can only delete photos from your own review' });
+    }
+
+    client = await pool.connect();
+    await client.query('BEGIN');
+
+    await client.query('DELETE FROM rating_photos WHERE id = $1', [photoId]);
+
+    await recordAudit(req, { action: 'rating_photo.delete', entityType: 'rating_photo', entityId: photoCheck.rows[0].id, before: photoCheck.rows[0] }, client);
+
+    await client.query('COMMIT');
+
+    // The file is queued for removal by the delete, so it is only removed once committed
+    await processPhotoDeletions();
+
+    res.json({ message: 'Photo deleted successfully' });
+  } catch (error) {
+    await rollback(client);
+    console.error('Delete rating photo error:', error);
+    res.status(500).json({ message: 'Server error deleting photo' });
+  } finally {
+    if (client) {
+      client.release();
+    }
   }
 });
 
@@ -119,17 +500,20 @@ router.get('/user/:userId', authenticateToken, requireAdmin, async (req, res) =>
     const order = validSortOrders.includes(sortOrder.toLowerCase()) ? sortOrder.toUpperCase() : 'DESC';
 
     // Check if user exists
-    const userCheck = await pool.query('SELECT id FROM users WHERE id = $1', [userId]);
+    const userCheck = await pool.query('SELECT id FROM users WHERE id = $1 AND deleted_at IS NULL', [userId]);
     if (userCheck.rows.length === 0) {
       return res.status(404).json({ message: 'User not found' });
     }
 
     const query = `
-      SELECT r.id, r.rating, r.created_at, r.updated_at,
+      SELECT r.id, r.rating, r.comment, r.moderation_status, r.moderation_reason,
+             r.created_at, r.updated_at, r.edited_at,
+             r.edited_at IS NOT NULL as edited,
+             ${RATING_PHOTOS_SELECT} as photos,
              s.name as store_name, s.id as store_id
       FROM ratings r
       JOIN stores s ON r.store_id = s.id
-      WHERE r.user_id = $1
+      WHERE r.user_id = $1 AND r.deleted_at IS NULL
       ORDER BY ${sortField === 'store_name' ? 's.name' : 'r.' + sortField} ${order}
       LIMIT $2 OFFSET $3
     `;
@@ -138,7 +522,7 @@ router.get('/user/:userId', authenticateToken, requireAdmin, async (req, res) =>
 
     // Get total count
     const countResult = await pool.query(
-      'SELECT COUNT(*) FROM ratings WHERE user_id = $1',
+      'SELECT COUNT(*) FROM ratings WHERE user_id = $1 AND deleted_at IS NULL',
       [userId]
     );
     
@@ -177,12 +561,17 @@ router.get('/my-ratings', authenticateToken, requireNormalUser, async (req, res)
     const order = validSortOrders.includes(sortOrder.toLowerCase()) ? sortOrder.toUpperCase() : 'DESC';
 
     const query = `
-      SELECT r.id, r.rating, r.comment, r.created_at, r.updated_at,
+      SELECT r.id, r.rating, r.comment, r.moderation_status, r.created_at, r.updated_at, r.edited_at,
+             r.edited_at IS NOT NULL as edited,
+             r.helpful_count, r.not_helpful_count,
+             ${RATING_DIMENSIONS_SELECT} as dimensions,
              s.name as store_name, s.id as store_id, s.address as store_address,
-             s.average_rating as store_average_rating
+             s.average_rating as store_average_rating,
+             ${RATING_PHOTOS_SELECT} as photos,
+             ${RATING_REPLY_SELECT} as reply
       FROM ratings r
       JOIN stores s ON r.store_id = s.id
-      WHERE r.user_id = $1
+      WHERE r.user_id = $1 AND r.deleted_at IS NULL
       ORDER BY ${sortField === 'store_name' ? 's.name' : 'r.' + sortField} ${order}
       LIMIT $2 OFFSET $3
     `;
@@ -191,7 +580,7 @@ router.get('/my-ratings', authenticateToken, requireNormalUser, async (req, res)
 
     // Get total count
     const countResult = await pool.query(
-      'SELECT COUNT(*) FROM ratings WHERE user_id = $1',
+      'SELECT COUNT(*) FROM ratings WHERE user_id = $1 AND deleted_at IS NULL',
       [userId]
     );
     
@@ -222,22 +611,18 @@ router.delete('/:storeId', authenticateToken, requireNormalUser, async (req, res
     const storeId = req.params.storeId;
     const userId = req.user.id;
 
-    // Check if rating exists
-    const ratingCheck = await pool.query(
-      'SELECT id FROM ratings WHERE user_id = $1 AND store_id = $2',
+    // Soft delete rating; it stays restorable until the scheduled purge
+    const result = await pool.query(
+      `UPDATE ratings SET deleted_at = CURRENT_TIMESTAMP
+       WHERE user_id = $1 AND store_id = $2 AND deleted_at IS NULL
+       RETURNING id`,
       [userId, storeId]
     );
 
-    if (ratingCheck.rows.length === 0) {
+    if (result.rows.length === 0) {
       return res.status(404).json({ message: 'Rating not found' });
     }
 
-    // Delete rating
-    await pool.query(
-      'DELETE FROM ratings WHERE user_id = $1 AND store_id = $2',
-      [userId, storeId]
-    );
-
     res.json({ message: 'Rating deleted successfully' });
   } catch (error) {
     console.error('Delete rating error:', error);
@@ -246,46 +631,114 @@ router.delete('/:storeId', authenticateToken, requireNormalUser, async (req, res
 });
 
 // @route   GET /api/ratings/store/:storeId
-// @desc    Get all ratings for a specific store
+// @desc    Get all ratings for a specific store (?minRating=, ?maxRating=, ?dateFrom=, ?dateTo=);
+//          ?format=csv|xlsx|json exports every match (Admin or the store's owner)
 // @access  Private
-router.get('/store/:storeId', authenticateToken, async (req, res) => {
+router.get('/store/:storeId', authenticateToken, validateStoreRatingsQuery, requireRatingExportAccess, async (req, res) => {
   try {
     const storeId = req.params.storeId;
-    const { page = 1, limit = 10, sortBy = 'created_at', sortOrder = 'desc' } = req.query;
+    const {
+      page = 1,
+      limit = 10,
+      sortBy = 'created_at',
+      sortOrder = 'desc',
+      minRating,
+      maxRating,
+      dateFrom,
+      dateTo,
+      format
+    } = req.query;
 
     const offset = (page - 1) * limit;
-    const validSortFields = ['rating', 'created_at', 'user_name'];
+    const validSortFields = ['rating', 'created_at', 'user_name', 'helpful'];
     const validSortOrders = ['asc', 'desc'];
 
     const sortField = validSortFields.includes(sortBy) ? sortBy : 'created_at';
     const order = validSortOrders.includes(sortOrder.toLowerCase()) ? sortOrder.toUpperCase() : 'DESC';
 
     // Check if store exists
-    const storeCheck = await pool.query('SELECT id FROM stores WHERE id = $1', [storeId]);
+    const storeCheck = await pool.query('SELECT id FROM stores WHERE id = $1 AND deleted_at IS NULL', [storeId]);
     if (storeCheck.rows.length === 0) {
       return res.status(404).json({ message: 'Store not found' });
     }
 
+    let where = ` WHERE r.store_id = $1 AND ${COUNTED_RATING_CONDITION}`;
+    const filterParams = [storeId];
+    let paramCount = 1;
+
+    if (minRating) {
+      paramCount++;
+      where += ` AND r.rating >= $${paramCount}`;
+      filterParams.push(minRating);
+    }
+
+    if (maxRating) {
+      paramCount++;
+      where += ` AND r.rating <= $${paramCount}`;
+      filterParams.push(maxRating);
+    }
+
+    if (dateFrom) {
+      paramCount++;
+      where += ` AND r.created_at >= $${paramCount}`;
+      filterParams.push(dateFrom);
+    }
+
+    if (dateTo) {
+      paramCount++;
+      where += ` AND r.created_at <= $${paramCount}`;
+      filterParams.push(dateTo + ' 23:59:59.999');
+    }
+
+    let orderBy = 'r.' + sortField;
+    if (sortField === 'user_name') {
+      orderBy = 'u.name';
+    } else if (sortField === 'helpful') {
+      // Wilson score ranking, ties broken by date
+      orderBy = `helpful_score ${order}, r.created_at`;
+    }
+
     const query = `
-      SELECT r.id, r.rating, r.created_at, r.updated_at,
-             u.name as user_name
+      SELECT r.id, r.store_id, r.rating, ${PUBLIC_COMMENT_SELECT} as comment, r.created_at, r.updated_at, r.edited_at,
+             r.edited_at IS NOT NULL as edited,
+             r.helpful_count, r.not_helpful_count,
+             ROUND((${HELPFUL_SCORE_SQL})::numeric, 4)::float as helpful_score,
+             ${RATING_DIMENSIONS_SELECT} as dimensions,
+             v.helpful as my_vote,
+             u.name as user_name,
+             ${PUBLIC_PHOTOS_SELECT} as photos,
+             ${RATING_REPLY_SELECT} as reply
       FROM ratings r
       JOIN users u ON r.user_id = u.id
-      WHERE r.store_id = $1
-      ORDER BY ${sortField === 'user_name' ? 'u.name' : 'r.' + sortField} ${order}
-      LIMIT $2 OFFSET $3
+      LEFT JOIN rating_votes v ON v.rating_id = r.id AND v.user_id = $${paramCount + 1}
+      ${where}
+      ORDER BY ${orderBy} ${order}, r.id
     `;
+    const queryParams = [...filterParams, req.user.id];
+
+    if (format) {
+      return await streamExport(res, {
+        format,
+        filename: `store-${storeId}-ratings`,
+        columns: RATING_EXPORT_COLUMNS,
+        query,
+        params: queryParams
+      });
+    }
 
-    const result = await pool.query(query, [storeId, limit, offset]);
+    const result = await pool.query(
+      `${query} LIMIT $${paramCount + 2} OFFSET $${paramCount + 3}`,
+      [...queryParams, limit, offset]
+    );
 
     // Get total count and average rating
     const statsResult = await pool.query(`
       SELECT COUNT(*) as total_ratings, 
              COALESCE(AVG(rating), 0) as average_rating
-      FROM ratings 
-      WHERE store_id = $1
-    `, [storeId]);
-    
+      FROM ratings r
+      ${where}
+    `, filterParams);
+
     const stats = statsResult.rows[0];
     const totalRatings = parseInt(stats.total_ratings);
     const totalPages = Math.ceil(totalRatings / limit);
@@ -320,23 +773,27 @@ router.get('/stats', authenticateToken, requireAdmin, async (req, res) => {
         COUNT(*) as total_ratings,
         AVG(rating) as overall_average_rating,
         COUNT(DISTINCT store_id) as stores_with_ratings,
-        COUNT(DISTINCT user_id) as users_who_rated,
-        (
-          SELECT COUNT(*) 
-          FROM (
-            SELECT rating, COUNT(*) as count 
-            FROM ratings 
-            GROUP BY rating 
-            ORDER BY count DESC 
-            LIMIT 1
-          ) most_common
-        ) as most_common_rating_count
+        COUNT(DISTINCT user_id) as users_who_rated
+      FROM ratings r
+      WHERE ${COUNTED_RATING_CONDITION}
+    `);
+
+    // Most common rating value (the higher one on a tie)
+    const mostCommonResult = await pool.query(`
+      SELECT rating, COUNT(*) as count
+      FROM ratings r
+      WHERE ${COUNTED_RATING_CONDITION}
+      GROUP BY rating
+      ORDER BY count DESC, rating DESC
+      LIMIT 1
     `);
+    const mostCommon = mostCommonResult.rows[0];
 
     // Get rating distribution
     const distributionResult = await pool.query(`
       SELECT rating, COUNT(*) as count
-      FROM ratings
+      FROM ratings r
+      WHERE ${COUNTED_RATING_CONDITION}
       GROUP BY rating
       ORDER BY rating
     `);
@@ -344,7 +801,9 @@ router.get('/stats', authenticateToken, requireAdmin, async (req, res) => {
     res.json({
       stats: {
         ...stats.rows[0],
-        overall_average_rating: parseFloat(stats.rows[0].overall_average_rating || 0).toFixed(1)
+        overall_average_rating: parseFloat(stats.rows[0].overall_average_rating || 0).toFixed(1),
+        most_common_rating: mostCommon ? mostCommon.rating : null,
+        most_common_rating_count: mostCommon ? mostCommon.count : '0'
       },
       distribution: distributionResult.rows
     });
@@ -0,0 +1,28 @@
+const express = require('express');
+const { authenticateToken } = require('../middleware/auth');
+const { validateGlobalSearch } = require('../middleware/validation');
+const { searchStores, searchReviews } = require('../utils/search');
+
+const router = express.Router();
+
+// @route   GET /api/search
+// @desc    Search stores and review comments, ranked by relevance, with highlighted matches
+// @access  Private
+router.get('/', authenticateToken, validateGlobalSearch, async (req, res) => {
+  try {
+    const { q, type = 'all' } = req.query;
+    const limit = parseInt(req.query.limit) || 10;
+
+    const [stores, reviews] = await Promise.all([
+      type === 'reviews' ? [] : searchStores(q, { limit }),
+      type === 'stores' ? [] : searchReviews(q, { limit })
+    ]);
+
+    res.json({ query: q, type, stores, reviews });
+  } catch (error) {
+    console.error('Search error:', error);
+    res.status(500).json({ message: 'Server error searching' });
+  }
+});
+
+module.exports = router;
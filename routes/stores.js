@@ -1,21 +1,54 @@
 const express = require('express');
 const { pool } = require('../config/database');
+const { ROLES } = require('../config/roles');
 const { 
   authenticateToken, 
   requireAdmin, 
   requireStoreOwner,
+  requireAdminOrStoreOwner,
   requireAdminOrNormalUser,
   checkStoreOwnership 
 } = require('../middleware/auth');
 const { 
   validateStoreCreation, 
-  validateStoreUpdate 
+  validateStoreUpdate,
+  validateNearbySearch,
+  validateRatingReply,
+  validateAnalyticsQuery
 } = require('../middleware/validation');
+const {
+  STORE_TAGS_SELECT,
+  STORE_DIMENSIONS_SELECT,
+  storeDistanceSql,
+  storeSortColumn,
+  parseTagFilter,
+  buildStoreFilters,
+  getStoreFacets,
+  setStoreTags
+} = require('../utils/storeQueries');
+const { resolveStoreCoordinates } = require('../utils/geocoder');
+const { getStoreDimensions } = require('../utils/ratingDimensions');
+const {
+  COUNTED_RATING_CONDITION,
+  PUBLIC_COMMENT_SELECT,
+  RATING_REPLY_SELECT,
+  PUBLIC_PHOTOS_SELECT
+} = require('../utils/ratingQueries');
+const { recordAudit } = require('../utils/auditLog');
+const { rollback } = require('../utils/transactions');
+const { getRankingSettings } = require('../utils/storeRanking');
+const {
+  ANALYTICS_GRANULARITIES,
+  resolveAnalyticsRange,
+  getStoreRatingSeries,
+  getStoreRatingComparison,
+  describeRange
+} = require('../utils/ratingAnalytics');
 
 const router = express.Router();
 
 // @route   GET /api/stores
-// @desc    Get all stores
+// @desc    Get all stores (filterable by category and tag, with facet counts)
 // @access  Private
 router.get('/', authenticateToken, async (req, res) => {
   try {
@@ -25,11 +58,13 @@ router.get('/', authenticateToken, async (req, res) => {
       sortBy = 'name', 
       sortOrder = 'asc',
       search = '',
-      searchBy = 'name'
+      searchBy = 'name',
+      category = '',
+      tag = ''
     } = req.query;
 
     const offset = (page - 1) * limit;
-    const validSortFields = ['name', 'email', 'address', 'average_rating', 'total_ratings', 'created_at'];
+    const validSortFields = ['name', 'email', 'address', 'average_rating', 'total_ratings', 'score', 'created_at'];
     const validSortOrders = ['asc', 'desc'];
     const validSearchFields = ['name', 'address'];
 
@@ -38,47 +73,50 @@ router.get('/', authenticateToken, async (req, res) => {
     const order = validSortOrders.includes(sortOrder.toLowerCase()) ? sortOrder.toUpperCase() : 'ASC';
     const searchField = validSearchFields.includes(searchBy) ? searchBy : 'name';
 
+    const filters = {
+      search,
+      searchField,
+      category,
+      tags: parseTagFilter(tag),
+      // Store owners only see their own stores
+      ownerId: req.user.role === ROLES.STORE_OWNER ? req.user.id : null
+    };
+
     // Build query based on user role
     let query = `
-      SELECT s.id, s.name, s.email, s.address, s.average_rating, s.total_ratings, s.created_at,
-             u.name as owner_name
+      SELECT s.id, s.name, s.email, s.address, s.latitude, s.longitude,
+             s.average_rating, s.total_ratings, s.rating_score, s.created_at,
+             u.name as owner_name,
+             c.id as category_id, c.name as category_name,
+             ${STORE_TAGS_SELECT} as tags,
+             ${STORE_DIMENSIONS_SELECT} as dimension_averages
     `;
     
     // Add user's rating if normal user
-    if (req.user.role === 'NORMAL_USER') {
-      query += `, r.rating as user_rating`;
+    if (req.user.role === ROLES.NORMAL_USER) {
+      query += `, r.rating as user_rating, r.edited_at IS NOT NULL as user_rating_edited`;
     }
     
     query += `
       FROM stores s
-      LEFT JOIN users u ON s.owner_id = u.id
+      LEFT JOIN users u ON s.owner_id = u.id AND u.deleted_at IS NULL
+      LEFT JOIN categories c ON s.category_id = c.id
     `;
     
-    if (req.user.role === 'NORMAL_USER') {
-      query += ` LEFT JOIN ratings r ON s.id = r.store_id AND r.user_id = $1`;
+    if (req.user.role === ROLES.NORMAL_USER) {
+      query += ` LEFT JOIN ratings r ON s.id = r.store_id AND r.user_id = $1 AND r.deleted_at IS NULL`;
     }
     
-    query += ` WHERE 1=1`;
-    
-    const queryParams = req.user.role === 'NORMAL_USER' ? [req.user.id] : [];
-    let paramCount = queryParams.length;
+    const queryParams = req.user.role === ROLES.NORMAL_USER ? [req.user.id] : [];
 
-    // Add search filter
-    if (search) {
-      paramCount++;
-      query += ` AND LOWER(s.${searchField}) LIKE LOWER($${paramCount})`;
-      queryParams.push(`%${search}%`);
-    }
-
-    // Filter by owner for store owners
-    if (req.user.role === 'STORE_OWNER') {
-      paramCount++;
-      query += ` AND s.owner_id = $${paramCount}`;
-      queryParams.push(req.user.id);
-    }
+    // Add search, owner, category and tag filters
+    const storeFilters = buildStoreFilters(filters, { paramOffset: queryParams.length });
+    query += ` WHERE 1=1${storeFilters.where}`;
+    queryParams.push(...storeFilters.params);
+    let paramCount = queryParams.length;
 
     // Add sorting
-    query += ` ORDER BY s.${sortField} ${order}`;
+    query += ` ORDER BY ${storeSortColumn(sortField)} ${order}`;
 
     // Add pagination
     paramCount++;
@@ -92,28 +130,149 @@ router.get('/', authenticateToken, async (req, res) => {
     const result = await pool.query(query, queryParams);
 
     // Get total count
-    let countQuery = 'SELECT COUNT(*) FROM stores s WHERE 1=1';
-    const countParams = [];
-    let countParamCount = 0;
+    const countFilters = buildStoreFilters(filters);
+    const countResult = await pool.query(
+      `SELECT COUNT(*) FROM stores s WHERE 1=1${countFilters.where}`,
+      countFilters.params
+    );
+    const totalStores = parseInt(countResult.rows[0].count);
+    const totalPages = Math.ceil(totalStores / limit);
 
-    if (search) {
-      countParamCount++;
-      countQuery += ` AND LOWER(s.${searchField}) LIKE LOWER($${countParamCount})`;
-      countParams.push(`%${search}%`);
-    }
+    const facets = await getStoreFacets(filters);
+    const { priorMean, priorWeight, halfLifeDays } = await getRankingSettings();
+
+    res.json({
+      stores: result.rows,
+      facets,
+      // How rating_score relates to average_rating, for sortBy=score
+      ranking: { priorMean, priorWeight, halfLifeDays },
+      pagination: {
+        currentPage: parseInt(page),
+        totalPages,
+        totalStores,
+        hasNext: page < totalPages,
+        hasPrev: page > 1
+      }
+    });
+  } catch (error) {
+    console.error('Get stores error:', error);
+    res.status(500).json({ message: 'Server error fetching stores' });
+  }
+});
 
-    if (req.user.role === 'STORE_OWNER') {
-      countParamCount++;
-      countQuery += ` AND s.owner_id = $${countParamCount}`;
-      countParams.push(req.user.id);
+// @route   GET /api/stores/nearby
+// @desc    Get stores within a radius (km) of a point, nearest first by default
+// @access  Private
+router.get('/nearby', authenticateToken, validateNearbySearch, async (req, res) => {
+  try {
+    const { 
+      lat,
+      lng,
+      radius = 10,
+      page = 1, 
+      limit = 10, 
+      sortBy = 'distance', 
+      sortOrder = 'asc',
+      search = '',
+      searchBy = 'name',
+      category = '',
+      tag = ''
+    } = req.query;
+
+    const offset = (page - 1) * limit;
+    const validSortFields = ['distance', 'name', 'email', 'address', 'average_rating', 'total_ratings', 'score', 'created_at'];
+    const validSortOrders = ['asc', 'desc'];
+    const validSearchFields = ['name', 'address'];
+
+    // Validate parameters
+    const sortField = validSortFields.includes(sortBy) ? sortBy : 'distance';
+    const order = validSortOrders.includes(sortOrder.toLowerCase()) ? sortOrder.toUpperCase() : 'ASC';
+    const searchField = validSearchFields.includes(searchBy) ? searchBy : 'name';
+
+    const filters = {
+      search,
+      searchField,
+      category,
+      tags: parseTagFilter(tag),
+      near: { latitude: lat, longitude: lng, radius: parseFloat(radius) },
+      // Store owners only see their own stores
+      ownerId: req.user.role === ROLES.STORE_OWNER ? req.user.id : null
+    };
+
+    const queryParams = req.user.role === ROLES.NORMAL_USER ? [req.user.id] : [];
+
+    // Add search, owner, category, tag and radius filters
+    const storeFilters = buildStoreFilters(filters, { paramOffset: queryParams.length });
+    queryParams.push(...storeFilters.params);
+    let paramCount = queryParams.length;
+
+    // Distance of each store from the requested point
+    queryParams.push(lat, lng);
+    const distance = storeDistanceSql(`$${paramCount + 1}`, `$${paramCount + 2}`);
+    paramCount += 2;
+
+    // Build query based on user role
+    let query = `
+      SELECT s.id, s.name, s.email, s.address, s.latitude, s.longitude,
+             s.average_rating, s.total_ratings, s.rating_score, s.created_at,
+             ROUND(${distance}::numeric, 2)::float as distance_km,
+             u.name as owner_name,
+             c.id as category_id, c.name as category_name,
+             ${STORE_TAGS_SELECT} as tags,
+             ${STORE_DIMENSIONS_SELECT} as dimension_averages
+    `;
+    
+    // Add user's rating if normal user
+    if (req.user.role === ROLES.NORMAL_USER) {
+      query += `, r.rating as user_rating, r.edited_at IS NOT NULL as user_rating_edited`;
+    }
+    
+    query += `
+      FROM stores s
+      LEFT JOIN users u ON s.owner_id = u.id AND u.deleted_at IS NULL
+      LEFT JOIN categories c ON s.category_id = c.id
+    `;
+    
+    if (req.user.role === ROLES.NORMAL_USER) {
+      query += ` LEFT JOIN ratings r ON s.id = r.store_id AND r.user_id = $1 AND r.deleted_at IS NULL`;
     }
+    
+    query += ` WHERE 1=1${storeFilters.where}`;
+
+    // Add sorting; distance breaks ties for the other sort fields
+    query += sortField === 'distance'
+      ? ` ORDER BY distance_km ${order}`
+      : ` ORDER BY ${storeSortColumn(sortField)} ${order}, distance_km ASC`;
+
+    // Add pagination
+    paramCount++;
+    query += ` LIMIT $${paramCount}`;
+    queryParams.push(limit);
+    
+    paramCount++;
+    query += ` OFFSET $${paramCount}`;
+    queryParams.push(offset);
+
+    const result = await pool.query(query, queryParams);
 
-    const countResult = await pool.query(countQuery, countParams);
+    // Get total count
+    const countFilters = buildStoreFilters(filters);
+    const countResult = await pool.query(
+      `SELECT COUNT(*) FROM stores s WHERE 1=1${countFilters.where}`,
+      countFilters.params
+    );
     const totalStores = parseInt(countResult.rows[0].count);
     const totalPages = Math.ceil(totalStores / limit);
+    const { priorMean, priorWeight, halfLifeDays } = await getRankingSettings();
 
     res.json({
       stores: result.rows,
+      ranking: { priorMean, priorWeight, halfLifeDays },
+      origin: {
+        latitude: lat,
+        longitude: lng,
+        radiusKm: parseFloat(radius)
+      },
       pagination: {
         currentPage: parseInt(page),
         totalPages,
@@ -123,11 +282,166 @@ router.get('/', authenticateToken, async (req, res) => {
       }
     });
   } catch (error) {
-    console.error('Get stores error:', error);
+    console.error('Get nearby stores error:', error);
+    res.status(500).json({ message: 'Server error fetching nearby stores' });
+  }
+});
+
+// @route   GET /api/stores/mine
+// @desc    Get all stores of the current store owner with an aggregate summary
+// @access  Private (Store Owner)
+router.get('/mine', authenticateToken, requireStoreOwner, async (req, res) => {
+  try {
+    const result = await pool.query(`
+      SELECT s.id, s.name, s.email, s.address, s.average_rating, s.total_ratings, s.created_at
+      FROM stores s
+      WHERE s.owner_id = $1 AND s.deleted_at IS NULL
+      ORDER BY s.created_at, s.id
+    `, [req.user.id]);
+
+    const summaryResult = await pool.query(`
+      SELECT COUNT(r.id) as total_ratings,
+             COALESCE(AVG(r.rating), 0) as average_rating
+      FROM stores s
+      LEFT JOIN ratings r ON r.store_id = s.id AND ${COUNTED_RATING_CONDITION}
+      WHERE s.owner_id = $1 AND s.deleted_at IS NULL
+    `, [req.user.id]);
+
+    const summary = summaryResult.rows[0];
+
+    res.json({
+      stores: result.rows,
+      summary: {
+        totalStores: result.rows.length,
+        totalRatings: parseInt(summary.total_ratings),
+        averageRating: parseFloat(summary.average_rating).toFixed(1)
+      }
+    });
+  } catch (error) {
+    console.error('Get my stores error:', error);
     res.status(500).json({ message: 'Server error fetching stores' });
   }
 });
 
+// @route   GET /api/stores/my-store
+// @desc    Get store owner's store (the first one, or ?storeId= for a specific one)
+// @access  Private (Store Owner)
+router.get('/my-store', authenticateToken, requireStoreOwner, async (req, res) => {
+  try {
+    const { storeId } = req.query;
+    const queryParams = [req.user.id];
+
+    let query = `
+      SELECT s.id, s.name, s.email, s.address, s.average_rating, s.total_ratings, s.created_at
+      FROM stores s
+      WHERE s.owner_id = $1 AND s.deleted_at IS NULL
+    `;
+
+    if (storeId) {
+      query += ` AND s.id = $2`;
+      queryParams.push(storeId);
+    }
+
+    query += ` ORDER BY s.created_at, s.id LIMIT 1`;
+
+    const result = await pool.query(query, queryParams);
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ message: 'No store found for this owner' });
+    }
+
+    res.json(result.rows[0]);
+  } catch (error) {
+    console.error('Get my store error:', error);
+    res.status(500).json({ message: 'Server error fetching store' });
+  }
+});
+
+// @route   GET /api/stores/my-store/ratings
+// @desc    Get ratings for store owner's stores (all of them, or ?storeId= for one)
+// @access  Private (Store Owner)
+router.get('/my-store/ratings', authenticateToken, requireStoreOwner, async (req, res) => {
+  try {
+    const { page = 1, limit = 10, sort_by = 'created_at', sort_order = 'desc', storeId } = req.query;
+
+    // First get the store IDs for this owner
+    const storeResult = await pool.query(
+      'SELECT id FROM stores WHERE owner_id = $1 AND deleted_at IS NULL',
+      [req.user.id]
+    );
+
+    if (storeResult.rows.length === 0) {
+      return res.status(404).json({ message: 'No store found for this owner' });
+    }
+
+    let storeIds = storeResult.rows.map(store => store.id);
+
+    if (storeId) {
+      if (!storeIds.includes(parseInt(storeId))) {
+        return res.status(404).json({ message: 'No store found for this owner' });
+      }
+      storeIds = [parseInt(storeId)];
+    }
+
+    const offset = (page - 1) * limit;
+    const validSortFields = ['rating', 'created_at', 'user_name', 'user_email', 'store_name'];
+    const validSortOrders = ['asc', 'desc'];
+
+    const sortField = validSortFields.includes(sort_by) ? sort_by : 'created_at';
+    const order = validSortOrders.includes(sort_order.toLowerCase()) ? sort_order.toUpperCase() : 'DESC';
+
+    let orderBy = 'r.' + sortField;
+    if (sortField === 'user_name' || sortField === 'user_email') {
+      orderBy = 'u.' + sortField.replace('user_', '');
+    } else if (sortField === 'store_name') {
+      orderBy = 's.name';
+    }
+
+    const query = `
+      SELECT r.id, r.rating, ${PUBLIC_COMMENT_SELECT} as comment, r.moderation_status,
+             r.created_at, r.updated_at, r.edited_at,
+             r.edited_at IS NOT NULL as edited,
+             r.helpful_count, r.not_helpful_count,
+             u.name as user_name, u.email as user_email,
+             s.id as store_id, s.name as store_name,
+             ${PUBLIC_PHOTOS_SELECT} as photos,
+             ${RATING_REPLY_SELECT} as reply
+      FROM ratings r
+      JOIN users u ON r.user_id = u.id
+      JOIN stores s ON r.store_id = s.id
+      WHERE r.store_id = ANY($1::int[]) AND ${COUNTED_RATING_CONDITION}
+      ORDER BY ${orderBy} ${order}
+      LIMIT $2 OFFSET $3
+    `;
+
+    const result = await pool.query(query, [storeIds, limit, offset]);
+
+    // Get total count
+    const countResult = await pool.query(
+      `SELECT COUNT(*) as total FROM ratings r WHERE r.store_id = ANY($1::int[]) AND ${COUNTED_RATING_CONDITION}`,
+      [storeIds]
+    );
+    
+    const total = parseInt(countResult.rows[0].total);
+    const totalPages = Math.ceil(total / limit);
+
+    res.json({
+      ratings: result.rows,
+      total,
+      pagination: {
+        currentPage: parseInt(page),
+        totalPages,
+        total,
+        hasNext: page < totalPages,
+        hasPrev: page > 1
+      }
+    });
+  } catch (error) {
+    console.error('Get my store ratings error:', error);
+    res.status(500).json({ message: 'Server error fetching store ratings' });
+  }
+});
+
 // @route   GET /api/stores/:id
 // @desc    Get store by ID
 // @access  Private
@@ -136,28 +450,33 @@ router.get('/:id', authenticateToken, async (req, res) => {
     const storeId = req.params.id;
     
     let query = `
-      SELECT s.id, s.name, s.email, s.address, s.average_rating, s.total_ratings, s.created_at,
-             u.name as owner_name, u.id as owner_id
+      SELECT s.id, s.name, s.email, s.address, s.latitude, s.longitude,
+             s.average_rating, s.total_ratings, s.rating_score, s.created_at,
+             u.name as owner_name, u.id as owner_id,
+             c.id as category_id, c.name as category_name,
+             ${STORE_TAGS_SELECT} as tags,
+             ${STORE_DIMENSIONS_SELECT} as dimension_averages
     `;
     
     const queryParams = [storeId];
     
     // Add user's rating if normal user
-    if (req.user.role === 'NORMAL_USER') {
-      query += `, r.rating as user_rating`;
+    if (req.user.role === ROLES.NORMAL_USER) {
+      query += `, r.rating as user_rating, r.edited_at IS NOT NULL as user_rating_edited`;
     }
     
     query += `
       FROM stores s
-      LEFT JOIN users u ON s.owner_id = u.id
+      LEFT JOIN users u ON s.owner_id = u.id AND u.deleted_at IS NULL
+      LEFT JOIN categories c ON s.category_id = c.id
     `;
     
-    if (req.user.role === 'NORMAL_USER') {
-      query += ` LEFT JOIN ratings r ON s.id = r.store_id AND r.user_id = $2`;
+    if (req.user.role === ROLES.NORMAL_USER) {
+      query += ` LEFT JOIN ratings r ON s.id = r.store_id AND r.user_id = $2 AND r.deleted_at IS NULL`;
       queryParams.push(req.user.id);
     }
     
-    query += ` WHERE s.id = $1`;
+    query += ` WHERE s.id = $1 AND s.deleted_at IS NULL`;
 
     const result = await pool.query(query, queryParams);
 
@@ -166,7 +485,7 @@ router.get('/:id', authenticateToken, async (req, res) => {
     }
 
     // Check if store owner is accessing their own store
-    if (req.user.role === 'STORE_OWNER' && result.rows[0].owner_id !== req.user.id) {
+    if (req.user.role === ROLES.STORE_OWNER && result.rows[0].owner_id !== req.user.id) {
       return res.status(403).json({ message: 'Access denied' });
     }
 
@@ -181,12 +500,14 @@ router.get('/:id', authenticateToken, async (req, res) => {
 // @desc    Create new store (Admin only)
 // @access  Private (Admin)
 router.post('/', authenticateToken, requireAdmin, validateStoreCreation, async (req, res) => {
+  let client;
+
   try {
-    const { name, email, address, ownerId } = req.body;
+    const { name, email, address, ownerId, categoryId, tags, latitude, longitude } = req.body;
 
     // Check if store email already exists
     const existingStore = await pool.query(
-      'SELECT id FROM stores WHERE email = $1',
+      'SELECT id FROM stores WHERE email = $1 AND deleted_at IS NULL',
       [email]
     );
 
@@ -197,7 +518,7 @@ router.post('/', authenticateToken, requireAdmin, validateStoreCreation, async (
     // If ownerId provided, verify the user exists and is a store owner
     if (ownerId) {
       const ownerCheck = await pool.query(
-        'SELECT id, role FROM users WHERE id = $1',
+        'SELECT id, role FROM users WHERE id = $1 AND deleted_at IS NULL',
         [ownerId]
       );
 
@@ -205,38 +526,53 @@ router.post('/', authenticateToken, requireAdmin, validateStoreCreation, async (
         return res.status(400).json({ message: 'Owner not found' });
       }
 
-      if (ownerCheck.rows[0].role !== 'STORE_OWNER') {
+      if (ownerCheck.rows[0].role !== ROLES.STORE_OWNER) {
         return res.status(400).json({ message: 'User must be a store owner' });
       }
+    }
 
-      // Check if owner already has a store
-      const existingOwnerStore = await pool.query(
-        'SELECT id FROM stores WHERE owner_id = $1',
-        [ownerId]
-      );
-
-      if (existingOwnerStore.rows.length > 0) {
-        return res.status(400).json({ message: 'Store owner already has a store' });
+    // If categoryId provided, verify the category exists
+    if (categoryId) {
+      const categoryCheck = await pool.query('SELECT id FROM categories WHERE id = $1', [categoryId]);
+      if (categoryCheck.rows.length === 0) {
+        return res.status(400).json({ message: 'Category not found' });
       }
     }
 
+    // Use the given coordinates or geocode the address
+    const coordinates = await resolveStoreCoordinates({ latitude, longitude, address });
+
+    client = await pool.connect();
+    await client.query('BEGIN');
+
     // Create store
-    const result = await pool.query(
-      `INSERT INTO stores (name, email, address, owner_id) 
-       VALUES ($1, $2, $3, $4) 
-       RETURNING id, name, email, address, owner_id, average_rating, total_ratings, created_at`,
-      [name, email, address, ownerId || null]
+    const result = await client.query(
+      `INSERT INTO stores (name, email, address, owner_id, category_id, latitude, longitude) 
+       VALUES ($1, $2, $3, $4, $5, $6, $7) 
+       RETURNING id, name, email, address, owner_id, category_id, latitude, longitude,
+                 average_rating, total_ratings, created_at`,
+      [name, email, address, ownerId || null, categoryId || null, coordinates.latitude, coordinates.longitude]
     );
 
     const store = result.rows[0];
+    store.tags = await setStoreTags(store.id, tags || [], client);
+
+    await recordAudit(req, { action: 'store.create', entityType: 'store', entityId: store.id, after: store }, client);
+
+    await client.query('COMMIT');
 
     res.status(201).json({
       message: 'Store created successfully',
       store
     });
   } catch (error) {
+    await rollback(client);
     console.error('Create store error:', error);
     res.status(500).json({ message: 'Server error creating store' });
+  } finally {
+    if (client) {
+      client.release();
+    }
   }
 });
 
@@ -244,13 +580,18 @@ router.post('/', authenticateToken, requireAdmin, validateStoreCreation, async (
 // @desc    Update store
 // @access  Private (Admin or Store Owner)
 router.put('/:id', authenticateToken, validateStoreUpdate, async (req, res) => {
+  let client;
+
   try {
     const storeId = req.params.id;
-    const { name, email, address } = req.body;
+    const { name, email, address, categoryId, tags, latitude, longitude } = req.body;
 
     // Check if store exists
     const storeCheck = await pool.query(
-      'SELECT id, owner_id FROM stores WHERE id = $1',
+      `SELECT s.id, s.name, s.email, s.address, s.owner_id, s.category_id, s.latitude, s.longitude,
+              s.average_rating, s.total_ratings, ${STORE_TAGS_SELECT} as tags
+       FROM stores s
+       WHERE s.id = $1 AND s.deleted_at IS NULL`,
       [storeId]
     );
     
@@ -261,14 +602,14 @@ router.put('/:id', authenticateToken, validateStoreUpdate, async (req, res) => {
     const store = storeCheck.rows[0];
 
     // Check permissions
-    if (req.user.role === 'STORE_OWNER' && store.owner_id !== req.user.id) {
+    if (req.user.role === ROLES.STORE_OWNER && store.owner_id !== req.user.id) {
       return res.status(403).json({ message: 'Access denied' });
     }
 
     // Check if email is already taken by another store
     if (email) {
       const emailCheck = await pool.query(
-        'SELECT id FROM stores WHERE email = $1 AND id != $2',
+        'SELECT id FROM stores WHERE email = $1 AND id != $2 AND deleted_at IS NULL',
         [email, storeId]
       );
       if (emailCheck.rows.length > 0) {
@@ -276,6 +617,14 @@ router.put('/:id', authenticateToken, validateStoreUpdate, async (req, res) => {
       }
     }
 
+    // Check if category exists (null clears the category)
+    if (categoryId) {
+      const categoryCheck = await pool.query('SELECT id FROM categories WHERE id = $1', [categoryId]);
+      if (categoryCheck.rows.length === 0) {
+        return res.status(400).json({ message: 'Category not found' });
+      }
+    }
+
     // Build update query
     const updates = [];
     const values = [];
@@ -296,8 +645,24 @@ router.put('/:id', authenticateToken, validateStoreUpdate, async (req, res) => {
       updates.push(`address = $${paramCount}`);
       values.push(address);
     }
+    if (categoryId !== undefined) {
+      paramCount++;
+      updates.push(`category_id = $${paramCount}`);
+      values.push(categoryId || null);
+    }
 
-    if (updates.length === 0) {
+    // Explicit coordinates, or re-geocode when the address changes
+    const coordinates = await resolveStoreCoordinates({ latitude, longitude, address });
+    if (coordinates) {
+      paramCount++;
+      updates.push(`latitude = $${paramCount}`);
+      values.push(coordinates.latitude);
+      paramCount++;
+      updates.push(`longitude = $${paramCount}`);
+      values.push(coordinates.longitude);
+    }
+
+    if (updates.length === 0 && tags === undefined) {
       return res.status(400).json({ message: 'No valid fields to update' });
     }
 
@@ -309,48 +674,109 @@ router.put('/:id', authenticateToken, validateStoreUpdate, async (req, res) => {
       UPDATE stores 
       SET ${updates.join(', ')} 
       WHERE id = $${paramCount}
-      RETURNING id, name, email, address, owner_id, average_rating, total_ratings, updated_at
+      RETURNING id, name, email, address, owner_id, category_id, latitude, longitude,
+                average_rating, total_ratings, updated_at
     `;
 
-    const result = await pool.query(query, values);
+    client = await pool.connect();
+    await client.query('BEGIN');
+
+    const result = await client.query(query, values);
+    const updatedStore = result.rows[0];
+
+    // Replace tags when provided, otherwise return the current ones
+    if (tags !== undefined) {
+      updatedStore.tags = await setStoreTags(storeId, tags, client);
+    } else {
+      const tagsResult = await client.query(
+        `SELECT ${STORE_TAGS_SELECT} as tags FROM stores s WHERE s.id = $1`,
+        [storeId]
+      );
+      updatedStore.tags = tagsResult.rows[0].tags;
+    }
+
+    await recordAudit(req, {
+      action: 'store.update',
+      entityType: 'store',
+      entityId: updatedStore.id,
+      before: store,
+      after: updatedStore
+    }, client);
+
+    await client.query('COMMIT');
     
     res.json({
       message: 'Store updated successfully',
-      store: result.rows[0]
+      store: updatedStore
     });
   } catch (error) {
+    await rollback(client);
     console.error('Update store error:', error);
     res.status(500).json({ message: 'Server error updating store' });
+  } finally {
+    if (client) {
+      client.release();
+    }
   }
 });
 
 // @route   DELETE /api/stores/:id
-// @desc    Delete store (Admin only)
+// @desc    Soft delete store and its ratings (Admin only)
 // @access  Private (Admin)
 router.delete('/:id', authenticateToken, requireAdmin, async (req, res) => {
+  let client;
+
   try {
     const storeId = req.params.id;
 
+    client = await pool.connect();
+    await client.query('BEGIN');
+
     // Check if store exists
-    const storeCheck = await pool.query('SELECT id FROM stores WHERE id = $1', [storeId]);
+    const storeCheck = await client.query(
+      `SELECT id, name, email, address, owner_id, category_id, latitude, longitude
+       FROM stores
+       WHERE id = $1 AND deleted_at IS NULL
+       FOR UPDATE`,
+      [storeId]
+    );
     if (storeCheck.rows.length === 0) {
+      await client.query('ROLLBACK');
       return res.status(404).json({ message: 'Store not found' });
     }
 
-    // Delete store (cascade will handle ratings)
-    await pool.query('DELETE FROM stores WHERE id = $1', [storeId]);
+    // The store's ratings share its deleted_at (CURRENT_TIMESTAMP is fixed for the transaction)
+    await client.query('UPDATE stores SET deleted_at = CURRENT_TIMESTAMP WHERE id = $1', [storeId]);
+    await client.query(
+      'UPDATE ratings SET deleted_at = CURRENT_TIMESTAMP WHERE store_id = $1 AND deleted_at IS NULL',
+      [storeId]
+    );
+
+    await recordAudit(req, {
+      action: 'store.delete',
+      entityType: 'store',
+      entityId: storeCheck.rows[0].id,
+      before: storeCheck.rows[0]
+    }, client);
+
+    await client.query('COMMIT');
 
     res.json({ message: 'Store deleted successfully' });
   } catch (error) {
+    await rollback(client);
     console.error('Delete store error:', error);
     res.status(500).json({ message: 'Server error deleting store' });
+  } finally {
+    if (client) {
+      client.release();
+    }
   }
 });
 
 // @route   GET /api/stores/:id/ratings
 // @desc    Get ratings for a store (Store Owner or Admin)
 // @access  Private (Store Owner or Admin)
-router.get('/:id/ratings', authenticateToken, checkStoreOwnership, async (req, res) => {
+router.get('/:id/ratings', authenticateToken, requireAdminOrStoreOwner, checkStoreOwnership, async (req, res) => {
   try {
     const storeId = req.params.id;
     const { page = 1, limit = 10, sortBy = 'created_at', sortOrder = 'desc' } = req.query;
@@ -363,11 +789,15 @@ router.get('/:id/ratings', authenticateToken, checkStoreOwnership, async (req, r
     const order = validSortOrders.includes(sortOrder.toLowerCase()) ? sortOrder.toUpperCase() : 'DESC';
 
     const query = `
-      SELECT r.id, r.rating, r.created_at, r.updated_at,
-             u.name as user_name, u.email as user_email
+      SELECT r.id, r.rating, ${PUBLIC_COMMENT_SELECT} as comment, r.moderation_status,
+             r.created_at, r.updated_at, r.edited_at,
+             r.edited_at IS NOT NULL as edited, r.helpful_count, r.not_helpful_count,
+             u.name as user_name, u.email as user_email,
+             ${PUBLIC_PHOTOS_SELECT} as photos,
+             ${RATING_REPLY_SELECT} as reply
       FROM ratings r
       JOIN users u ON r.user_id = u.id
-      WHERE r.store_id = $1
+      WHERE r.store_id = $1 AND ${COUNTED_RATING_CONDITION}
       ORDER BY ${sortField === 'user_name' ? 'u.name' : 'r.' + sortField} ${order}
       LIMIT $2 OFFSET $3
     `;
@@ -376,7 +806,7 @@ router.get('/:id/ratings', authenticateToken, checkStoreOwnership, async (req, r
 
     // Get total count
     const countResult = await pool.query(
-      'SELECT COUNT(*) FROM ratings WHERE store_id = $1',
+      `SELECT COUNT(*) FROM ratings r WHERE r.store_id = $1 AND ${COUNTED_RATING_CONDITION}`,
       [storeId]
     );
     
@@ -399,90 +829,259 @@ router.get('/:id/ratings', authenticateToken, checkStoreOwnership, async (req, r
   }
 });
 
-// @route   GET /api/stores/my-store
-// @desc    Get store owner's store
+// Rating of the store with the given id, or undefined
+const findStoreRating = async (storeId, ratingId) => {
+  const result = await pool.query(
+    `SELECT r.id FROM ratings r WHERE r.id = $1 AND r.store_id = $2 AND ${COUNTED_RATING_CONDITION}`,
+    [ratingId, storeId]
+  );
+  return result.rows[0];
+};
+
+// @route   POST /api/stores/:id/ratings/:ratingId/reply
+// @desc    Reply to a rating of the owner's store (one reply per rating)
 // @access  Private (Store Owner)
-router.get('/my-store', authenticateToken, requireStoreOwner, async (req, res) => {
+router.post('/:id/ratings/:ratingId/reply', authenticateToken, requireStoreOwner, checkStoreOwnership, validateRatingReply, async (req, res) => {
   try {
-    const query = `
-      SELECT s.id, s.name, s.email, s.address, s.average_rating, s.total_ratings, s.created_at
-      FROM stores s
-      WHERE s.owner_id = $1
-    `;
+    const { id: storeId, ratingId } = req.params;
+    const { reply } = req.body;
 
-    const result = await pool.query(query, [req.user.id]);
+    const rating = await findStoreRating(storeId, ratingId);
+    if (!rating) {
+      return res.status(404).json({ message: 'Rating not found' });
+    }
+
+    const result = await pool.query(
+      `INSERT INTO rating_replies (rating_id, author_id, reply)
+       VALUES ($1, $2, $3)
+       ON CONFLICT (rating_id) DO NOTHING
+       RETURNING id, rating_id, reply, created_at, updated_at`,
+      [ratingId, req.user.id, reply]
+    );
 
     if (result.rows.length === 0) {
-      return res.status(404).json({ message: 'No store found for this owner' });
+      return res.status(400).json({ 
+        message: 'This rating already has a reply. Use PUT to update it.' 
+      });
     }
 
-    res.json(result.rows[0]);
+    res.status(201).json({
+      message: 'Reply posted successfully',
+      reply: result.rows[0]
+    });
   } catch (error) {
-    console.error('Get my store error:', error);
-    res.status(500).json({ message: 'Server error fetching store' });
+    console.error('Post rating reply error:', error);
+    res.status(500).json({ message: 'Server error posting reply' });
   }
 });
 
-// @route   GET /api/stores/my-store/ratings
-// @desc    Get ratings for store owner's store
+// @route   PUT /api/stores/:id/ratings/:ratingId/reply
+// @desc    Edit the reply to a rating of the owner's store
 // @access  Private (Store Owner)
-router.get('/my-store/ratings', authenticateToken, requireStoreOwner, async (req, res) => {
+router.put('/:id/ratings/:ratingId/reply', authenticateToken, requireStoreOwner, checkStoreOwnership, validateRatingReply, async (req, res) => {
   try {
-    const { page = 1, limit = 10, sort_by = 'created_at', sort_order = 'desc' } = req.query;
+    const { id: storeId, ratingId } = req.params;
+    const { reply } = req.body;
 
-    // First get the store ID for this owner
-    const storeResult = await pool.query(
-      'SELECT id FROM stores WHERE owner_id = $1',
-      [req.user.id]
+    const rating = await findStoreRating(storeId, ratingId);
+    if (!rating) {
+      return res.status(404).json({ message: 'Rating not found' });
+    }
+
+    const result = await pool.query(
+      `UPDATE rating_replies
+       SET reply = $1, author_id = $2, updated_at = CURRENT_TIMESTAMP
+       WHERE rating_id = $3
+       RETURNING id, rating_id, reply, created_at, updated_at`,
+      [reply, req.user.id, ratingId]
     );
 
-    if (storeResult.rows.length === 0) {
-      return res.status(404).json({ message: 'No store found for this owner' });
+    if (result.rows.length === 0) {
+      return res.status(404).json({ 
+        message: 'This rating has no reply yet. Use POST to reply.' 
+      });
     }
 
-    const storeId = storeResult.rows[0].id;
-    const offset = (page - 1) * limit;
-    const validSortFields = ['rating', 'created_at', 'user_name', 'user_email'];
-    const validSortOrders = ['asc', 'desc'];
+    res.json({
+      message: 'Reply updated successfully',
+      reply: result.rows[0]
+    });
+  } catch (error) {
+    console.error('Update rating reply error:', error);
+    res.status(500).json({ message: 'Server error updating reply' });
+  }
+});
 
-    const sortField = validSortFields.includes(sort_by) ? sort_by : 'created_at';
-    const order = validSortOrders.includes(sort_order.toLowerCase()) ? sort_order.toUpperCase() : 'DESC';
+// @route   DELETE /api/stores/:id/ratings/:ratingId/reply
+// @desc    Delete the reply to a rating of the owner's store
+// @access  Private (Store Owner or Admin)
+router.delete('/:id/ratings/:ratingId/reply', authenticateToken, requireAdminOrStoreOwner, checkStoreOwnership, async (req, res) => {
+  let client;
 
-    const query = `
-      SELECT r.id, r.rating, r.created_at, r.updated_at,
-             u.name as user_name, u.email as user_email
+  try {
+    const { id: storeId, ratingId } = req.params;
+
+    const rating = await findStoreRating(storeId, ratingId);
+    if (!rating) {
+      return res.status(404).json({ message: 'Rating not found' });
+    }
+
+    client = await pool.connect();
+    await client.query('BEGIN');
+
+    const result = await client.query(
+      'DELETE FROM rating_replies WHERE rating_id = $1 RETURNING id, rating_id, author_id, reply',
+      [ratingId]
+    );
+
+    if (result.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({ message: 'Reply not found' });
+    }
+
+    await recordAudit(req, { action: 'rating_reply.delete', entityType: 'rating_reply', entityId: result.rows[0].id, before: result.rows[0] }, client);
+
+    await client.query('COMMIT');
+
+    res.json({ message: 'Reply deleted successfully' });
+  } catch (error) {
+    await rollback(client);
+    console.error('Delete rating reply error:', error);
+    res.status(500).json({ message: 'Server error deleting reply' });
+  } finally {
+    if (client) {
+      client.release();
+    }
+  }
+});
+
+// @route   GET /api/stores/:id/rating-dimensions
+// @desc    Get the rating dimensions that apply to a store (for building the rating form)
+// @access  Private
+router.get('/:id/rating-dimensions', authenticateToken, async (req, res) => {
+  try {
+    const dimensions = await getStoreDimensions(req.params.id);
+    if (!dimensions) {
+      return res.status(404).json({ message: 'Store not found' });
+    }
+
+    res.json({ dimensions });
+  } catch (error) {
+    console.error('Get store rating dimensions error:', error);
+    res.status(500).json({ message: 'Server error fetching rating dimensions' });
+  }
+});
+
+// @route   GET /api/stores/:id/dashboard
+// @desc    Get dashboard data for a single store (Store Owner or Admin)
+// @access  Private (Store Owner or Admin)
+router.get('/:id/dashboard', authenticateToken, requireAdminOrStoreOwner, checkStoreOwnership, async (req, res) => {
+  try {
+    const storeId = req.params.id;
+
+    const storeResult = await pool.query(`
+      SELECT s.id, s.name, s.email, s.address, s.average_rating, s.total_ratings, s.created_at,
+             u.name as owner_name, u.id as owner_id
+      FROM stores s
+      LEFT JOIN users u ON s.owner_id = u.id AND u.deleted_at IS NULL
+      WHERE s.id = $1 AND s.deleted_at IS NULL
+    `, [storeId]);
+
+    if (storeResult.rows.length === 0) {
+      return res.status(404).json({ message: 'Store not found' });
+    }
+
+    // Rating distribution (1-5, including empty buckets)
+    const distributionResult = await pool.query(`
+      SELECT value as rating, COUNT(r.id) as count
+      FROM generate_series(1, 5) value
+      LEFT JOIN ratings r ON r.rating = value AND r.store_id = $1 AND ${COUNTED_RATING_CONDITION}
+      GROUP BY value
+      ORDER BY value
+    `, [storeId]);
+
+    const recentStatsResult = await pool.query(`
+      SELECT COUNT(*) as ratings_last_30_days,
+             COALESCE(AVG(rating), 0) as average_last_30_days
+      FROM ratings r
+      WHERE r.store_id = $1 AND r.created_at >= CURRENT_TIMESTAMP - INTERVAL '30 days'
+        AND ${COUNTED_RATING_CONDITION}
+    `, [storeId]);
+
+    const recentRatings = await pool.query(`
+      SELECT r.id, r.rating, ${PUBLIC_COMMENT_SELECT} as comment, r.moderation_status,
+             r.created_at, r.updated_at, r.edited_at,
+             r.edited_at IS NOT NULL as edited,
+             u.name as user_name,
+             ${PUBLIC_PHOTOS_SELECT} as photos,
+             ${RATING_REPLY_SELECT} as reply
       FROM ratings r
       JOIN users u ON r.user_id = u.id
-      WHERE r.store_id = $1
-      ORDER BY ${sortField === 'user_name' || sortField === 'user_email' ? 'u.' + sortField.replace('user_', '') : 'r.' + sortField} ${order}
-      LIMIT $2 OFFSET $3
-    `;
+      WHERE r.store_id = $1 AND ${COUNTED_RATING_CONDITION}
+      ORDER BY r.created_at DESC
+      LIMIT 5
+    `, [storeId]);
 
-    const result = await pool.query(query, [storeId, limit, offset]);
+    const recentStats = recentStatsResult.rows[0];
 
-    // Get total count
-    const countResult = await pool.query(
-      'SELECT COUNT(*) as total FROM ratings WHERE store_id = $1',
+    res.json({
+      store: storeResult.rows[0],
+      stats: {
+        ratingsLast30Days: parseInt(recentStats.ratings_last_30_days),
+        averageLast30Days: parseFloat(recentStats.average_last_30_days).toFixed(1)
+      },
+      distribution: distributionResult.rows.map(row => ({
+        rating: row.rating,
+        count: parseInt(row.count)
+      })),
+      recentRatings: recentRatings.rows
+    });
+  } catch (error) {
+    console.error('Get store dashboard error:', error);
+    res.status(500).json({ message: 'Server error fetching store dashboard' });
+  }
+});
+
+// @route   GET /api/stores/:id/analytics
+// @desc    Rating trends of a store: count, average and distribution per day, week or month
+//          (?granularity=, ?dateFrom=, ?dateTo=, ?window= buckets of the rolling average),
+//          compared with the previous period of the same length
+// @access  Private (Store Owner or Admin)
+router.get('/:id/analytics', authenticateToken, requireAdminOrStoreOwner, checkStoreOwnership, validateAnalyticsQuery, async (req, res) => {
+  try {
+    const storeId = req.params.id;
+    const { granularity = 'day', dateFrom, dateTo } = req.query;
+    const windowSize = parseInt(req.query.window) || ANALYTICS_GRANULARITIES[granularity].defaultWindow;
+
+    const storeResult = await pool.query(
+      'SELECT id, name, average_rating, total_ratings FROM stores WHERE id = $1 AND deleted_at IS NULL',
       [storeId]
     );
-    
-    const total = parseInt(countResult.rows[0].total);
-    const totalPages = Math.ceil(total / limit);
+
+    if (storeResult.rows.length === 0) {
+      return res.status(404).json({ message: 'Store not found' });
+    }
+
+    const range = await resolveAnalyticsRange({ granularity, dateFrom, dateTo });
+    if (range.error) {
+      return res.status(400).json({ message: range.error });
+    }
+
+    const series = await getStoreRatingSeries(storeId, range, windowSize);
+    const comparison = await getStoreRatingComparison(storeId, range);
 
     res.json({
-      ratings: result.rows,
-      total,
-      pagination: {
-        currentPage: parseInt(page),
-        totalPages,
-        total,
-        hasNext: page < totalPages,
-        hasPrev: page > 1
-      }
+      store: storeResult.rows[0],
+      granularity,
+      rollingWindow: windowSize,
+      range: describeRange(range.start, range.end),
+      previousRange: describeRange(range.previousStart, range.start),
+      series,
+      comparison
     });
   } catch (error) {
-    console.error('Get my store ratings error:', error);
-    res.status(500).json({ message: 'Server error fetching store ratings' });
+    console.error('Get store analytics error:', error);
+    res.status(500).json({ message: 'Server error fetching store analytics' });
   }
 });
 
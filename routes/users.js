@@ -1,11 +1,17 @@
 const express = require('express');
 const { pool } = require('../config/database');
+const { ROLES, normalizeRole } = require('../config/roles');
 const { 
   authenticateToken, 
   requireAdmin, 
   requireAdminOrNormalUser 
 } = require('../middleware/auth');
 const { validateUserUpdate, validateSearch } = require('../middleware/validation');
+const { revokeUserSessions, sendVerificationEmail } = require('../utils/tokens');
+const { OWNER_STORES_JOIN } = require('../utils/storeQueries');
+const { COUNTED_RATING_CONDITION } = require('../utils/ratingQueries');
+const { recordAudit } = require('../utils/auditLog');
+const { rollback } = require('../utils/transactions');
 
 const router = express.Router();
 
@@ -37,13 +43,10 @@ router.get('/', authenticateToken, requireAdmin, async (req, res) => {
     // Build query
     let query = `
       SELECT u.id, u.name, u.email, u.address, u.role, u.created_at,
-             CASE 
-               WHEN u.role = 'STORE_OWNER' THEN s.average_rating
-               ELSE NULL 
-             END as store_rating
+             os.store_rating, os.store_count, os.stores
       FROM users u
-      LEFT JOIN stores s ON u.id = s.owner_id AND u.role = 'STORE_OWNER'
-      WHERE 1=1
+      ${OWNER_STORES_JOIN}
+      WHERE u.deleted_at IS NULL
     `;
     
     const queryParams = [];
@@ -60,7 +63,7 @@ router.get('/', authenticateToken, requireAdmin, async (req, res) => {
     if (role) {
       paramCount++;
       query += ` AND u.role = $${paramCount}`;
-      queryParams.push(role);
+      queryParams.push(normalizeRole(role));
     }
 
     // Add sorting
@@ -79,7 +82,7 @@ router.get('/', authenticateToken, requireAdmin, async (req, res) => {
     const result = await pool.query(query, queryParams);
 
     // Get total count for pagination
-    let countQuery = 'SELECT COUNT(*) FROM users WHERE 1=1';
+    let countQuery = 'SELECT COUNT(*) FROM users WHERE deleted_at IS NULL';
     const countParams = [];
     let countParamCount = 0;
 
@@ -92,7 +95,7 @@ router.get('/', authenticateToken, requireAdmin, async (req, res) => {
     if (role) {
       countParamCount++;
       countQuery += ` AND role = $${countParamCount}`;
-      countParams.push(role);
+      countParams.push(normalizeRole(role));
     }
 
     const countResult = await pool.query(countQuery, countParams);
@@ -123,23 +126,16 @@ router.get('/:id', authenticateToken, async (req, res) => {
     const userId = req.params.id;
     
     // Check if user is admin or accessing their own profile
-    if (req.user.role !== 'SYSTEM_ADMIN' && req.user.id !== parseInt(userId)) {
+    if (req.user.role !== ROLES.SYSTEM_ADMIN && req.user.id !== parseInt(userId)) {
       return res.status(403).json({ message: 'Access denied' });
     }
 
     const result = await pool.query(`
       SELECT u.id, u.name, u.email, u.address, u.role, u.created_at,
-             CASE 
-               WHEN u.role = 'STORE_OWNER' THEN s.average_rating
-               ELSE NULL 
-             END as store_rating,
-             CASE 
-               WHEN u.role = 'STORE_OWNER' THEN s.id
-               ELSE NULL 
-             END as store_id
+             os.store_rating, os.store_id, os.store_count, os.stores
       FROM users u
-      LEFT JOIN stores s ON u.id = s.owner_id AND u.role = 'STORE_OWNER'
-      WHERE u.id = $1
+      ${OWNER_STORES_JOIN}
+      WHERE u.id = $1 AND u.deleted_at IS NULL
     `, [userId]);
 
     if (result.rows.length === 0) {
@@ -157,20 +153,28 @@ router.get('/:id', authenticateToken, async (req, res) => {
 // @desc    Update user (Admin only)
 // @access  Private (Admin)
 router.put('/:id', authenticateToken, requireAdmin, validateUserUpdate, async (req, res) => {
+  let client;
+
   try {
     const userId = req.params.id;
     const { name, email, address, role } = req.body;
 
     // Check if user exists
-    const userCheck = await pool.query('SELECT id FROM users WHERE id = $1', [userId]);
+    const userCheck = await pool.query(
+      'SELECT id, name, email, address, role, email_verified_at FROM users WHERE id = $1 AND deleted_at IS NULL',
+      [userId]
+    );
     if (userCheck.rows.length === 0) {
       return res.status(404).json({ message: 'User not found' });
     }
 
+    // A new address has to be verified by its owner again
+    const emailChanged = !!email && email !== userCheck.rows[0].email;
+
     // Check if email is already taken by another user
     if (email) {
       const emailCheck = await pool.query(
-        'SELECT id FROM users WHERE email = $1 AND id != $2',
+        'SELECT id FROM users WHERE email = $1 AND id != $2 AND deleted_at IS NULL',
         [email, userId]
       );
       if (emailCheck.rows.length > 0) {
@@ -193,6 +197,9 @@ router.put('/:id', authenticateToken, requireAdmin, validateUserUpdate, async (r
       updates.push(`email = $${paramCount}`);
       values.push(email);
     }
+    if (emailChanged) {
+      updates.push('email_verified_at = NULL');
+    }
     if (address) {
       paramCount++;
       updates.push(`address = $${paramCount}`);
@@ -216,25 +223,61 @@ router.put('/:id', authenticateToken, requireAdmin, validateUserUpdate, async (r
       UPDATE users 
       SET ${updates.join(', ')} 
       WHERE id = $${paramCount}
-      RETURNING id, name, email, address, role, updated_at
+      RETURNING id, name, email, address, role, email_verified_at, updated_at
     `;
 
-    const result = await pool.query(query, values);
+    client = await pool.connect();
+    await client.query('BEGIN');
+
+    const result = await client.query(query, values);
+
+    // A role change ends the user's sessions so old tokens cannot keep the previous permissions
+    if (role && role !== userCheck.rows[0].role) {
+      await revokeUserSessions(userId, client);
+    }
+
+    const user = result.rows[0];
+
+    await recordAudit(req, {
+      action: 'user.update',
+      entityType: 'user',
+      entityId: user.id,
+      before: userCheck.rows[0],
+      after: user
+    }, client);
+
+    await client.query('COMMIT');
+
+    // A failed delivery should not fail the update; the user can ask for a resend
+    if (emailChanged) {
+      try {
+        await sendVerificationEmail(user);
+      } catch (mailError) {
+        console.error('Verification email error:', mailError);
+      }
+    }
     
     res.json({
       message: 'User updated successfully',
-      user: result.rows[0]
+      user
     });
   } catch (error) {
+    await rollback(client);
     console.error('Update user error:', error);
     res.status(500).json({ message: 'Server error updating user' });
+  } finally {
+    if (client) {
+      client.release();
+    }
   }
 });
 
 // @route   DELETE /api/users/:id
-// @desc    Delete user (Admin only)
+// @desc    Soft delete user and their ratings (Admin only)
 // @access  Private (Admin)
 router.delete('/:id', authenticateToken, requireAdmin, async (req, res) => {
+  let client;
+
   try {
     const userId = req.params.id;
 
@@ -243,19 +286,46 @@ router.delete('/:id', authenticateToken, requireAdmin, async (req, res) => {
       return res.status(400).json({ message: 'Cannot delete your own account' });
     }
 
+    client = await pool.connect();
+    await client.query('BEGIN');
+
     // Check if user exists
-    const userCheck = await pool.query('SELECT id, role FROM users WHERE id = $1', [userId]);
+    const userCheck = await client.query(
+      'SELECT id, name, email, address, role FROM users WHERE id = $1 AND deleted_at IS NULL FOR UPDATE',
+      [userId]
+    );
     if (userCheck.rows.length === 0) {
+      await client.query('ROLLBACK');
       return res.status(404).json({ message: 'User not found' });
     }
 
-    // Delete user (cascade will handle related records)
-    await pool.query('DELETE FROM users WHERE id = $1', [userId]);
+    // CURRENT_TIMESTAMP is fixed for the transaction, so the user's ratings share the
+    // user's deleted_at and a restore brings back exactly these
+    await client.query('UPDATE users SET deleted_at = CURRENT_TIMESTAMP WHERE id = $1', [userId]);
+    await client.query(
+      'UPDATE ratings SET deleted_at = CURRENT_TIMESTAMP WHERE user_id = $1 AND deleted_at IS NULL',
+      [userId]
+    );
+    await revokeUserSessions(userId, client);
+
+    await recordAudit(req, {
+      action: 'user.delete',
+      entityType: 'user',
+      entityId: userCheck.rows[0].id,
+      before: userCheck.rows[0]
+    }, client);
+
+    await client.query('COMMIT');
 
     res.json({ message: 'User deleted successfully' });
   } catch (error) {
+    await rollback(client);
     console.error('Delete user error:', error);
     res.status(500).json({ message: 'Server error deleting user' });
+  } finally {
+    if (client) {
+      client.release();
+    }
   }
 });
 
@@ -266,12 +336,12 @@ router.get('/stats/dashboard', authenticateToken, requireAdmin, async (req, res)
   try {
     const stats = await pool.query(`
       SELECT 
-        (SELECT COUNT(*) FROM users) as total_users,
-        (SELECT COUNT(*) FROM users WHERE role = 'NORMAL_USER') as normal_users,
-        (SELECT COUNT(*) FROM users WHERE role = 'STORE_OWNER') as store_owners,
-        (SELECT COUNT(*) FROM users WHERE role = 'SYSTEM_ADMIN') as admin_users,
-        (SELECT COUNT(*) FROM stores) as total_stores,
-        (SELECT COUNT(*) FROM ratings) as total_ratings
+        (SELECT COUNT(*) FROM users WHERE deleted_at IS NULL) as total_users,
+        (SELECT COUNT(*) FROM users WHERE role = '${ROLES.NORMAL_USER}' AND deleted_at IS NULL) as normal_users,
+        (SELECT COUNT(*) FROM users WHERE role = '${ROLES.STORE_OWNER}' AND deleted_at IS NULL) as store_owners,
+        (SELECT COUNT(*) FROM users WHERE role = '${ROLES.SYSTEM_ADMIN}' AND deleted_at IS NULL) as admin_users,
+        (SELECT COUNT(*) FROM stores WHERE deleted_at IS NULL) as total_stores,
+        (SELECT COUNT(*) FROM ratings r WHERE ${COUNTED_RATING_CONDITION}) as total_ratings
     `);
 
     res.json({ stats: stats.rows[0] });
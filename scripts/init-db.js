@@ -1,14 +1,18 @@
 const bcrypt = require('bcryptjs');
-const { pool, initializeDatabase } = require('../config/database');
+const { pool } = require('../config/database');
+const { migrateUp } = require('./migrate');
+const { ROLES } = require('../config/roles');
+const { setStoreTags } = require('../utils/storeQueries');
+const { refreshStoreScores } = require('../utils/storeRanking');
 require('dotenv').config();
 
 const initDB = async () => {
   try {
     console.log('🚀 Starting database initialization...');
     
-    // Initialize database tables
-    await initializeDatabase();
-    console.log('✅ Database tables created successfully');
+    // Apply pending schema migrations
+    const applied = await migrateUp();
+    console.log(`✅ Database schema is up to date (${applied.length} migration(s) applied)`);
     
     // Check if admin user already exists
     const adminCheck = await pool.query(
@@ -24,13 +28,14 @@ const initDB = async () => {
       const hashedPassword = await bcrypt.hash(process.env.ADMIN_PASSWORD, saltRounds);
       
       await pool.query(
-        `INSERT INTO users (name, email, password, address, role) 
-         VALUES ($1, $2, $3, $4, 'system_admin')`,
+        `INSERT INTO users (name, email, password, address, role, email_verified_at) 
+         VALUES ($1, $2, $3, $4, $5, CURRENT_TIMESTAMP)`,
         [
           process.env.ADMIN_NAME,
           process.env.ADMIN_EMAIL,
           hashedPassword,
-          'System Administrator Address - Default Location'
+          'System Administrator Address - Default Location',
+          ROLES.SYSTEM_ADMIN
         ]
       );
       
@@ -55,7 +60,7 @@ const initDB = async () => {
 const createSampleData = async () => {
   try {
     // Check if sample data already exists
-    const userCount = await pool.query('SELECT COUNT(*) FROM users WHERE role != \'system_admin\'');
+    const userCount = await pool.query('SELECT COUNT(*) FROM users WHERE role != $1', [ROLES.SYSTEM_ADMIN]);
     
     if (parseInt(userCount.rows[0].count) > 0) {
       console.log('ℹ️  Sample data already exists');
@@ -86,43 +91,66 @@ const createSampleData = async () => {
     for (const owner of storeOwners) {
       const hashedPassword = await bcrypt.hash(owner.password, saltRounds);
       const result = await pool.query(
-        `INSERT INTO users (name, email, password, address, role) 
-         VALUES ($1, $2, $3, $4, 'store_owner') RETURNING id`,
-        [owner.name, owner.email, hashedPassword, owner.address]
+        `INSERT INTO users (name, email, password, address, role, email_verified_at) 
+         VALUES ($1, $2, $3, $4, $5, CURRENT_TIMESTAMP) RETURNING id`,
+        [owner.name, owner.email, hashedPassword, owner.address, ROLES.STORE_OWNER]
       );
       createdOwners.push(result.rows[0].id);
     }
     
+    // Create sample categories
+    const categories = [
+      { name: 'Electronics', slug: 'electronics' },
+      { name: 'Fashion', slug: 'fashion' },
+      { name: 'Food & Grocery', slug: 'food-grocery' }
+    ];
+    
+    const createdCategories = [];
+    for (const category of categories) {
+      const result = await pool.query(
+        'INSERT INTO categories (name, slug) VALUES ($1, $2) RETURNING id',
+        [category.name, category.slug]
+      );
+      createdCategories.push(result.rows[0].id);
+    }
+    
     // Create sample stores
     const stores = [
       {
         name: 'Premium Electronics Store - Best Tech Solutions',
         email: 'contact@premiumelectronics.com',
         address: '123 Main Street, Downtown Business District, Electronics Hub, State 12345',
-        ownerId: createdOwners[0]
+        ownerId: createdOwners[0],
+        categoryId: createdCategories[0],
+        tags: ['gadgets', 'repairs']
       },
       {
         name: 'Fashion Forward Boutique - Trendy Clothing Store',
         email: 'info@fashionforwardboutique.com',
         address: '456 Oak Avenue, Shopping Mall Complex, Fashion District, State 67890',
-        ownerId: createdOwners[1]
+        ownerId: createdOwners[1],
+        categoryId: createdCategories[1],
+        tags: ['clothing', 'accessories']
       },
       {
         name: 'Gourmet Food Market - Fresh Organic Products',
         email: 'orders@gourmetfoodmarket.com',
         address: '789 Pine Road, Organic Market Square, Food District, State 11111',
-        ownerId: null
+        ownerId: null,
+        categoryId: createdCategories[2],
+        tags: ['organic', 'delivery']
       }
     ];
     
     const createdStores = [];
     for (const store of stores) {
       const result = await pool.query(
-        `INSERT INTO stores (name, email, address, owner_id) 
-         VALUES ($1, $2, $3, $4) RETURNING id`,
-        [store.name, store.email, store.address, store.ownerId]
+        `INSERT INTO stores (name, email, address, owner_id, category_id) 
+         VALUES ($1, $2, $3, $4, $5) RETURNING id`,
+        [store.name, store.email, store.address, store.ownerId, store.categoryId]
       );
       createdStores.push(result.rows[0].id);
+      await setStoreTags(result.rows[0].id, store.tags);
     }
     
     // Create sample normal users
@@ -151,9 +179,9 @@ const createSampleData = async () => {
     for (const user of normalUsers) {
       const hashedPassword = await bcrypt.hash(user.password, saltRounds);
       const result = await pool.query(
-        `INSERT INTO users (name, email, password, address, role) 
-         VALUES ($1, $2, $3, $4, 'normal_user') RETURNING id`,
-        [user.name, user.email, hashedPassword, user.address]
+        `INSERT INTO users (name, email, password, address, role, email_verified_at) 
+         VALUES ($1, $2, $3, $4, $5, CURRENT_TIMESTAMP) RETURNING id`,
+        [user.name, user.email, hashedPassword, user.address, ROLES.NORMAL_USER]
       );
       createdUsers.push(result.rows[0].id);
     }
@@ -174,6 +202,9 @@ const createSampleData = async () => {
         [rating.userId, rating.storeId, rating.rating]
       );
     }
+
+    // Ranking scores against the prior of the sample ratings
+    await refreshStoreScores();
     
     console.log('✅ Sample data created successfully');
     console.log('\n📋 Sample Login Credentials:');
@@ -0,0 +1,176 @@
+const fs = require('fs');
+const path = require('path');
+const { pool } = require('../config/database');
+require('dotenv').config();
+
+const MIGRATIONS_DIR = path.join(__dirname, '..', 'migrations');
+
+// Arbitrary key so only one migration run touches the schema at a time
+const MIGRATION_LOCK_ID = 727274;
+
+// Load migration modules ordered by their numeric prefix (e.g. 004_add_store_tags.js)
+const loadMigrations = () => {
+  return fs.readdirSync(MIGRATIONS_DIR)
+    .filter(file => /^\d+_[\w-]+\.js$/.test(file))
+    .sort()
+    .map(file => {
+      const migration = require(path.join(MIGRATIONS_DIR, file));
+
+      if (typeof migration.up !== 'function' || typeof migration.down !== 'function') {
+        throw new Error(`Migration ${file} must export up and down functions`);
+      }
+
+      return {
+        version: file.replace(/\.js$/, ''),
+        up: migration.up,
+        down: migration.down
+      };
+    });
+};
+
+const ensureMigrationsTable = async (client) => {
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      version VARCHAR(255) PRIMARY KEY,
+      applied_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+};
+
+const getAppliedVersions = async (client) => {
+  const result = await client.query('SELECT version, applied_at FROM schema_migrations ORDER BY version');
+  return result.rows;
+};
+
+// Run a callback with a dedicated client holding the migration lock
+const withMigrationLock = async (callback) => {
+  const client = await pool.connect();
+
+  try {
+    await client.query('SELECT pg_advisory_lock($1)', [MIGRATION_LOCK_ID]);
+    await ensureMigrationsTable(client);
+    return await callback(client);
+  } finally {
+    await client.query('SELECT pg_advisory_unlock($1)', [MIGRATION_LOCK_ID]);
+    client.release();
+  }
+};
+
+// Run one migration step and record it, all in a single transaction
+const runStep = async (client, migration, direction) => {
+  try {
+    await client.query('BEGIN');
+    await migration[direction](client);
+
+    if (direction === 'up') {
+      await client.query('INSERT INTO schema_migrations (version) VALUES ($1)', [migration.version]);
+    } else {
+      await client.query('DELETE FROM schema_migrations WHERE version = $1', [migration.version]);
+    }
+
+    await client.query('COMMIT');
+  } catch (error) {
+    await client.query('ROLLBACK');
+    error.message = `Migration ${migration.version} (${direction}) failed: ${error.message}`;
+    throw error;
+  }
+};
+
+// Apply all pending migrations in order. Returns the versions applied.
+const migrateUp = async () => {
+  const migrations = loadMigrations();
+
+  return withMigrationLock(async (client) => {
+    const applied = new Set((await getAppliedVersions(client)).map(row => row.version));
+    const pending = migrations.filter(migration => !applied.has(migration.version));
+
+    for (const migration of pending) {
+      await runStep(client, migration, 'up');
+      console.log(`⬆️  Applied ${migration.version}`);
+    }
+
+    return pending.map(migration => migration.version);
+  });
+};
+
+// Roll back the most recently applied migrations. Returns the versions rolled back.
+const migrateDown = async (steps = 1) => {
+  const migrations = loadMigrations();
+
+  return withMigrationLock(async (client) => {
+    const applied = (await getAppliedVersions(client)).map(row => row.version);
+    const toRollBack = applied.slice(-steps).reverse();
+
+    for (const version of toRollBack) {
+      const migration = migrations.find(m => m.version === version);
+      if (!migration) {
+        throw new Error(`Migration file for applied version ${version} not found`);
+      }
+
+      await runStep(client, migration, 'down');
+      console.log(`⬇️  Rolled back ${version}`);
+    }
+
+    return toRollBack;
+  });
+};
+
+// List every known migration with its applied time (null when pending)
+const migrationStatus = async () => {
+  const migrations = loadMigrations();
+
+  return withMigrationLock(async (client) => {
+    const applied = await getAppliedVersions(client);
+    const appliedAt = new Map(applied.map(row => [row.version, row.applied_at]));
+
+    return migrations.map(migration => ({
+      version: migration.version,
+      appliedAt: appliedAt.get(migration.version) || null
+    }));
+  });
+};
+
+// Run from the command line: node scripts/migrate.js up | down [steps] | status
+if (require.main === module) {
+  const [command, arg] = process.argv.slice(2);
+
+  const run = async () => {
+    switch (command) {
+      case 'up': {
+        const applied = await migrateUp();
+        console.log(applied.length ? `✅ Applied ${applied.length} migration(s)` : 'ℹ️  Database is up to date');
+        break;
+      }
+      case 'down': {
+        const steps = parseInt(arg) || 1;
+        const rolledBack = await migrateDown(steps);
+        console.log(rolledBack.length ? `✅ Rolled back ${rolledBack.length} migration(s)` : 'ℹ️  Nothing to roll back');
+        break;
+      }
+      case 'status': {
+        const status = await migrationStatus();
+        for (const migration of status) {
+          const state = migration.appliedAt ? `applied ${migration.appliedAt.toISOString()}` : 'pending';
+          console.log(`${migration.version.padEnd(50)} ${state}`);
+        }
+        break;
+      }
+      default:
+        throw new Error('Usage: node scripts/migrate.js up | down [steps] | status');
+    }
+  };
+
+  run()
+    .then(() => pool.end())
+    .then(() => process.exit(0))
+    .catch((error) => {
+      console.error('💥 Migration failed:', error.message);
+      pool.end().finally(() => process.exit(1));
+    });
+}
+
+module.exports = {
+  migrateUp,
+  migrateDown,
+  migrationStatus
+};
@@ -0,0 +1,18 @@
+const { pool } = require('../config/database');
+const { purgeDeletedRecords, softDeleteRetentionDays } = require('../utils/purge');
+require('dotenv').config();
+
+// Run from the command line (or cron) to purge soft-deleted records outside the server process
+purgeDeletedRecords()
+  .then((purged) => {
+    console.log(
+      `✅ Purged records deleted more than ${softDeleteRetentionDays()} day(s) ago: ` +
+      `${purged.users} user(s), ${purged.stores} store(s), ${purged.ratings} rating(s)`
+    );
+    return pool.end();
+  })
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error('💥 Purge failed:', error.message);
+    pool.end().finally(() => process.exit(1));
+  });
@@ -0,0 +1,16 @@
+const { pool } = require('../config/database');
+const { refreshStoreScores, getRankingSettings } = require('../utils/storeRanking');
+require('dotenv').config();
+
+// Run from the command line (or cron) to recompute the ranking prior and store scores
+refreshStoreScores()
+  .then(async (updated) => {
+    const settings = await getRankingSettings();
+    console.log(`✅ Refreshed ranking scores of ${updated} store(s) (prior mean ${settings.priorMean.toFixed(2)})`);
+    return pool.end();
+  })
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error('💥 Score refresh failed:', error.message);
+    pool.end().finally(() => process.exit(1));
+  });
@@ -9,6 +9,11 @@ const userRoutes = require('./routes/users');
 const storeRoutes = require('./routes/stores');
 const ratingRoutes = require('./routes/ratings');
 const adminRoutes = require('./routes/admin');
+const categoryRoutes = require('./routes/categories');
+const photoRoutes = require('./routes/photos');
+const searchRoutes = require('./routes/search');
+const { schedulePurge } = require('./utils/purge');
+const { scheduleScoreRefresh } = require('./utils/storeRanking');
 
 const app = express();
 const PORT = process.env.PORT || 5000;
@@ -39,6 +44,9 @@ app.use('/api/users', userRoutes);
 app.use('/api/stores', storeRoutes);
 app.use('/api/ratings', ratingRoutes);
 app.use('/api/admin', adminRoutes);
+app.use('/api/categories', categoryRoutes);
+app.use('/api/photos', photoRoutes);
+app.use('/api/search', searchRoutes);
 
 // Health check endpoint
 app.get('/api/health', (req, res) => {
@@ -61,6 +69,8 @@ app.use('*', (req, res) => {
 
 app.listen(PORT, () => {
   console.log(`Server is running on port ${PORT}`);
+  schedulePurge();
+  scheduleScoreRefresh();
 });
 
 module.exports = app;
\ No newline at end of file
@@ -0,0 +1,81 @@
+const { pool } = require('../config/database');
+
+// Values of these fields never end up in the log, only the fact that they changed
+const REDACTED_FIELD_PATTERN = /password|secret|token|recovery/i;
+const REDACTED_VALUE = '[redacted]';
+
+// Fields that change on every write and would only add noise to a diff
+const IGNORED_FIELDS = new Set(['updated_at']);
+
+const normalizeValue = (value) => {
+  if (value instanceof Date) {
+    return value.toISOString();
+  }
+  return value === undefined ? null : value;
+};
+
+// Field-level diff between two snapshots of an entity: { field: { from, to } } for every field
+// that differs. Pass null as before for a creation and null as after for a deletion.
+const diffChanges = (before, after) => {
+  const changes = {};
+  const fields = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+
+  for (const field of fields) {
+    if (IGNORED_FIELDS.has(field)) {
+      continue;
+    }
+
+    const from = normalizeValue(before ? before[field] : null);
+    const to = normalizeValue(after ? after[field] : null);
+
+    if (JSON.stringify(from) === JSON.stringify(to)) {
+      continue;
+    }
+
+    changes[field] = REDACTED_FIELD_PATTERN.test(field)
+      ? { from: from === null ? null : REDACTED_VALUE, to: to === null ? null : REDACTED_VALUE }
+      : { from, to };
+  }
+
+  return changes;
+};
+
+// Append an entry to the audit log for the request's user (or the given actor, e.g. on login).
+// before/after are row snapshots that are stored as a diff; details holds any other context.
+// Pass the transaction client as db so the entry is written together with the change.
+const recordAudit = async (req, {
+  action,
+  entityType,
+  entityId = null,
+  before = null,
+  after = null,
+  details = null,
+  actor = req.user
+}, db = pool) => {
+  const changes = before || after ? diffChanges(before, after) : {};
+
+  await db.query(
+    `INSERT INTO audit_log (
+       actor_id, actor_email, actor_role, action, entity_type, entity_id, changes, details,
+       ip_address, user_agent
+     )
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)`,
+    [
+      actor ? actor.id : null,
+      actor ? actor.email || null : null,
+      actor ? actor.role || null : null,
+      action,
+      entityType,
+      entityId,
+      Object.keys(changes).length > 0 ? JSON.stringify(changes) : null,
+      details ? JSON.stringify(details) : null,
+      req.ip || null,
+      req.get('user-agent') || null
+    ]
+  );
+};
+
+module.exports = {
+  diffChanges,
+  recordAudit
+};
@@ -0,0 +1,187 @@
+const crypto = require('crypto');
+const { validationResult } = require('express-validator');
+const { pool } = require('../config/database');
+const { parseCsv, toCsv } = require('./csv');
+const { hashToken, generateOpaqueToken } = require('./tokens');
+
+const maxImportRows = () => parseInt(process.env.IMPORT_MAX_ROWS) || 1000;
+const importReportTtlMinutes = () => parseInt(process.env.IMPORT_REPORT_TTL_MINUTES) || 60;
+
+// Columns accepted per import type; anything else in a CSV header is rejected
+const IMPORT_FIELDS = {
+  users: ['name', 'email', 'password', 'address', 'role'],
+  stores: ['name', 'email', 'address', 'ownerEmail', 'categoryId', 'tags', 'latitude', 'longitude']
+};
+
+// Columns that hold several values; CSV cells separate them with semicolons
+const LIST_FIELDS = new Set(['tags']);
+
+// Turn a CSV document into row objects keyed by the header. Empty cells are left out.
+const csvToRows = (text, fields) => {
+  let table;
+  try {
+    table = parseCsv(text);
+  } catch (error) {
+    return { error: `Invalid CSV: ${error.message}` };
+  }
+
+  if (table.length === 0) {
+    return { rows: [] };
+  }
+
+  const header = table[0].map(cell => cell.trim());
+  const unknown = header.filter(column => !fields.includes(column));
+  if (unknown.length > 0) {
+    return { error: `Unknown column(s): ${unknown.join(', ')}. Expected: ${fields.join(', ')}` };
+  }
+
+  const rows = [];
+  for (const [index, cells] of table.slice(1).entries()) {
+    if (cells.length !== header.length) {
+      return { error: `Row ${index + 1} has ${cells.length} cells, expected ${header.length}` };
+    }
+
+    const row = {};
+    header.forEach((column, position) => {
+      const value = cells[position].trim();
+      if (value !== '') {
+        row[column] = LIST_FIELDS.has(column) ? value.split(';').map(item => item.trim()).filter(Boolean) : value;
+      }
+    });
+    rows.push(row);
+  }
+
+  return { rows };
+};
+
+// Rows of an import request: a CSV document (text body), a JSON array or { rows: [...] }.
+// Returns { rows } or { error }.
+const readImportRows = (body, fields) => {
+  let result;
+
+  if (typeof body === 'string') {
+    result = csvToRows(body, fields);
+  } else {
+    const rows = Array.isArray(body) ? body : body && body.rows;
+    if (!Array.isArray(rows)) {
+      return { error: 'Send a CSV document (Content-Type: text/csv) or a JSON array of rows' };
+    }
+    if (rows.some(row => !row || typeof row !== 'object' || Array.isArray(row))) {
+      return { error: 'Each row must be an object' };
+    }
+
+    // Only known fields are kept, so rows cannot smuggle in other columns
+    result = {
+      rows: rows.map(row => Object.fromEntries(
+        fields.filter(field => row[field] !== undefined && row[field] !== '').map(field => [field, row[field]])
+      ))
+    };
+  }
+
+  if (result.error) {
+    return result;
+  }
+  if (result.rows.length === 0) {
+    return { error: 'No rows to import' };
+  }
+  if (result.rows.length > maxImportRows()) {
+    return { error: `At most ${maxImportRows()} rows can be imported at once` };
+  }
+
+  return result;
+};
+
+// Run a validation middleware list (e.g. validateUserRegistration) against one row.
+// Returns the sanitized values and the errors as [{ field, message }].
+const validateImportRow = async (rules, row) => {
+  const req = { body: { ...row } };
+
+  for (const rule of rules) {
+    if (typeof rule.run === 'function') {
+      await rule.run(req);
+    }
+  }
+
+  const errors = validationResult(req).array().map(error => ({ field: error.path, message: error.msg }));
+  return { values: req.body, errors };
+};
+
+// Random password that satisfies the registration rules (8-16 characters, an uppercase
+// letter and a special character)
+const PASSWORD_GROUPS = [
+  'ABCDEFGHJKLMNPQRSTUVWXYZ',
+  'abcdefghijkmnopqrstuvwxyz',
+  '23456789',
+  '!@#$%^&*-_=+?'
+];
+
+const generatePassword = (length = 14) => {
+  const all = PASSWORD_GROUPS.join('');
+  const chars = PASSWORD_GROUPS.map(group => group[crypto.randomInt(group.length)]);
+
+  while (chars.length < length) {
+    chars.push(all[crypto.randomInt(all.length)]);
+  }
+
+  // Shuffle so the guaranteed characters are not always in front
+  for (let i = chars.length - 1; i > 0; i--) {
+    const j = crypto.randomInt(i + 1);
+    [chars[i], chars[j]] = [chars[j], chars[i]];
+  }
+
+  return chars.join('');
+};
+
+// AES-256-GCM key for a report, derived from its download token
+const reportKey = (token) => Buffer.from(crypto.hkdfSync('sha256', token, '', 'import-report', 32));
+
+// Store a one-time CSV report (e.g. generated passwords) readable only by its creator.
+// Returns { token, expiresAt }; the token is not stored and is needed to download and decrypt it.
+const createImportReport = async (columns, rows, userId, db = pool) => {
+  const token = generateOpaqueToken();
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', reportKey(token), iv);
+  const encrypted = Buffer.concat([cipher.update(toCsv(columns, rows), 'utf8'), cipher.final()]);
+
+  // Expired reports that were never downloaded are dropped here
+  await db.query('DELETE FROM import_reports WHERE expires_at < CURRENT_TIMESTAMP');
+
+  const result = await db.query(
+    `INSERT INTO import_reports (token_hash, created_by, content, expires_at)
+     VALUES ($1, $2, $3, CURRENT_TIMESTAMP + make_interval(mins => $4))
+     RETURNING expires_at`,
+    [hashToken(token), userId, Buffer.concat([iv, cipher.getAuthTag(), encrypted]), importReportTtlMinutes()]
+  );
+
+  return { token, expiresAt: result.rows[0].expires_at };
+};
+
+// Fetch and delete a report. Returns the CSV text, or null when the token is unknown, belongs
+// to another user, was already used or has expired.
+const takeImportReport = async (token, userId) => {
+  const result = await pool.query(
+    `DELETE FROM import_reports
+     WHERE token_hash = $1 AND created_by = $2
+     RETURNING content, expires_at > CURRENT_TIMESTAMP as valid`,
+    [hashToken(token), userId]
+  );
+
+  if (result.rows.length === 0 || !result.rows[0].valid) {
+    return null;
+  }
+
+  const content = Buffer.from(result.rows[0].content);
+  const decipher = crypto.createDecipheriv('aes-256-gcm', reportKey(token), content.subarray(0, 12));
+  decipher.setAuthTag(content.subarray(12, 28));
+
+  return Buffer.concat([decipher.update(content.subarray(28)), decipher.final()]).toString('utf8');
+};
+
+module.exports = {
+  IMPORT_FIELDS,
+  readImportRows,
+  validateImportRow,
+  generatePassword,
+  createImportReport,
+  takeImportReport
+};
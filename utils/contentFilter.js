@@ -0,0 +1,190 @@
+const { pool } = require('../config/database');
+
+const FILTER_ACTIONS = Object.freeze(['reject', 'mask', 'flag']);
+
+// Longest comment the filter will look at; longer ones are rejected without running any rule
+const MAX_COMMENT_LENGTH = 5000;
+
+// Escape a string for use inside a RegExp
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Whole-word, case-insensitive match of any listed word
+const wordListPattern = (words) => {
+  return new RegExp(`\\b(?:${words.map(word => escapeRegExp(word.trim())).join('|')})\\b`, 'gi');
+};
+
+// A character repeated more than maxRepeat times in a row. Whitespace and the "*" used
+// to mask words are ignored so earlier masking rules do not trigger this one.
+const repeatedCharsPattern = (maxRepeat) => {
+  return new RegExp(`([^\\s*])\\1{${maxRepeat},}`, 'gu');
+};
+
+// Build a rule type that finds matches of a regular expression and masks them with a placeholder
+const patternRule = (pattern, placeholder) => ({
+  validateConfig: () => null,
+  matches: (text) => text.match(pattern()) || [],
+  mask: (text) => text.replace(pattern(), placeholder)
+});
+
+// Built-in rule types. Each type provides:
+//   validateConfig(config) -> error message or null
+//   matches(text, config)  -> array of matched snippets (empty when the rule does not fire)
+//   mask(text, config)     -> text with the matches masked
+const ruleTypes = {
+  // Configurable word list, matched as whole words regardless of case
+  profanity: {
+    validateConfig: (config) => {
+      const valid = Array.isArray(config.words) &&
+        config.words.every(word => typeof word === 'string' && word.trim().length > 0);
+      return valid ? null : 'profanity rules need a "words" array of non-empty strings';
+    },
+    matches: (text, config) => text.match(wordListPattern(config.words)) || [],
+    mask: (text, config) => text.replace(wordListPattern(config.words), word => '*'.repeat(word.length))
+  },
+
+  // Bare domains and email local parts only match from the start of a token, so a long run of
+  // labels is scanned once instead of once per character (which took quadratic time)
+  link: patternRule(
+    () => /\b(?:https?:\/\/|www\.)\S+|(?<![\w.-])[a-z0-9-]+(?:\.[a-z0-9-]+)*\.(?:com|net|org|io|co|info|biz|ly)(?:\/\S*)?\b/gi,
+    '[link removed]'
+  ),
+
+  email: patternRule(
+    () => /(?<![\w.%+-])[a-z0-9._%+-]+@[a-z0-9.-]+\.[a-z]{2,}/gi,
+    '[email removed]'
+  ),
+
+  // Phone-like digit groups: an international number (+44 20 7946 0958), a local number with an
+  // optional area code (555-123-4567, (555) 123-4567, 123 4567), or 10 to 15 digits in a row.
+  // Dates such as 2024-01-15 or 12.03.2024 do not match.
+  phone: patternRule(
+    () => /(?<![\w+])(?:\+\d{1,3}[\s.-]?(?:\(?\d{1,4}\)?[\s.-]?)?\d{3,4}[\s.-]?\d{3,4}|(?:\(\d{2,4}\)[\s.-]?|\d{3}[\s.-])?\d{3}[\s.-]?\d{4}|\d{10,15})(?!\w)/g,
+    '[phone removed]'
+  ),
+
+  // The same character repeated more than maxRepeat times in a row (e.g. "sooooo")
+  repeated_chars: {
+    validateConfig: (config) => {
+      return Number.isInteger(config.maxRepeat) && config.maxRepeat >= 1
+        ? null
+        : 'repeated_chars rules need an integer "maxRepeat" of at least 1';
+    },
+    matches: (text, config) => text.match(repeatedCharsPattern(config.maxRepeat)) || [],
+    mask: (text, config) => text.replace(repeatedCharsPattern(config.maxRepeat), run => run.slice(0, config.maxRepeat))
+  },
+
+  // Comments longer than maxLength characters; masking truncates them
+  max_length: {
+    validateConfig: (config) => {
+      return Number.isInteger(config.maxLength) && config.maxLength >= 1
+        ? null
+        : 'max_length rules need an integer "maxLength" of at least 1';
+    },
+    matches: (text, config) => text.length > config.maxLength ? [`${text.length} characters`] : [],
+    mask: (text, config) => text.slice(0, config.maxLength)
+  }
+};
+
+// Register a custom rule type (e.g. a language detector) under a name
+const registerRuleType = (name, ruleType) => {
+  if (!ruleType || typeof ruleType.matches !== 'function' || typeof ruleType.mask !== 'function') {
+    throw new Error('Content filter rule types must provide matches and mask functions');
+  }
+  ruleTypes[name] = {
+    validateConfig: () => null,
+    ...ruleType
+  };
+};
+
+const isKnownRuleType = (type) => Object.prototype.hasOwnProperty.call(ruleTypes, type);
+
+const getRuleTypes = () => Object.keys(ruleTypes);
+
+// Check a rule's config against its type. Returns an error message or null.
+const validateRuleConfig = (type, config) => {
+  if (!isKnownRuleType(type)) {
+    return `Unknown rule type: ${type}`;
+  }
+  return ruleTypes[type].validateConfig(config || {});
+};
+
+// Run a comment through the given rules in order, length limits first so oversized comments are
+// rejected before any pattern runs. Masking rules change the text seen by later rules; the first
+// rejecting rule that fires ends the run. Returns { comment, rejected, flagged, firedRules }.
+const applyRules = (comment, rules) => {
+  let text = comment;
+  const firedRules = [];
+  const orderedRules = [
+    ...rules.filter(rule => rule.type === 'max_length'),
+    ...rules.filter(rule => rule.type !== 'max_length')
+  ];
+
+  for (const rule of orderedRules) {
+    const ruleType = ruleTypes[rule.type];
+    if (!ruleType) {
+      continue;
+    }
+
+    const config = rule.config || {};
+    const matches = ruleType.matches(text, config);
+    if (matches.length === 0) {
+      continue;
+    }
+
+    firedRules.push({
+      id: rule.id,
+      name: rule.name,
+      type: rule.type,
+      action: rule.action,
+      matches: matches.length
+    });
+
+    if (rule.action === 'reject') {
+      break;
+    }
+
+    if (rule.action === 'mask') {
+      text = ruleType.mask(text, config);
+    }
+  }
+
+  return {
+    comment: text,
+    rejected: firedRules.some(rule => rule.action === 'reject'),
+    flagged: firedRules.some(rule => rule.action === 'flag'),
+    firedRules
+  };
+};
+
+// Run a comment through all enabled rules stored in the database
+const filterComment = async (comment) => {
+  if (typeof comment !== 'string' || comment.length === 0) {
+    return { comment, rejected: false, flagged: false, firedRules: [] };
+  }
+
+  if (comment.length > MAX_COMMENT_LENGTH) {
+    return {
+      comment,
+      rejected: true,
+      flagged: false,
+      firedRules: [{ id: null, name: 'Comment length limit', type: 'max_length', action: 'reject', matches: 1 }]
+    };
+  }
+
+  const result = await pool.query(
+    'SELECT id, name, type, action, config FROM content_filter_rules WHERE enabled = true ORDER BY position, id'
+  );
+
+  return applyRules(comment, result.rows);
+};
+
+module.exports = {
+  FILTER_ACTIONS,
+  MAX_COMMENT_LENGTH,
+  registerRuleType,
+  isKnownRuleType,
+  getRuleTypes,
+  validateRuleConfig,
+  applyRules,
+  filterComment
+};
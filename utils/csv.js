@@ -0,0 +1,103 @@
+// CSV helpers (RFC 4180 with CRLF line endings)
+
+// Cells starting with these characters are run as formulas by spreadsheet apps
+const FORMULA_PREFIX_PATTERN = /^[=+\-@\t\r]/;
+
+// Format one value as a CSV cell: objects become JSON, formula-like text is neutralized
+const formatCsvCell = (value) => {
+  if (value === null || value === undefined) {
+    return '';
+  }
+
+  let text;
+  if (value instanceof Date) {
+    text = value.toISOString();
+  } else if (typeof value === 'object') {
+    text = JSON.stringify(value);
+  } else {
+    text = String(value);
+  }
+
+  if (typeof value === 'string' && FORMULA_PREFIX_PATTERN.test(text)) {
+    text = `'${text}`;
+  }
+
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// One CSV line for the given values
+const toCsvRow = (values) => values.map(formatCsvCell).join(',') + '\r\n';
+
+// CSV document with a header row. columns: [{ key, header }]
+const toCsv = (columns, rows) => {
+  return toCsvRow(columns.map(column => column.header)) +
+    rows.map(row => toCsvRow(columns.map(column => row[column.key]))).join('');
+};
+
+// Parse CSV text into rows of cell strings. Accepts CRLF or LF line endings, quoted cells
+// with embedded separators, quotes and line breaks, and a leading byte order mark.
+// Throws on an unterminated quoted cell.
+const parseCsv = (text) => {
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let inQuotes = false;
+  let position = text.charCodeAt(0) === 0xfeff ? 1 : 0;
+
+  while (position < text.length) {
+    const char = text[position];
+
+    if (inQuotes) {
+      if (char === '"' && text[position + 1] === '"') {
+        cell += '"';
+        position += 2;
+        continue;
+      }
+      if (char === '"') {
+        inQuotes = false;
+      } else {
+        cell += char;
+      }
+      position++;
+      continue;
+    }
+
+    if (char === '"' && cell === '') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\r' || char === '\n') {
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = '';
+      if (char === '\r' && text[position + 1] === '\n') {
+        position++;
+      }
+    } else {
+      cell += char;
+    }
+    position++;
+  }
+
+  if (inQuotes) {
+    throw new Error('Unterminated quoted cell');
+  }
+
+  // Last line without a trailing line break
+  if (cell !== '' || row.length > 0) {
+    row.push(cell);
+    rows.push(row);
+  }
+
+  // Blank lines carry no data
+  return rows.filter(cells => cells.length > 1 || cells[0] !== '');
+};
+
+module.exports = {
+  formatCsvCell,
+  toCsvRow,
+  toCsv,
+  parseCsv
+};
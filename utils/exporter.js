@@ -0,0 +1,171 @@
+const { pool } = require('../config/database');
+const { toCsvRow } = require('./csv');
+const { createXlsxWriter } = require('./xlsx');
+const { rollback } = require('./transactions');
+
+// Formats accepted by ?format= on exportable listings
+const EXPORT_FORMATS = ['csv', 'xlsx', 'json'];
+
+// Rows fetched from the cursor per round trip
+const EXPORT_BATCH_SIZE = 500;
+
+// Exports running at once in this process. Each holds a pooled connection for the whole download.
+const maxConcurrentExports = () => parseInt(process.env.EXPORT_MAX_CONCURRENT) || 3;
+
+// Longest wait for one query or for a slow client to take a chunk before the export is aborted
+const exportStallTimeoutMs = () => (parseInt(process.env.EXPORT_STALL_TIMEOUT_SECONDS) || 60) * 1000;
+
+let activeExports = 0;
+
+// Write to the response, waiting while its buffer is full. Rejects once the client has gone or
+// has not taken the chunk within timeoutMs.
+const writeOutput = (res, chunk, timeoutMs) => {
+  if (res.destroyed) {
+    return Promise.reject(new Error('Client closed the connection'));
+  }
+  if (res.write(chunk)) {
+    return Promise.resolve();
+  }
+
+  return new Promise((resolve, reject) => {
+    const settle = (error) => {
+      clearTimeout(timer);
+      res.off('drain', onDrain);
+      res.off('close', onClose);
+      if (error) {
+        reject(error);
+      } else {
+        resolve();
+      }
+    };
+    const onDrain = () => settle();
+    const onClose = () => settle(new Error('Client closed the connection'));
+    const timer = setTimeout(() => settle(new Error('Client stopped reading the export')), timeoutMs);
+
+    res.once('drain', onDrain);
+    res.once('close', onClose);
+  });
+};
+
+// Row writers per format: begin() writes the header, rows(list) a batch of value arrays, end() the rest
+const FORMAT_WRITERS = {
+  csv: {
+    contentType: 'text/csv; charset=utf-8',
+    create: (write, headers) => ({
+      begin: () => write(toCsvRow(headers)),
+      rows: (list) => write(list.map(toCsvRow).join('')),
+      end: async () => {}
+    })
+  },
+
+  // An array of objects keyed by the column headers
+  json: {
+    contentType: 'application/json; charset=utf-8',
+    create: (write, headers) => {
+      let separator = '\n';
+
+      return {
+        begin: () => write('['),
+        rows: (list) => {
+          const chunk = list.map((values) => {
+            const object = {};
+            headers.forEach((header, index) => {
+              object[header] = values[index] === undefined ? null : values[index];
+            });
+            const text = separator + JSON.stringify(object);
+            separator = ',\n';
+            return text;
+          }).join('');
+          return write(chunk);
+        },
+        end: () => write(separator === '\n' ? ']\n' : '\n]\n')
+      };
+    }
+  },
+
+  xlsx: {
+    contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+    create: (write, headers) => createXlsxWriter(write, headers)
+  }
+};
+
+// Value of a column for one row. columns: [{ key, header, type?: 'number', value?: row => any }]
+const columnValue = (column, row) => {
+  const value = column.value ? column.value(row) : row[column.key];
+  if (column.type === 'number' && value !== null && value !== undefined) {
+    return Number(value);
+  }
+  return value;
+};
+
+// Stream every row of a query as a download. The query runs in one read-only snapshot and is
+// read through a server-side cursor in batches, so memory use does not grow with the result.
+// Answers 429 while EXPORT_MAX_CONCURRENT exports are running, so exports cannot take over the
+// connection pool, and aborts an export whose query or client stalls.
+// Errors before the first byte are thrown to the caller; later ones end the response.
+const streamExport = async (res, { format, filename, columns, query, params = [] }) => {
+  const formatWriter = FORMAT_WRITERS[format];
+  if (!formatWriter) {
+    throw new Error(`Unknown export format: ${format}`);
+  }
+
+  if (activeExports >= maxConcurrentExports()) {
+    res.set('Retry-After', '30');
+    return res.status(429).json({ message: 'Too many exports in progress, please try again shortly' });
+  }
+
+  activeExports += 1;
+  const timeoutMs = exportStallTimeoutMs();
+  let client;
+  let discardClient = false;
+
+  try {
+    client = await pool.connect();
+    await client.query('BEGIN ISOLATION LEVEL REPEATABLE READ READ ONLY');
+    // The server ends the session if a query runs, or the transaction sits idle, past the limit
+    await client.query(`SET LOCAL statement_timeout = ${timeoutMs}`);
+    await client.query(`SET LOCAL idle_in_transaction_session_timeout = ${timeoutMs}`);
+    await client.query(`DECLARE export_cursor NO SCROLL CURSOR FOR ${query}`, params);
+
+    res.set({
+      'Content-Type': formatWriter.contentType,
+      'Content-Disposition': `attachment; filename="${filename}-${new Date().toISOString().slice(0, 10)}.${format}"`,
+      'Cache-Control': 'no-store'
+    });
+
+    const writer = formatWriter.create((chunk) => writeOutput(res, chunk, timeoutMs), columns.map(column => column.header));
+    await writer.begin();
+
+    let batch;
+    do {
+      batch = await client.query(`FETCH ${EXPORT_BATCH_SIZE} FROM export_cursor`);
+      if (batch.rows.length > 0) {
+        await writer.rows(batch.rows.map(row => columns.map(column => columnValue(column, row))));
+      }
+    } while (batch.rows.length === EXPORT_BATCH_SIZE);
+
+    await writer.end();
+    await client.query('COMMIT');
+    res.end();
+  } catch (error) {
+    discardClient = !(await rollback(client));
+
+    if (!res.headersSent) {
+      throw error;
+    }
+
+    // Part of the file is already out; cut the connection so the client sees it as incomplete
+    console.error('Export stream error:', error);
+    res.destroy();
+  } finally {
+    activeExports -= 1;
+    if (client) {
+      client.release(discardClient);
+    }
+  }
+};
+
+module.exports = {
+  EXPORT_FORMATS,
+  streamExport
+};
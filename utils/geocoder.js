@@ -0,0 +1,74 @@
+// Built-in geocoding providers. Each provider receives an address string and returns a promise
+// of { latitude, longitude }, or null when the address cannot be resolved.
+const providers = {
+  // Offline stub: resolves addresses that end in "(lat, lng)", e.g. "12 Main St (40.7128, -74.0060)".
+  // Other trailing numbers, such as "Suite 12, 34", are not read as coordinates.
+  stub: async (address) => {
+    const match = /\(\s*(-?\d{1,2}(?:\.\d+)?)\s*,\s*(-?\d{1,3}(?:\.\d+)?)\s*\)\s*$/.exec(address);
+    if (!match) {
+      return null;
+    }
+
+    const latitude = parseFloat(match[1]);
+    const longitude = parseFloat(match[2]);
+
+    if (Math.abs(latitude) > 90 || Math.abs(longitude) > 180) {
+      return null;
+    }
+
+    return { latitude, longitude };
+  },
+
+  // Geocoding disabled
+  none: async () => null
+};
+
+// Register a custom provider (e.g. a geocoding API client) under a name
+const registerProvider = (name, provider) => {
+  if (typeof provider !== 'function') {
+    throw new Error('Geocoding provider must be a function');
+  }
+  providers[name] = provider;
+};
+
+// Resolve an address with the provider selected by GEOCODER_PROVIDER.
+// Failures, including an unknown provider name, are logged and treated as "not found" so store
+// writes never fail on geocoding.
+const geocodeAddress = async (address) => {
+  const providerName = process.env.GEOCODER_PROVIDER || 'stub';
+  const provider = providers[providerName];
+
+  if (!provider) {
+    console.error(`Geocoding error: unknown provider "${providerName}"`);
+    return null;
+  }
+
+  try {
+    return await provider(address);
+  } catch (error) {
+    console.error('Geocoding error:', error);
+    return null;
+  }
+};
+
+// Coordinates to store for a store write.
+// Explicit latitude/longitude win; otherwise a new address is geocoded (null coordinates when it
+// cannot be resolved, so a moved store never keeps its old position). Returns null when nothing changes.
+const resolveStoreCoordinates = async ({ latitude, longitude, address }) => {
+  if (latitude !== undefined) {
+    return { latitude, longitude };
+  }
+
+  if (address) {
+    const location = await geocodeAddress(address);
+    return location || { latitude: null, longitude: null };
+  }
+
+  return null;
+};
+
+module.exports = {
+  registerProvider,
+  geocodeAddress,
+  resolveStoreCoordinates
+};
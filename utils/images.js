@@ -0,0 +1,143 @@
+// Image type detection and metadata stripping for uploaded photos (JPEG, PNG and WebP).
+// Stripping works on the container level, so pixels are never re-encoded.
+
+const PNG_SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+
+// Content type of an image judged by its leading bytes, or null for anything else
+const detectImageType = (buffer) => {
+  if (buffer.length >= 3 && buffer[0] === 0xff && buffer[1] === 0xd8 && buffer[2] === 0xff) {
+    return 'image/jpeg';
+  }
+  if (buffer.length >= 8 && buffer.slice(0, 8).equals(PNG_SIGNATURE)) {
+    return 'image/png';
+  }
+  if (buffer.length >= 12 && buffer.toString('ascii', 0, 4) === 'RIFF' && buffer.toString('ascii', 8, 12) === 'WEBP') {
+    return 'image/webp';
+  }
+  return null;
+};
+
+// JPEG: drop APP1 (EXIF/XMP), APP13 (IPTC) and comment segments before the image data.
+// APP0 (JFIF), APP2 (ICC colour profile) and APP14 (Adobe colour transform) are kept.
+const JPEG_STRIPPED_MARKERS = new Set([0xe1, 0xed, 0xfe]);
+
+const stripJpeg = (buffer) => {
+  const parts = [buffer.slice(0, 2)];
+  let offset = 2;
+
+  while (offset + 4 <= buffer.length) {
+    if (buffer[offset] !== 0xff) {
+      throw new Error('Invalid JPEG segment');
+    }
+
+    const marker = buffer[offset + 1];
+
+    // Fill bytes before a marker
+    if (marker === 0xff) {
+      offset++;
+      continue;
+    }
+
+    // Start of scan: the rest is entropy-coded image data
+    if (marker === 0xda) {
+      parts.push(buffer.slice(offset));
+      return Buffer.concat(parts);
+    }
+
+    const length = buffer.readUInt16BE(offset + 2);
+    const segmentEnd = offset + 2 + length;
+    if (length < 2 || segmentEnd > buffer.length) {
+      throw new Error('Invalid JPEG segment length');
+    }
+
+    if (!JPEG_STRIPPED_MARKERS.has(marker)) {
+      parts.push(buffer.slice(offset, segmentEnd));
+    }
+    offset = segmentEnd;
+  }
+
+  throw new Error('JPEG has no image data');
+};
+
+// PNG: drop EXIF, text and timestamp chunks
+const PNG_STRIPPED_CHUNKS = new Set(['eXIf', 'tEXt', 'zTXt', 'iTXt', 'tIME']);
+
+const stripPng = (buffer) => {
+  const parts = [PNG_SIGNATURE];
+  let offset = PNG_SIGNATURE.length;
+
+  while (offset + 12 <= buffer.length) {
+    const length = buffer.readUInt32BE(offset);
+    const type = buffer.toString('ascii', offset + 4, offset + 8);
+    const chunkEnd = offset + 12 + length;
+    if (chunkEnd > buffer.length) {
+      throw new Error('Invalid PNG chunk length');
+    }
+
+    if (!PNG_STRIPPED_CHUNKS.has(type)) {
+      parts.push(buffer.slice(offset, chunkEnd));
+    }
+    offset = chunkEnd;
+
+    if (type === 'IEND') {
+      return Buffer.concat(parts);
+    }
+  }
+
+  throw new Error('PNG has no IEND chunk');
+};
+
+// WebP: drop EXIF and XMP chunks and clear their flags in the VP8X header
+const WEBP_EXIF_FLAG = 0x08;
+const WEBP_XMP_FLAG = 0x04;
+
+const stripWebp = (buffer) => {
+  const parts = [];
+  let offset = 12;
+
+  while (offset + 8 <= buffer.length) {
+    const type = buffer.toString('ascii', offset, offset + 4);
+    const size = buffer.readUInt32LE(offset + 4);
+    const chunkEnd = offset + 8 + size + (size % 2);
+    if (offset + 8 + size > buffer.length) {
+      throw new Error('Invalid WebP chunk size');
+    }
+
+    if (type === 'VP8X') {
+      const chunk = Buffer.from(buffer.slice(offset, chunkEnd));
+      chunk[8] &= ~(WEBP_EXIF_FLAG | WEBP_XMP_FLAG);
+      parts.push(chunk);
+    } else if (type !== 'EXIF' && type !== 'XMP ') {
+      parts.push(buffer.slice(offset, Math.min(chunkEnd, buffer.length)));
+    }
+    offset = chunkEnd;
+  }
+
+  const body = Buffer.concat(parts);
+  const header = Buffer.alloc(12);
+  header.write('RIFF', 0, 'ascii');
+  header.writeUInt32LE(body.length + 4, 4);
+  header.write('WEBP', 8, 'ascii');
+
+  return Buffer.concat([header, body]);
+};
+
+// Remove EXIF and similar metadata (camera, GPS position, timestamps) from an image.
+// Note that the EXIF orientation tag goes too.
+const stripImageMetadata = (buffer, contentType) => {
+  switch (contentType) {
+    case 'image/jpeg':
+      return stripJpeg(buffer);
+    case 'image/png':
+      return stripPng(buffer);
+    case 'image/webp':
+      return stripWebp(buffer);
+    default:
+      throw new Error(`Unsupported image type: ${contentType}`);
+  }
+};
+
+module.exports = {
+  detectImageType,
+  stripImageMetadata
+};
@@ -0,0 +1,152 @@
+const { pool } = require('../config/database');
+
+const MAX_ATTEMPTS_PER_EMAIL = parseInt(process.env.LOGIN_MAX_ATTEMPTS) || 5;
+const MAX_ATTEMPTS_PER_IP = parseInt(process.env.LOGIN_MAX_ATTEMPTS_PER_IP) || 20;
+const ATTEMPT_WINDOW_MINUTES = parseInt(process.env.LOGIN_ATTEMPT_WINDOW_MINUTES) || 15;
+const LOCK_MINUTES = parseInt(process.env.LOGIN_LOCK_MINUTES) || 15;
+const MAX_DELAY_SECONDS = 30;
+
+// Seconds a client has to wait after its nth consecutive failure (1s, 2s, 4s, ... capped)
+const progressiveDelay = (failedCount) => {
+  return Math.min(Math.pow(2, failedCount - 1), MAX_DELAY_SECONDS);
+};
+
+// Record a security event such as an account lock or unlock
+const recordSecurityEvent = async ({ eventType, userId = null, email = null, ipAddress = null, actorId = null, details = null }, db = pool) => {
+  await db.query(
+    `INSERT INTO security_events (event_type, user_id, email, ip_address, actor_id, details)
+     VALUES ($1, $2, $3, $4, $5, $6)`,
+    [eventType, userId, email, ipAddress, actorId, details ? JSON.stringify(details) : null]
+  );
+};
+
+// Check whether a login for this email/IP may proceed.
+// Returns { allowed: true } or { allowed: false, retryAfter } with retryAfter in seconds.
+const checkLoginAllowed = async (email, ipAddress) => {
+  const result = await pool.query(
+    `SELECT failed_count,
+            EXTRACT(EPOCH FROM (locked_until - CURRENT_TIMESTAMP)) as lock_remaining,
+            EXTRACT(EPOCH FROM (CURRENT_TIMESTAMP - last_failed_at)) as since_last_failure
+     FROM login_throttles
+     WHERE (scope = 'email' AND key = $1) OR (scope = 'ip' AND key = $2)`,
+    [email, ipAddress]
+  );
+
+  let retryAfter = 0;
+
+  for (const throttle of result.rows) {
+    const lockRemaining = parseFloat(throttle.lock_remaining);
+    const sinceLastFailure = parseFloat(throttle.since_last_failure);
+
+    if (lockRemaining > 0) {
+      retryAfter = Math.max(retryAfter, lockRemaining);
+    } else if (sinceLastFailure < ATTEMPT_WINDOW_MINUTES * 60) {
+      retryAfter = Math.max(retryAfter, progressiveDelay(throttle.failed_count) - sinceLastFailure);
+    }
+  }
+
+  return retryAfter > 0
+    ? { allowed: false, retryAfter: Math.ceil(retryAfter) }
+    : { allowed: true };
+};
+
+// Count a failed attempt for one scope and lock it once the limit is reached
+const incrementFailures = async (scope, key, maxAttempts) => {
+  const result = await pool.query(
+    `INSERT INTO login_throttles (scope, key, failed_count, last_failed_at)
+     VALUES ($1, $2, 1, CURRENT_TIMESTAMP)
+     ON CONFLICT (scope, key) DO UPDATE SET
+       failed_count = CASE
+         WHEN login_throttles.last_failed_at < CURRENT_TIMESTAMP - make_interval(mins => $3)
+           OR login_throttles.locked_until <= CURRENT_TIMESTAMP
+         THEN 1
+         ELSE login_throttles.failed_count + 1
+       END,
+       locked_until = CASE
+         WHEN login_throttles.locked_until <= CURRENT_TIMESTAMP THEN NULL
+         ELSE login_throttles.locked_until
+       END,
+       last_failed_at = CURRENT_TIMESTAMP
+     RETURNING failed_count`,
+    [scope, key, ATTEMPT_WINDOW_MINUTES]
+  );
+
+  const failedCount = result.rows[0].failed_count;
+
+  if (failedCount === maxAttempts) {
+    await pool.query(
+      `UPDATE login_throttles
+       SET locked_until = CURRENT_TIMESTAMP + make_interval(mins => $3)
+       WHERE scope = $1 AND key = $2`,
+      [scope, key, LOCK_MINUTES]
+    );
+    return true;
+  }
+
+  return false;
+};
+
+// Record a failed login for the email and the IP address
+const recordFailedLogin = async (email, ipAddress, userId = null) => {
+  const emailLocked = await incrementFailures('email', email, MAX_ATTEMPTS_PER_EMAIL);
+  const ipLocked = await incrementFailures('ip', ipAddress, MAX_ATTEMPTS_PER_IP);
+
+  if (emailLocked) {
+    await recordSecurityEvent({
+      eventType: 'account_locked',
+      userId,
+      email,
+      ipAddress,
+      details: { reason: 'too_many_failed_logins', lockMinutes: LOCK_MINUTES }
+    });
+  }
+
+  if (ipLocked) {
+    await recordSecurityEvent({
+      eventType: 'ip_locked',
+      email,
+      ipAddress,
+      details: { reason: 'too_many_failed_logins', lockMinutes: LOCK_MINUTES }
+    });
+  }
+};
+
+// Forget failed attempts for an email after a successful login
+const clearLoginFailures = async (email) => {
+  await pool.query(
+    "DELETE FROM login_throttles WHERE scope = 'email' AND key = $1",
+    [email]
+  );
+};
+
+// Unlock an account on behalf of an admin. Returns false if it was not locked.
+const unlockAccount = async (user, actorId, ipAddress, db = pool) => {
+  const result = await db.query(
+    `DELETE FROM login_throttles
+     WHERE scope = 'email' AND key = $1
+     RETURNING locked_until > CURRENT_TIMESTAMP as was_locked`,
+    [user.email]
+  );
+
+  const wasLocked = result.rows.length > 0 && result.rows[0].was_locked === true;
+
+  if (wasLocked) {
+    await recordSecurityEvent({
+      eventType: 'account_unlocked',
+      userId: user.id,
+      email: user.email,
+      ipAddress,
+      actorId
+    }, db);
+  }
+
+  return wasLocked;
+};
+
+module.exports = {
+  recordSecurityEvent,
+  checkLoginAllowed,
+  recordFailedLogin,
+  clearLoginFailures,
+  unlockAccount
+};
@@ -0,0 +1,64 @@
+const fs = require('fs');
+const path = require('path');
+
+// Built-in transports. Each transport receives { to, subject, text } and returns a promise.
+const transports = {
+  // Print messages to the server log. Messages carry reset and verification links, so this is
+  // only meant for development.
+  console: async (message) => {
+    console.log(`📧 Mail to ${message.to}: ${message.subject}\n${message.text}`);
+  },
+
+  // Write messages to the outbox directory, one file per message
+  file: async (message) => {
+    const outboxDir = process.env.MAIL_OUTBOX_DIR || path.join(__dirname, '..', 'mail-outbox');
+    await fs.promises.mkdir(outboxDir, { recursive: true });
+
+    const fileName = `${Date.now()}-${message.to.replace(/[^a-z0-9@._-]/gi, '_')}.txt`;
+    const content = `To: ${message.to}\nSubject: ${message.subject}\nDate: ${new Date().toISOString()}\n\n${message.text}\n`;
+
+    await fs.promises.writeFile(path.join(outboxDir, fileName), content);
+  }
+};
+
+// Register a custom transport (e.g. SMTP or a mail API client) under a name
+const registerTransport = (name, transport) => {
+  if (typeof transport !== 'function') {
+    throw new Error('Mail transport must be a function');
+  }
+  transports[name] = transport;
+};
+
+// Transport named by MAIL_TRANSPORT. Only development falls back to the console when it is unset;
+// elsewhere sending fails rather than writing links into the server log.
+const selectedTransportName = () => {
+  if (process.env.MAIL_TRANSPORT) {
+    return process.env.MAIL_TRANSPORT;
+  }
+  if (process.env.NODE_ENV === 'development') {
+    return 'console';
+  }
+  throw new Error('MAIL_TRANSPORT is not set');
+};
+
+// Send a message through the transport selected by MAIL_TRANSPORT
+const sendMail = async ({ to, subject, text }) => {
+  const transportName = selectedTransportName();
+  const transport = transports[transportName];
+
+  if (!transport) {
+    throw new Error(`Unknown mail transport: ${transportName}`);
+  }
+
+  await transport({
+    from: process.env.MAIL_FROM || 'no-reply@storerating.com',
+    to,
+    subject,
+    text
+  });
+};
+
+module.exports = {
+  registerTransport,
+  sendMail
+};
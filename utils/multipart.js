@@ -0,0 +1,148 @@
+// Minimal multipart/form-data parser for small uploads. The whole body is buffered,
+// so callers must pass a maxBodySize that fits comfortably in memory.
+
+// Error with the HTTP status the caller should respond with
+class MultipartError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.status = status;
+  }
+}
+
+// Read the request body into a buffer, failing once it grows past maxBodySize
+const readBody = (req, maxBodySize) => {
+  return new Promise((resolve, reject) => {
+    const declaredLength = parseInt(req.headers['content-length']);
+    if (declaredLength > maxBodySize) {
+      reject(new MultipartError('Upload is too large', 413));
+      return;
+    }
+
+    const chunks = [];
+    let received = 0;
+    let failed = false;
+
+    req.on('data', (chunk) => {
+      if (failed) {
+        return;
+      }
+
+      received += chunk.length;
+      if (received > maxBodySize) {
+        failed = true;
+        reject(new MultipartError('Upload is too large', 413));
+        return;
+      }
+      chunks.push(chunk);
+    });
+
+    req.on('end', () => {
+      if (!failed) {
+        resolve(Buffer.concat(chunks));
+      }
+    });
+
+    req.on('error', (error) => {
+      if (!failed) {
+        failed = true;
+        reject(error);
+      }
+    });
+  });
+};
+
+// Parse "name=value" pairs of a header such as Content-Disposition
+const parseHeaderParams = (value) => {
+  const params = {};
+  const pattern = /;\s*([\w*-]+)=(?:"((?:[^"\\]|\\.)*)"|([^;\s]*))/g;
+  let match;
+
+  while ((match = pattern.exec(value)) !== null) {
+    params[match[1].toLowerCase()] = match[2] !== undefined ? match[2].replace(/\\(.)/g, '$1') : match[3];
+  }
+
+  return params;
+};
+
+// Split one part into its headers and content
+const parsePart = (part) => {
+  const headerEnd = part.indexOf('\r\n\r\n');
+  if (headerEnd === -1) {
+    throw new MultipartError('Malformed multipart body');
+  }
+
+  const headers = {};
+  for (const line of part.slice(0, headerEnd).toString('utf8').split('\r\n')) {
+    const separator = line.indexOf(':');
+    if (separator > 0) {
+      headers[line.slice(0, separator).trim().toLowerCase()] = line.slice(separator + 1).trim();
+    }
+  }
+
+  return { headers, content: part.slice(headerEnd + 4) };
+};
+
+// Parse a multipart/form-data request.
+// Returns { fields: { name: value }, files: [{ fieldName, filename, contentType, data }] }.
+const parseMultipart = async (req, { maxBodySize, maxFiles }) => {
+  const contentType = req.headers['content-type'] || '';
+  if (!/^multipart\/form-data/i.test(contentType)) {
+    throw new MultipartError('Expected a multipart/form-data request');
+  }
+
+  const { boundary } = parseHeaderParams(contentType);
+  if (!boundary) {
+    throw new MultipartError('Missing multipart boundary');
+  }
+
+  const body = await readBody(req, maxBodySize);
+  const delimiter = Buffer.from(`--${boundary}`);
+  const fields = {};
+  const files = [];
+
+  let position = body.indexOf(delimiter);
+  if (position === -1) {
+    throw new MultipartError('Malformed multipart body');
+  }
+
+  while (true) {
+    position += delimiter.length;
+
+    // "--" after a delimiter marks the end of the body
+    if (body.slice(position, position + 2).toString() === '--') {
+      break;
+    }
+
+    const next = body.indexOf(Buffer.from(`\r\n--${boundary}`), position);
+    if (next === -1) {
+      throw new MultipartError('Malformed multipart body');
+    }
+
+    // Skip the CRLF that follows the delimiter line
+    const { headers, content } = parsePart(body.slice(position + 2, next));
+    const disposition = parseHeaderParams(headers['content-disposition'] || '');
+
+    if (disposition.filename !== undefined) {
+      if (files.length >= maxFiles) {
+        throw new MultipartError(`At most ${maxFiles} file(s) can be uploaded at once`);
+      }
+      files.push({
+        fieldName: disposition.name,
+        filename: disposition.filename,
+        contentType: (headers['content-type'] || 'application/octet-stream').toLowerCase(),
+        data: content
+      });
+    } else if (disposition.name) {
+      fields[disposition.name] = content.toString('utf8');
+    }
+
+    position = next + 2;
+  }
+
+  return { fields, files };
+};
+
+module.exports = {
+  MultipartError,
+  parseMultipart
+};
@@ -0,0 +1,219 @@
+const { pool } = require('../config/database');
+const { ROLE_VALUES } = require('../config/roles');
+
+// Platform-wide metrics for the admin analytics. Rating figures come from the daily rollups
+// (store_daily_ratings, user_daily_ratings); signups and store creations are counted directly.
+// Ranges come from resolveAnalyticsRange in ./ratingAnalytics.
+
+const averageOf = (sum, count) => (count > 0 ? Math.round((sum / count) * 100) / 100 : null);
+
+const SIGNUPS_BY_ROLE_SELECT = ROLE_VALUES
+  .map(role => `COUNT(*) FILTER (WHERE role = '${role}') as "${role}"`)
+  .join(', ');
+
+// Per bucket: signups by role, stores created, ratings submitted, distinct active raters, the
+// average of the ratings submitted in the bucket and the platform average as of the bucket's end
+// (its drift). Deleted accounts and stores, and removed or deleted ratings, are left out.
+const getPlatformSeries = async (range) => {
+  const result = await pool.query(`
+    WITH buckets AS (
+      SELECT generate_series($1::timestamp, $2::timestamp - $3::interval, $3::interval) as period_start
+    ), signups AS (
+      SELECT date_trunc($4, created_at) as period_start, COUNT(*) as total, ${SIGNUPS_BY_ROLE_SELECT}
+      FROM users
+      WHERE deleted_at IS NULL AND created_at >= $1 AND created_at < $2
+      GROUP BY 1
+    ), new_stores AS (
+      SELECT date_trunc($4, created_at) as period_start, COUNT(*) as count
+      FROM stores
+      WHERE deleted_at IS NULL AND created_at >= $1 AND created_at < $2
+      GROUP BY 1
+    ), rating_totals AS (
+      SELECT date_trunc($4, day::timestamp) as period_start,
+             SUM(rating_count) as count, SUM(rating_sum) as rating_sum
+      FROM store_daily_ratings
+      WHERE day >= $1::date AND day < $2::date
+      GROUP BY 1
+    ), raters AS (
+      SELECT date_trunc($4, day::timestamp) as period_start, COUNT(DISTINCT user_id) as count
+      FROM user_daily_ratings
+      WHERE day >= $1::date AND day < $2::date
+      GROUP BY 1
+    ), baseline AS (
+      SELECT COALESCE(SUM(rating_count), 0) as count, COALESCE(SUM(rating_sum), 0) as rating_sum
+      FROM store_daily_ratings
+      WHERE day < $1::date
+    )
+    SELECT to_char(b.period_start, 'YYYY-MM-DD') as period,
+           row_to_json(su) as signups,
+           COALESCE(ns.count, 0) as stores_created,
+           COALESCE(rt.count, 0) as ratings,
+           COALESCE(rt.rating_sum, 0) as rating_sum,
+           COALESCE(ra.count, 0) as active_raters,
+           bl.count + SUM(COALESCE(rt.count, 0)) OVER w as cumulative_count,
+           bl.rating_sum + SUM(COALESCE(rt.rating_sum, 0)) OVER w as cumulative_sum
+    FROM buckets b
+    CROSS JOIN baseline bl
+    LEFT JOIN signups su ON su.period_start = b.period_start
+    LEFT JOIN new_stores ns ON ns.period_start = b.period_start
+    LEFT JOIN rating_totals rt ON rt.period_start = b.period_start
+    LEFT JOIN raters ra ON ra.period_start = b.period_start
+    WINDOW w AS (ORDER BY b.period_start)
+    ORDER BY b.period_start
+  `, [range.start, range.end, range.interval, range.granularity]);
+
+  return result.rows.map((row) => {
+    const signups = { total: 0 };
+    for (const role of ROLE_VALUES) {
+      signups[role] = 0;
+    }
+    if (row.signups) {
+      for (const key of Object.keys(signups)) {
+        signups[key] = parseInt(row.signups[key]) || 0;
+      }
+    }
+
+    const ratings = parseInt(row.ratings);
+
+    return {
+      period: row.period,
+      signups,
+      storesCreated: parseInt(row.stores_created),
+      ratings,
+      activeRaters: parseInt(row.active_raters),
+      averageRating: averageOf(parseInt(row.rating_sum), ratings),
+      cumulativeAverageRating: averageOf(parseInt(row.cumulative_sum), parseInt(row.cumulative_count))
+    };
+  });
+};
+
+// Totals over the whole range; active raters are counted once however many buckets they rated in
+const getPlatformTotals = async (range) => {
+  const result = await pool.query(`
+    SELECT
+      (SELECT COUNT(*) FROM users WHERE deleted_at IS NULL AND created_at >= $1 AND created_at < $2) as signups,
+      (SELECT COUNT(*) FROM stores WHERE deleted_at IS NULL AND created_at >= $1 AND created_at < $2) as stores_created,
+      (SELECT COALESCE(SUM(rating_count), 0) FROM store_daily_ratings WHERE day >= $1::date AND day < $2::date) as ratings,
+      (SELECT COALESCE(SUM(rating_sum), 0) FROM store_daily_ratings WHERE day >= $1::date AND day < $2::date) as rating_sum,
+      (SELECT COUNT(DISTINCT user_id) FROM user_daily_ratings WHERE day >= $1::date AND day < $2::date) as active_raters
+  `, [range.start, range.end]);
+
+  const totals = result.rows[0];
+  const ratings = parseInt(totals.ratings);
+
+  return {
+    signups: parseInt(totals.signups),
+    storesCreated: parseInt(totals.stores_created),
+    ratings,
+    activeRaters: parseInt(totals.active_raters),
+    averageRating: averageOf(parseInt(totals.rating_sum), ratings)
+  };
+};
+
+// Retention of raters grouped by the bucket of their first rating ever. For each cohort that
+// starts in the range: its size, and per later bucket up to the end of the range how many of
+// its members rated again (offset 0 is the cohort's own bucket, so always 100%).
+const getRaterCohorts = async (range) => {
+  const result = await pool.query(`
+    WITH buckets AS (
+      SELECT period_start, (ROW_NUMBER() OVER (ORDER BY period_start) - 1)::int as position
+      FROM generate_series($1::timestamp, $2::timestamp - $3::interval, $3::interval) as period_start
+    ), first_ratings AS (
+      SELECT user_id, date_trunc($4, MIN(day)::timestamp) as cohort_start
+      FROM user_daily_ratings
+      GROUP BY user_id
+    ), members AS (
+      SELECT f.user_id, b.period_start as cohort_start, b.position as cohort_position
+      FROM first_ratings f
+      JOIN buckets b ON b.period_start = f.cohort_start
+    ), activity AS (
+      SELECT DISTINCT m.user_id, m.cohort_start, m.cohort_position, b.position - m.cohort_position as "offset"
+      FROM members m
+      JOIN user_daily_ratings d ON d.user_id = m.user_id AND d.day >= $1::date AND d.day < $2::date
+      JOIN buckets b ON b.period_start = date_trunc($4, d.day::timestamp)
+    )
+    SELECT to_char(cohort_start, 'YYYY-MM-DD') as cohort, cohort_position, "offset", COUNT(*) as users
+    FROM activity
+    GROUP BY cohort_start, cohort_position, "offset"
+    ORDER BY cohort_start, "offset"
+  `, [range.start, range.end, range.interval, range.granularity]);
+
+  const cohorts = [];
+  for (const row of result.rows) {
+    let cohort = cohorts[cohorts.length - 1];
+    if (!cohort || cohort.cohort !== row.cohort) {
+      // Offsets nobody was active in stay at zero; the last one is the range's final bucket
+      cohort = {
+        cohort: row.cohort,
+        size: 0,
+        retention: Array.from({ length: range.buckets - row.cohort_position }, (_, offset) => ({ offset, users: 0 }))
+      };
+      cohorts.push(cohort);
+    }
+
+    const users = parseInt(row.users);
+    if (row.offset === 0) {
+      cohort.size = users;
+    }
+    cohort.retention[row.offset].users = users;
+  }
+
+  for (const cohort of cohorts) {
+    for (const entry of cohort.retention) {
+      entry.rate = Math.round((entry.users / cohort.size) * 1000) / 10;
+    }
+  }
+
+  return cohorts;
+};
+
+// Stores whose average moved the most between the previous period and the range, considering
+// only stores with at least minRatings ratings in both. Returns the biggest risers and fallers.
+const getStoreMovers = async (range, { limit = 5, minRatings = 3 } = {}) => {
+  const result = await pool.query(`
+    WITH periods AS (
+      SELECT d.store_id,
+             SUM(d.rating_count) FILTER (WHERE d.day >= $1::date) as current_count,
+             SUM(d.rating_sum) FILTER (WHERE d.day >= $1::date) as current_sum,
+             SUM(d.rating_count) FILTER (WHERE d.day < $1::date) as previous_count,
+             SUM(d.rating_sum) FILTER (WHERE d.day < $1::date) as previous_sum
+      FROM store_daily_ratings d
+      WHERE d.day >= $3::date AND d.day < $2::date
+      GROUP BY d.store_id
+    ), changes AS (
+      SELECT s.id, s.name, s.average_rating, s.total_ratings,
+             p.current_count, p.previous_count,
+             ROUND(p.current_sum::numeric / p.current_count, 2)::float as current_average,
+             ROUND(p.previous_sum::numeric / p.previous_count, 2)::float as previous_average,
+             ROUND(p.current_sum::numeric / p.current_count - p.previous_sum::numeric / p.previous_count, 2)::float as change
+      FROM periods p
+      JOIN stores s ON s.id = p.store_id AND s.deleted_at IS NULL
+      WHERE p.current_count >= $4 AND p.previous_count >= $4
+    )
+    (SELECT 'top' as direction, * FROM changes WHERE change > 0 ORDER BY change DESC, current_count DESC, id LIMIT $5)
+    UNION ALL
+    (SELECT 'bottom' as direction, * FROM changes WHERE change < 0 ORDER BY change ASC, current_count DESC, id LIMIT $5)
+  `, [range.start, range.end, range.previousStart, minRatings, limit]);
+
+  const toMover = (row) => ({
+    id: row.id,
+    name: row.name,
+    average_rating: row.average_rating,
+    total_ratings: row.total_ratings,
+    current: { count: parseInt(row.current_count), average: row.current_average },
+    previous: { count: parseInt(row.previous_count), average: row.previous_average },
+    change: row.change
+  });
+
+  return {
+    top: result.rows.filter(row => row.direction === 'top').map(toMover),
+    bottom: result.rows.filter(row => row.direction === 'bottom').map(toMover)
+  };
+};
+
+module.exports = {
+  getPlatformSeries,
+  getPlatformTotals,
+  getRaterCohorts,
+  getStoreMovers
+};
@@ -0,0 +1,62 @@
+const { pool } = require('../config/database');
+const { processPhotoDeletions } = require('./ratingPhotos');
+const { scheduleEvery } = require('./scheduler');
+
+// Days a soft-deleted user, store or rating can still be restored
+const softDeleteRetentionDays = () => parseInt(process.env.SOFT_DELETE_RETENTION_DAYS) || 30;
+
+// Hours between scheduled purges; 0 turns the schedule off
+const purgeIntervalHours = () => {
+  const hours = parseInt(process.env.PURGE_INTERVAL_HOURS);
+  return Number.isNaN(hours) ? 24 : hours;
+};
+
+// Permanently delete rows soft-deleted longer ago than the retention period.
+// Returns the number of purged rows per table.
+const purgeDeletedRecords = async () => {
+  const client = await pool.connect();
+  const cutoff = `CURRENT_TIMESTAMP - make_interval(days => $1)`;
+  const days = softDeleteRetentionDays();
+
+  try {
+    await client.query('BEGIN');
+
+    // Ratings first, so the counts include ratings deleted together with their store or author
+    const ratings = await client.query(`DELETE FROM ratings WHERE deleted_at < ${cutoff}`, [days]);
+    const stores = await client.query(`DELETE FROM stores WHERE deleted_at < ${cutoff}`, [days]);
+    const users = await client.query(`DELETE FROM users WHERE deleted_at < ${cutoff}`, [days]);
+
+    await client.query('COMMIT');
+
+    // Purged ratings queue their photo files for removal
+    await processPhotoDeletions();
+
+    return {
+      ratings: ratings.rowCount,
+      stores: stores.rowCount,
+      users: users.rowCount
+    };
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+};
+
+// Run the purge periodically in this process; errors are logged and retried on the next run
+const schedulePurge = () => scheduleEvery(purgeIntervalHours(), () => {
+  purgeDeletedRecords()
+    .then((purged) => {
+      if (purged.ratings || purged.stores || purged.users) {
+        console.log(`Purged deleted records: ${purged.users} user(s), ${purged.stores} store(s), ${purged.ratings} rating(s)`);
+      }
+    })
+    .catch((error) => console.error('Purge deleted records error:', error));
+});
+
+module.exports = {
+  softDeleteRetentionDays,
+  purgeDeletedRecords,
+  schedulePurge
+};
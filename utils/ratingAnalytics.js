@@ -0,0 +1,185 @@
+const { pool } = require('../config/database');
+const { COUNTED_RATING_CONDITION } = require('./ratingQueries');
+
+// Bucket sizes of analytics time series, with the number of buckets shown when no start date
+// is given and the default rolling average window (in buckets)
+const ANALYTICS_GRANULARITIES = {
+  day: { interval: '1 day', defaultBuckets: 30, defaultWindow: 7 },
+  week: { interval: '1 week', defaultBuckets: 12, defaultWindow: 4 },
+  month: { interval: '1 month', defaultBuckets: 12, defaultWindow: 3 }
+};
+
+const maxAnalyticsBuckets = () => parseInt(process.env.ANALYTICS_MAX_BUCKETS) || 366;
+
+// Per-star counts of ratings "r" as rating_1 ... rating_5
+const DISTRIBUTION_SELECT = [1, 2, 3, 4, 5]
+  .map(value => `COUNT(*) FILTER (WHERE r.rating = ${value}) as rating_${value}`)
+  .join(',\n             ');
+
+const toDistribution = (row) => {
+  const distribution = {};
+  for (let value = 1; value <= 5; value++) {
+    distribution[value] = parseInt(row[`rating_${value}`]) || 0;
+  }
+  return distribution;
+};
+
+const averageOf = (sum, count) => (count > 0 ? Math.round((sum / count) * 100) / 100 : null);
+
+// Resolve a date range to whole buckets. Weeks start on Monday. Without dateTo the range ends
+// with the current bucket; without dateFrom it covers the granularity's default bucket count.
+// The previous period is the same number of buckets right before the range.
+// Returns { granularity, interval, start, end, buckets, previousStart } or { error }.
+const resolveAnalyticsRange = async ({ granularity = 'day', dateFrom, dateTo }) => {
+  const { interval, defaultBuckets } = ANALYTICS_GRANULARITIES[granularity];
+
+  if (dateFrom && dateTo && dateFrom > dateTo) {
+    return { error: 'dateFrom must not be after dateTo' };
+  }
+
+  const result = await pool.query(`
+    WITH bounds AS (
+      SELECT COALESCE(
+               date_trunc($1, $2::date::timestamp),
+               date_trunc($1, COALESCE($3::date, CURRENT_DATE)::timestamp) - $4::interval * ($5 - 1)
+             ) as period_start,
+             date_trunc($1, COALESCE($3::date, CURRENT_DATE)::timestamp) + $4::interval as period_end
+    ), counted AS (
+      SELECT period_start, period_end,
+             (SELECT COUNT(*) FROM generate_series(period_start, period_end - $4::interval, $4::interval))::int as buckets
+      FROM bounds
+    )
+    SELECT period_start, period_end, buckets,
+           period_start - $4::interval * buckets as previous_start
+    FROM counted
+  `, [granularity, dateFrom || null, dateTo || null, interval, defaultBuckets]);
+
+  const range = result.rows[0];
+
+  if (range.buckets === 0) {
+    return { error: 'dateFrom must not be after dateTo' };
+  }
+  if (range.buckets > maxAnalyticsBuckets()) {
+    return {
+      error: `The range covers ${range.buckets} ${granularity}s; at most ${maxAnalyticsBuckets()} buckets can be returned. Choose a shorter range or a coarser granularity.`
+    };
+  }
+
+  return {
+    granularity,
+    interval,
+    start: range.period_start,
+    end: range.period_end,
+    buckets: range.buckets,
+    previousStart: range.previous_start
+  };
+};
+
+// Rating count, average and 1-5 distribution of a store per bucket of the range, with the
+// average over the last `windowSize` buckets (including ones before the range) alongside
+const getStoreRatingSeries = async (storeId, range, windowSize) => {
+  const result = await pool.query(`
+    WITH buckets AS (
+      SELECT generate_series($2::timestamp - $4::interval * $6, $3::timestamp - $4::interval, $4::interval) as period_start
+    ), totals AS (
+      SELECT date_trunc($5, r.created_at) as period_start,
+             COUNT(*) as count,
+             SUM(r.rating) as rating_sum,
+             ${DISTRIBUTION_SELECT}
+      FROM ratings r
+      WHERE r.store_id = $1 AND ${COUNTED_RATING_CONDITION}
+        AND r.created_at >= $2::timestamp - $4::interval * $6 AND r.created_at < $3
+      GROUP BY 1
+    ), rolling AS (
+      SELECT b.period_start, t.count, t.rating_sum,
+             t.rating_1, t.rating_2, t.rating_3, t.rating_4, t.rating_5,
+             SUM(t.rating_sum) OVER w as window_sum,
+             SUM(t.count) OVER w as window_count
+      FROM buckets b
+      LEFT JOIN totals t ON t.period_start = b.period_start
+      WINDOW w AS (ORDER BY b.period_start ROWS BETWEEN $6 PRECEDING AND CURRENT ROW)
+    )
+    SELECT to_char(period_start, 'YYYY-MM-DD') as period, count, rating_sum, window_sum, window_count,
+           rating_1, rating_2, rating_3, rating_4, rating_5
+    FROM rolling
+    WHERE period_start >= $2
+    ORDER BY period_start
+  `, [storeId, range.start, range.end, range.interval, range.granularity, windowSize - 1]);
+
+  return result.rows.map((row) => {
+    const count = parseInt(row.count) || 0;
+    const windowCount = parseInt(row.window_count) || 0;
+
+    return {
+      period: row.period,
+      count,
+      average: averageOf(parseInt(row.rating_sum), count),
+      distribution: toDistribution(row),
+      rollingCount: windowCount,
+      rollingAverage: averageOf(parseInt(row.window_sum), windowCount)
+    };
+  });
+};
+
+// Totals of the range and of the previous period of the same length, with the change between them
+const getStoreRatingComparison = async (storeId, range) => {
+  const result = await pool.query(`
+    SELECT r.created_at >= $2 as is_current,
+           COUNT(*) as count,
+           SUM(r.rating) as rating_sum,
+           ${DISTRIBUTION_SELECT}
+    FROM ratings r
+    WHERE r.store_id = $1 AND ${COUNTED_RATING_CONDITION}
+      AND r.created_at >= $3 AND r.created_at < $4
+    GROUP BY 1
+  `, [storeId, range.start, range.previousStart, range.end]);
+
+  const periodTotals = (isCurrent) => {
+    const row = result.rows.find(candidate => candidate.is_current === isCurrent) || {};
+    const count = parseInt(row.count) || 0;
+    return {
+      count,
+      average: averageOf(parseInt(row.rating_sum), count),
+      distribution: toDistribution(row)
+    };
+  };
+
+  const current = periodTotals(true);
+  const previous = periodTotals(false);
+
+  return {
+    current,
+    previous,
+    change: {
+      count: current.count - previous.count,
+      countPercent: previous.count > 0
+        ? Math.round(((current.count - previous.count) / previous.count) * 1000) / 10
+        : null,
+      average: current.average !== null && previous.average !== null
+        ? Math.round((current.average - previous.average) * 100) / 100
+        : null
+    }
+  };
+};
+
+// First and last day of a range as YYYY-MM-DD (end is exclusive)
+const describeRange = (start, end) => {
+  const lastDay = new Date(end);
+  lastDay.setDate(lastDay.getDate() - 1);
+
+  const format = (date) => {
+    const value = new Date(date);
+    const pad = (number) => String(number).padStart(2, '0');
+    return `${value.getFullYear()}-${pad(value.getMonth() + 1)}-${pad(value.getDate())}`;
+  };
+
+  return { from: format(start), to: format(lastDay) };
+};
+
+module.exports = {
+  ANALYTICS_GRANULARITIES,
+  resolveAnalyticsRange,
+  getStoreRatingSeries,
+  getStoreRatingComparison,
+  describeRange
+};
@@ -0,0 +1,72 @@
+const { pool } = require('../config/database');
+
+// Active dimensions that apply to a store: global ones plus those of the store's category.
+// Returns null when the store does not exist.
+const getStoreDimensions = async (storeId, db = pool) => {
+  const storeResult = await db.query('SELECT category_id FROM stores WHERE id = $1 AND deleted_at IS NULL', [storeId]);
+  if (storeResult.rows.length === 0) {
+    return null;
+  }
+
+  const result = await db.query(
+    `SELECT id, key, name, required, category_id
+     FROM rating_dimensions
+     WHERE active = true AND (category_id IS NULL OR category_id = $1)
+     ORDER BY position, id`,
+    [storeResult.rows[0].category_id]
+  );
+
+  return result.rows;
+};
+
+// Check submitted dimension scores ({ key: score }) against the dimensions of a store.
+// Returns an error message, or null when the scores are acceptable.
+const checkDimensionScores = async (storeId, scores = {}) => {
+  const dimensions = await getStoreDimensions(storeId);
+  if (!dimensions) {
+    // Unknown stores are reported by the route
+    return null;
+  }
+
+  const keys = new Set(dimensions.map(dimension => dimension.key));
+  const unknown = Object.keys(scores).filter(key => !keys.has(key));
+  if (unknown.length > 0) {
+    return `Unknown rating dimension(s) for this store: ${unknown.join(', ')}`;
+  }
+
+  for (const [key, score] of Object.entries(scores)) {
+    if (!Number.isInteger(score) || score < 1 || score > 5) {
+      return `Score for ${key} must be an integer between 1 and 5`;
+    }
+  }
+
+  const missing = dimensions
+    .filter(dimension => dimension.required && scores[dimension.key] === undefined)
+    .map(dimension => dimension.key);
+  if (missing.length > 0) {
+    return `Missing required rating dimension(s): ${missing.join(', ')}`;
+  }
+
+  return null;
+};
+
+// Replace the dimension scores of a rating. Scores must already be checked.
+const saveDimensionScores = async (ratingId, storeId, scores, db = pool) => {
+  const dimensions = await getStoreDimensions(storeId, db);
+  const dimensionIds = new Map(dimensions.map(dimension => [dimension.key, dimension.id]));
+
+  await db.query('DELETE FROM rating_dimension_scores WHERE rating_id = $1', [ratingId]);
+
+  for (const [key, score] of Object.entries(scores)) {
+    await db.query(
+      'INSERT INTO rating_dimension_scores (rating_id, dimension_id, score) VALUES ($1, $2, $3)',
+      [ratingId, dimensionIds.get(key), score]
+    );
+  }
+};
+
+module.exports = {
+  getStoreDimensions,
+  checkDimensionScores,
+  saveDimensionScores
+};
@@ -0,0 +1,106 @@
+const crypto = require('crypto');
+const { pool } = require('../config/database');
+const { getStorage } = require('./storage');
+const { detectImageType, stripImageMetadata } = require('./images');
+const { rollback } = require('./transactions');
+
+const PHOTO_CONTENT_TYPES = Object.freeze({
+  'image/jpeg': 'jpg',
+  'image/png': 'png',
+  'image/webp': 'webp'
+});
+
+const maxPhotosPerRating = () => parseInt(process.env.PHOTO_MAX_PER_RATING) || 5;
+const maxPhotoBytes = () => parseInt(process.env.PHOTO_MAX_BYTES) || 5 * 1024 * 1024;
+
+// Check an uploaded file and return its content with metadata stripped.
+// Returns { data, contentType } or { error } when the file is not an acceptable photo.
+const preparePhoto = (file) => {
+  if (!PHOTO_CONTENT_TYPES[file.contentType]) {
+    return { error: `${file.filename || 'File'}: only JPEG, PNG and WebP images are allowed` };
+  }
+
+  if (file.data.length === 0 || file.data.length > maxPhotoBytes()) {
+    return { error: `${file.filename || 'File'}: photos must be between 1 byte and ${maxPhotoBytes()} bytes` };
+  }
+
+  // The declared type has to match the actual content
+  if (detectImageType(file.data) !== file.contentType) {
+    return { error: `${file.filename || 'File'}: content does not match type ${file.contentType}` };
+  }
+
+  try {
+    return { data: stripImageMetadata(file.data, file.contentType), contentType: file.contentType };
+  } catch (error) {
+    return { error: `${file.filename || 'File'}: image could not be read` };
+  }
+};
+
+// Store prepared photos for a rating. Files are written first, then the rows in a transaction;
+// on failure the written files are removed again.
+const saveRatingPhotos = async (ratingId, storeId, photos) => {
+  const storage = getStorage();
+  const storageKeys = [];
+  const client = await pool.connect();
+  let discardClient = false;
+
+  try {
+    for (const photo of photos) {
+      const key = `ratings/${ratingId}/${crypto.randomBytes(16).toString('hex')}.${PHOTO_CONTENT_TYPES[photo.contentType]}`;
+      await storage.save(key, photo.data, photo.contentType);
+      storageKeys.push(key);
+    }
+
+    await client.query('BEGIN');
+
+    const saved = [];
+    for (let i = 0; i < photos.length; i++) {
+      const result = await client.query(
+        `INSERT INTO rating_photos (rating_id, store_id, storage_key, content_type, size_bytes)
+         VALUES ($1, $2, $3, $4, $5)
+         RETURNING id, content_type, size_bytes, created_at`,
+        [ratingId, storeId, storageKeys[i], photos[i].contentType, photos[i].data.length]
+      );
+      saved.push(result.rows[0]);
+    }
+
+    await client.query('COMMIT');
+
+    return saved;
+  } catch (error) {
+    discardClient = !(await rollback(client));
+    await Promise.all(storageKeys.map(key => storage.remove(key).catch(() => {})));
+    throw error;
+  } finally {
+    client.release(discardClient);
+  }
+};
+
+// Remove the files of deleted photo rows (queued by a trigger on rating_photos).
+// Failures are logged and left in the queue for the next run.
+const processPhotoDeletions = async () => {
+  try {
+    const storage = getStorage();
+    const queued = await pool.query('SELECT storage_key FROM photo_deletions ORDER BY queued_at LIMIT 500');
+
+    for (const { storage_key: key } of queued.rows) {
+      try {
+        await storage.remove(key);
+        await pool.query('DELETE FROM photo_deletions WHERE storage_key = $1', [key]);
+      } catch (error) {
+        console.error(`Photo file removal error (${key}):`, error);
+      }
+    }
+  } catch (error) {
+    console.error('Photo deletion queue error:', error);
+  }
+};
+
+module.exports = {
+  PHOTO_CONTENT_TYPES,
+  maxPhotosPerRating,
+  maxPhotoBytes,
+  preparePhoto,
+  saveRatingPhotos,
+  processPhotoDeletions
+};
@@ -0,0 +1,83 @@
+// Moderation states of a rating:
+// visible - shown normally; pending - reported and awaiting review (still shown);
+// hidden - comment withheld from listings, value still counts; removed - excluded everywhere
+const MODERATION_STATUS = Object.freeze({
+  VISIBLE: 'visible',
+  PENDING: 'pending',
+  HIDDEN: 'hidden',
+  REMOVED: 'removed'
+});
+
+const REPORT_REASONS = Object.freeze(['spam', 'offensive', 'off_topic', 'fake', 'personal_info', 'other']);
+
+// Condition on rating "r" for ratings that count and are listed (everything but removed and deleted ones)
+const COUNTED_RATING_CONDITION = `r.moderation_status <> '${MODERATION_STATUS.REMOVED}' AND r.deleted_at IS NULL`;
+
+// Comment of rating "r" as shown in listings: withheld while hidden
+const PUBLIC_COMMENT_SELECT = `
+  CASE WHEN r.moderation_status = '${MODERATION_STATUS.HIDDEN}' THEN NULL ELSE r.comment END
+`;
+
+// Lower bound of the Wilson score interval (95% confidence) for the share of helpful votes
+// on rating "r". Ranks a review with 40/50 helpful votes above one with 2/2.
+const HELPFUL_SCORE_SQL = `
+  CASE WHEN r.helpful_count + r.not_helpful_count = 0 THEN 0 ELSE (
+    (r.helpful_count + 1.9208) / (r.helpful_count + r.not_helpful_count)
+    - 1.96 * SQRT(
+        (r.helpful_count::numeric * r.not_helpful_count) / (r.helpful_count + r.not_helpful_count)
+        + 0.9604
+      ) / (r.helpful_count + r.not_helpful_count)
+  ) / (1 + 3.8416 / (r.helpful_count + r.not_helpful_count)) END
+`;
+
+// Dimension scores of rating "r" as a JSON object keyed by dimension key (e.g. { "service": 4 })
+const RATING_DIMENSIONS_SELECT = `
+  COALESCE((
+    SELECT json_object_agg(d.key, ds.score ORDER BY d.position, d.id)
+    FROM rating_dimension_scores ds
+    JOIN rating_dimensions d ON ds.dimension_id = d.id
+    WHERE ds.rating_id = r.id
+  ), '{}'::json)
+`;
+
+// Owner reply to rating "r" as a JSON object, or NULL when the owner has not replied
+const RATING_REPLY_SELECT = `
+  (
+    SELECT json_build_object(
+      'id', rr.id,
+      'reply', rr.reply,
+      'author_name', au.name,
+      'created_at', rr.created_at,
+      'updated_at', rr.updated_at
+    )
+    FROM rating_replies rr
+    LEFT JOIN users au ON rr.author_id = au.id
+    WHERE rr.rating_id = r.id
+  )
+`;
+
+// Photos of rating "r" as a JSON array of { id, url } in upload order
+const RATING_PHOTOS_SELECT = `
+  COALESCE((
+    SELECT json_agg(json_build_object('id', rp.id, 'url', '/api/photos/' || rp.id) ORDER BY rp.id)
+    FROM rating_photos rp
+    WHERE rp.rating_id = r.id
+  ), '[]'::json)
+`;
+
+// Photos of rating "r" as shown in public listings: withheld along with the comment while hidden
+const PUBLIC_PHOTOS_SELECT = `
+  CASE WHEN r.moderation_status = '${MODERATION_STATUS.HIDDEN}' THEN '[]'::json ELSE ${RATING_PHOTOS_SELECT} END
+`;
+
+module.exports = {
+  MODERATION_STATUS,
+  REPORT_REASONS,
+  COUNTED_RATING_CONDITION,
+  PUBLIC_COMMENT_SELECT,
+  HELPFUL_SCORE_SQL,
+  RATING_DIMENSIONS_SELECT,
+  RATING_REPLY_SELECT,
+  RATING_PHOTOS_SELECT,
+  PUBLIC_PHOTOS_SELECT
+};
@@ -0,0 +1,33 @@
+// Longest delay a Node timer accepts (about 24.8 days); longer delays overflow and fire after 1 ms
+const MAX_TIMER_DELAY_MS = 2 ** 31 - 1;
+
+// Run task every `hours` hours in this process, using chained timeouts so intervals longer than
+// a timer allows are waited out in steps. The timers do not keep the process alive.
+// Returns a handle with cancel(), or null when hours is not positive (schedule turned off).
+const scheduleEvery = (hours, task) => {
+  if (!(hours > 0)) {
+    return null;
+  }
+
+  const intervalMs = hours * 60 * 60 * 1000;
+  let timer = null;
+
+  const wait = (remainingMs) => {
+    timer = setTimeout(() => {
+      if (remainingMs > MAX_TIMER_DELAY_MS) {
+        wait(remainingMs - MAX_TIMER_DELAY_MS);
+        return;
+      }
+      task();
+      wait(intervalMs);
+    }, Math.min(remainingMs, MAX_TIMER_DELAY_MS));
+    timer.unref();
+  };
+
+  wait(intervalMs);
+  return { cancel: () => clearTimeout(timer) };
+};
+
+module.exports = {
+  scheduleEvery
+};
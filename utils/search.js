@@ -0,0 +1,79 @@
+const { pool } = require('../config/database');
+const { MODERATION_STATUS, COUNTED_RATING_CONDITION } = require('./ratingQueries');
+
+// Full-text search over stores and review comments (see migration 018). Queries use web search
+// syntax ("quoted phrases", or, -excluded); store names and addresses also match by trigram
+// similarity so a misspelled word still finds the store.
+
+const SEARCH_TYPES = Object.freeze(['all', 'stores', 'reviews']);
+
+// Matches are wrapped in <mark> tags; highlights and snippets are otherwise the stored text
+const HEADLINE_MARKS = 'StartSel=<mark>, StopSel=</mark>';
+const STORE_HEADLINE_OPTIONS = `${HEADLINE_MARKS}, HighlightAll=true`;
+const REVIEW_HEADLINE_OPTIONS = `${HEADLINE_MARKS}, MinWords=15, MaxWords=35, MaxFragments=2, FragmentDelimiter=" ... "`;
+
+// Store names and addresses are HTML-escaped on input, review comments are not, so a comment is
+// escaped before it is highlighted to keep the snippet safe to render
+const htmlEscapeSql = (expr) => `replace(replace(replace(${expr}, '&', '&amp;'), '<', '&lt;'), '>', '&gt;')`;
+
+// Stores matching q, best first. Relevance adds the full-text rank (name matches weigh most,
+// then category, then address) to the trigram similarity of the name, or a quarter of the
+// address similarity when that is higher; ties go to the better ranked store.
+const searchStores = async (q, { limit = 10 } = {}) => {
+  const result = await pool.query(`
+    WITH search AS (
+      SELECT websearch_to_tsquery('english', $1) as query
+    )
+    SELECT s.id, s.name, s.address, s.average_rating, s.total_ratings, s.rating_score,
+           c.name as category_name,
+           ts_headline('english', s.name, search.query, '${STORE_HEADLINE_OPTIONS}') as name_highlight,
+           ts_headline('english', s.address, search.query, '${STORE_HEADLINE_OPTIONS}') as address_highlight,
+           ROUND((
+             ts_rank_cd(s.search_vector, search.query)
+             + GREATEST(word_similarity($1, s.name), word_similarity($1, s.address) * 0.25)
+           )::numeric, 4)::float as relevance
+    FROM stores s
+    CROSS JOIN search
+    LEFT JOIN categories c ON s.category_id = c.id
+    WHERE s.deleted_at IS NULL
+      AND (s.search_vector @@ search.query OR $1 <% s.name OR $1 <% s.address)
+    ORDER BY relevance DESC, s.rating_score DESC, s.id
+    LIMIT $2
+  `, [q, limit]);
+
+  return result.rows.map(({ name_highlight, address_highlight, ...store }) => ({
+    ...store,
+    highlights: { name: name_highlight, address: address_highlight }
+  }));
+};
+
+// Reviews whose comment matches q, best first, with a highlighted snippet of the comment.
+// Only counted reviews of listed stores are searched, and hidden comments are left out.
+const searchReviews = async (q, { limit = 10 } = {}) => {
+  const result = await pool.query(`
+    WITH search AS (
+      SELECT websearch_to_tsquery('english', $1) as query
+    )
+    SELECT r.id, r.store_id, s.name as store_name, r.rating, u.name as user_name, r.created_at,
+           ts_headline('english', ${htmlEscapeSql('r.comment')}, search.query, '${REVIEW_HEADLINE_OPTIONS}') as snippet,
+           ROUND(ts_rank_cd(r.search_vector, search.query)::numeric, 4)::float as relevance
+    FROM ratings r
+    CROSS JOIN search
+    JOIN stores s ON r.store_id = s.id
+    JOIN users u ON r.user_id = u.id
+    WHERE r.search_vector @@ search.query
+      AND ${COUNTED_RATING_CONDITION}
+      AND r.moderation_status <> '${MODERATION_STATUS.HIDDEN}'
+      AND s.deleted_at IS NULL
+    ORDER BY relevance DESC, r.helpful_count DESC, r.created_at DESC, r.id
+    LIMIT $2
+  `, [q, limit]);
+
+  return result.rows;
+};
+
+module.exports = {
+  SEARCH_TYPES,
+  searchStores,
+  searchReviews
+};
@@ -0,0 +1,71 @@
+const fs = require('fs');
+const path = require('path');
+
+// Keys are generated by the application; anything else is refused before touching the disk
+const SAFE_KEY_PATTERN = /^[a-z0-9][a-z0-9/_-]*\.[a-z0-9]+$/;
+
+const assertSafeKey = (key) => {
+  if (!SAFE_KEY_PATTERN.test(key) || key.includes('..')) {
+    throw new Error(`Invalid storage key: ${key}`);
+  }
+};
+
+const uploadDir = () => process.env.UPLOAD_DIR || path.join(__dirname, '..', 'uploads');
+
+// Built-in backends. Each backend provides:
+//   save(key, buffer, contentType) -> promise
+//   read(key)                      -> promise of a Buffer, or null when missing
+//   remove(key)                    -> promise (missing files are not an error)
+const backends = {
+  // Files under UPLOAD_DIR, one file per key
+  local: {
+    save: async (key, buffer) => {
+      assertSafeKey(key);
+      const filePath = path.join(uploadDir(), key);
+      await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+      await fs.promises.writeFile(filePath, buffer);
+    },
+
+    read: async (key) => {
+      assertSafeKey(key);
+      try {
+        return await fs.promises.readFile(path.join(uploadDir(), key));
+      } catch (error) {
+        if (error.code === 'ENOENT') {
+          return null;
+        }
+        throw error;
+      }
+    },
+
+    remove: async (key) => {
+      assertSafeKey(key);
+      await fs.promises.rm(path.join(uploadDir(), key), { force: true });
+    }
+  }
+};
+
+// Register a custom backend (e.g. an object store client) under a name
+const registerStorageBackend = (name, backend) => {
+  if (!backend || ['save', 'read', 'remove'].some(method => typeof backend[method] !== 'function')) {
+    throw new Error('Storage backends must provide save, read and remove functions');
+  }
+  backends[name] = backend;
+};
+
+// Backend selected by STORAGE_BACKEND
+const getStorage = () => {
+  const backendName = process.env.STORAGE_BACKEND || 'local';
+  const backend = backends[backendName];
+
+  if (!backend) {
+    throw new Error(`Unknown storage backend: ${backendName}`);
+  }
+
+  return backend;
+};
+
+module.exports = {
+  registerStorageBackend,
+  getStorage
+};
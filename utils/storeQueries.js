@@ -0,0 +1,219 @@
+const { pool } = require('../config/database');
+const { ROLES } = require('../config/roles');
+const { COUNTED_RATING_CONDITION } = require('./ratingQueries');
+
+// Lateral join exposing the stores owned by user "u" as "os":
+// store_count, stores (JSON array), store_rating (average over all their ratings),
+// plus store_id/store_name of the first store for clients that expect a single store.
+// Columns are NULL for users who are not store owners.
+const OWNER_STORES_JOIN = `
+  LEFT JOIN LATERAL (
+    SELECT COUNT(*)::int as store_count,
+           COALESCE(
+             json_agg(json_build_object(
+               'id', s.id,
+               'name', s.name,
+               'average_rating', s.average_rating,
+               'total_ratings', s.total_ratings
+             ) ORDER BY s.created_at, s.id),
+             '[]'::json
+           ) as stores,
+           (array_agg(s.id ORDER BY s.created_at, s.id))[1] as store_id,
+           (array_agg(s.name ORDER BY s.created_at, s.id))[1] as store_name,
+           CASE WHEN COUNT(*) > 0 THEN (
+             SELECT COALESCE(ROUND(AVG(r.rating), 1), 0)
+             FROM ratings r
+             JOIN stores rs ON r.store_id = rs.id
+             WHERE rs.owner_id = u.id AND ${COUNTED_RATING_CONDITION}
+           ) END as store_rating
+    FROM stores s
+    WHERE s.owner_id = u.id AND s.deleted_at IS NULL
+  ) os ON u.role = '${ROLES.STORE_OWNER}'
+`;
+
+// Tag names of store "s" as a JSON array
+const STORE_TAGS_SELECT = `
+  COALESCE((
+    SELECT json_agg(t.name ORDER BY t.name)
+    FROM store_tags st
+    JOIN tags t ON st.tag_id = t.id
+    WHERE st.store_id = s.id
+  ), '[]'::json)
+`;
+
+// Per-dimension averages of store "s" as a JSON array, in dimension order
+const STORE_DIMENSIONS_SELECT = `
+  COALESCE((
+    SELECT json_agg(json_build_object(
+      'key', d.key,
+      'name', d.name,
+      'average_score', sda.average_score,
+      'total_scores', sda.total_scores
+    ) ORDER BY d.position, d.id)
+    FROM store_dimension_averages sda
+    JOIN rating_dimensions d ON sda.dimension_id = d.id
+    WHERE sda.store_id = s.id AND d.active = true
+  ), '[]'::json)
+`;
+
+// Column of store "s" for a listing's sortBy value; "score" is the confidence-adjusted ranking score
+const storeSortColumn = (sortField) => (sortField === 'score' ? 's.rating_score' : `s.${sortField}`);
+
+// Mean Earth radius used for distances
+const EARTH_RADIUS_KM = 6371;
+
+// Great-circle (haversine) distance in km between store "s" and the given SQL parameters
+const storeDistanceSql = (latParam, lngParam) => `
+  (${EARTH_RADIUS_KM} * 2 * ASIN(LEAST(1, SQRT(
+    POWER(SIN(RADIANS(s.latitude - ${latParam}) / 2), 2) +
+    COS(RADIANS(${latParam})) * COS(RADIANS(s.latitude)) *
+    POWER(SIN(RADIANS(s.longitude - ${lngParam}) / 2), 2)
+  ))))
+`;
+
+// Split a "tag" query value (string or array, comma separated) into normalized tag names
+const parseTagFilter = (tag) => {
+  const values = Array.isArray(tag) ? tag : String(tag || '').split(',');
+  return [...new Set(values.map(value => String(value).trim().toLowerCase()).filter(Boolean))];
+};
+
+// Build " AND ..." conditions on stores "s" for the given filters.
+// Placeholders are numbered after paramOffset; filters named in exclude are skipped (used for facets).
+const buildStoreFilters = (filters, { paramOffset = 0, exclude = [] } = {}) => {
+  // Deleted stores are never listed
+  const conditions = ['s.deleted_at IS NULL'];
+  const params = [];
+
+  const addParam = (value) => {
+    params.push(value);
+    return `$${paramOffset + params.length}`;
+  };
+
+  if (filters.search) {
+    conditions.push(`s.${filters.searchField} ILIKE ${addParam(`%${filters.search}%`)}`);
+  }
+
+  if (filters.ownerId) {
+    conditions.push(`s.owner_id = ${addParam(filters.ownerId)}`);
+  }
+
+  // Category by id or slug
+  if (filters.category && !exclude.includes('category')) {
+    if (/^\d+$/.test(filters.category)) {
+      conditions.push(`s.category_id = ${addParam(parseInt(filters.category))}`);
+    } else {
+      conditions.push(`s.category_id IN (SELECT id FROM categories WHERE slug = ${addParam(String(filters.category).toLowerCase())})`);
+    }
+  }
+
+  // Stores must carry every requested tag
+  if (filters.tags && filters.tags.length > 0 && !exclude.includes('tag')) {
+    conditions.push(`s.id IN (
+      SELECT st.store_id
+      FROM store_tags st
+      JOIN tags t ON st.tag_id = t.id
+      WHERE t.name = ANY(${addParam(filters.tags)}::varchar[])
+      GROUP BY st.store_id
+      HAVING COUNT(DISTINCT t.id) = ${addParam(filters.tags.length)}
+    )`);
+  }
+
+  // Stores within radius km of a point. The latitude band lets the coordinates index narrow the scan.
+  if (filters.near) {
+    const { latitude, longitude, radius } = filters.near;
+    const latitudeDelta = radius / (Math.PI * EARTH_RADIUS_KM / 180);
+    const latParam = addParam(latitude);
+    const lngParam = addParam(longitude);
+
+    conditions.push(`s.latitude BETWEEN ${addParam(latitude - latitudeDelta)} AND ${addParam(latitude + latitudeDelta)}`);
+    conditions.push(`s.longitude IS NOT NULL`);
+    conditions.push(`${storeDistanceSql(latParam, lngParam).trim()} <= ${addParam(radius)}`);
+  }
+
+  if (filters.minRating) {
+    conditions.push(`s.average_rating >= ${addParam(parseFloat(filters.minRating))}`);
+  }
+
+  if (filters.maxRating) {
+    conditions.push(`s.average_rating <= ${addParam(parseFloat(filters.maxRating))}`);
+  }
+
+  if (filters.dateFrom) {
+    conditions.push(`s.created_at >= ${addParam(filters.dateFrom)}`);
+  }
+
+  if (filters.dateTo) {
+    conditions.push(`s.created_at <= ${addParam(filters.dateTo + ' 23:59:59')}`);
+  }
+
+  return {
+    where: conditions.map(condition => ` AND ${condition}`).join(''),
+    params
+  };
+};
+
+// Category and tag counts for a store listing. Each facet ignores its own filter
+// so the client can offer the other values of the same facet.
+const getStoreFacets = async (filters) => {
+  const categoryFilters = buildStoreFilters(filters, { exclude: ['category'] });
+  const categoriesResult = await pool.query(`
+    SELECT c.id, c.name, c.slug, COUNT(s.id)::int as count
+    FROM categories c
+    LEFT JOIN stores s ON s.category_id = c.id${categoryFilters.where}
+    GROUP BY c.id
+    ORDER BY c.name
+  `, categoryFilters.params);
+
+  const tagFilters = buildStoreFilters(filters, { exclude: ['tag'] });
+  const tagsResult = await pool.query(`
+    SELECT t.name, COUNT(s.id)::int as count
+    FROM tags t
+    JOIN store_tags st ON st.tag_id = t.id
+    JOIN stores s ON s.id = st.store_id
+    WHERE 1=1${tagFilters.where}
+    GROUP BY t.name
+    ORDER BY count DESC, t.name
+    LIMIT 50
+  `, tagFilters.params);
+
+  return {
+    categories: categoriesResult.rows,
+    tags: tagsResult.rows
+  };
+};
+
+// Replace the tags of a store, creating unknown tags on the fly
+const setStoreTags = async (storeId, tags, db = pool) => {
+  const names = parseTagFilter(tags);
+
+  await db.query('DELETE FROM store_tags WHERE store_id = $1', [storeId]);
+
+  if (names.length === 0) {
+    return [];
+  }
+
+  await db.query(
+    'INSERT INTO tags (name) SELECT unnest($1::varchar[]) ON CONFLICT (name) DO NOTHING',
+    [names]
+  );
+
+  await db.query(
+    `INSERT INTO store_tags (store_id, tag_id)
+     SELECT $1, id FROM tags WHERE name = ANY($2::varchar[])`,
+    [storeId, names]
+  );
+
+  return names.sort();
+};
+
+module.exports = {
+  OWNER_STORES_JOIN,
+  STORE_TAGS_SELECT,
+  STORE_DIMENSIONS_SELECT,
+  storeDistanceSql,
+  storeSortColumn,
+  parseTagFilter,
+  buildStoreFilters,
+  getStoreFacets,
+  setStoreTags
+};
@@ -0,0 +1,51 @@
+const { pool } = require('../config/database');
+const { scheduleEvery } = require('./scheduler');
+
+// Hours between scheduled score refreshes; 0 turns the schedule off
+const scoreRefreshIntervalHours = () => {
+  const hours = parseInt(process.env.SCORE_REFRESH_INTERVAL_HOURS);
+  return Number.isNaN(hours) ? 24 : hours;
+};
+
+// Current ranking settings: { priorMean, priorWeight, halfLifeDays, priorRefreshedAt, updatedAt }
+const getRankingSettings = async (db = pool) => {
+  const result = await db.query(`
+    SELECT prior_mean, prior_weight, half_life_days, prior_refreshed_at, updated_at
+    FROM store_ranking_settings
+  `);
+  const settings = result.rows[0];
+
+  return {
+    priorMean: parseFloat(settings.prior_mean),
+    priorWeight: parseFloat(settings.prior_weight),
+    halfLifeDays: settings.half_life_days,
+    priorRefreshedAt: settings.prior_refreshed_at,
+    updatedAt: settings.updated_at
+  };
+};
+
+// Recompute the platform prior and the score of every store. Returns the number of stores updated.
+const refreshStoreScores = async (db = pool) => {
+  const result = await db.query('SELECT refresh_store_scores() as updated');
+  return result.rows[0].updated;
+};
+
+// Refresh scores at startup and then periodically in this process, so recency decay and the
+// prior stay current
+const scheduleScoreRefresh = () => {
+  const refresh = () => {
+    refreshStoreScores().catch((error) => console.error('Refresh store scores error:', error));
+  };
+
+  const schedule = scheduleEvery(scoreRefreshIntervalHours(), refresh);
+  if (schedule) {
+    refresh();
+  }
+  return schedule;
+};
+
+module.exports = {
+  getRankingSettings,
+  refreshStoreScores,
+  scheduleScoreRefresh
+};
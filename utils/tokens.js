@@ -0,0 +1,184 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { pool } = require('../config/database');
+const { sendMail } = require('./mailer');
+
+const REFRESH_TOKEN_EXPIRE_DAYS = parseInt(process.env.REFRESH_TOKEN_EXPIRE_DAYS) || 30;
+
+// Hash opaque tokens before they are stored or looked up
+const hashToken = (token) => {
+  return crypto.createHash('sha256').update(token).digest('hex');
+};
+
+// Generate a random opaque token (refresh, reset and similar one-time tokens)
+const generateOpaqueToken = () => {
+  return crypto.randomBytes(48).toString('hex');
+};
+
+// Generate short-lived JWT access token
+const generateAccessToken = (userId) => {
+  return jwt.sign({ userId }, process.env.JWT_SECRET, {
+    expiresIn: process.env.JWT_EXPIRE || '15m'
+  });
+};
+
+// Generate signed email verification token bound to the current address
+const generateEmailVerificationToken = (userId, email) => {
+  return jwt.sign({ userId, email, purpose: 'email_verification' }, process.env.JWT_SECRET, {
+    expiresIn: process.env.EMAIL_VERIFICATION_EXPIRE || '24h'
+  });
+};
+
+// Send the signed email verification link to the user's current address
+const sendVerificationEmail = async (user) => {
+  const token = generateEmailVerificationToken(user.id, user.email);
+  const verifyUrl = `${process.env.CLIENT_URL || 'http://localhost:3000'}/verify-email?token=${token}`;
+
+  await sendMail({
+    to: user.email,
+    subject: 'Verify your email address',
+    text: `Hello ${user.name},\n\n` +
+      'Please confirm your email address by opening the link below.\n\n' +
+      `${verifyUrl}\n\n` +
+      'If you did not expect this email, you can ignore it.'
+  });
+};
+
+// Verify an email verification token, returning its payload or null
+const verifyEmailVerificationToken = (token) => {
+  try {
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    return decoded.purpose === 'email_verification' ? decoded : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+// Create a refresh token and store its hash server-side
+const createRefreshToken = async (userId, req, db = pool) => {
+  const token = generateOpaqueToken();
+
+  const result = await db.query(
+    `INSERT INTO refresh_tokens (user_id, token_hash, user_agent, ip_address, expires_at)
+     VALUES ($1, $2, $3, $4, CURRENT_TIMESTAMP + make_interval(days => $5))
+     RETURNING id`,
+    [
+      userId,
+      hashToken(token),
+      (req.get('user-agent') || '').substring(0, 255) || null,
+      req.ip || null,
+      REFRESH_TOKEN_EXPIRE_DAYS
+    ]
+  );
+
+  return { id: result.rows[0].id, token };
+};
+
+// Issue an access/refresh token pair for a user
+const issueTokens = async (userId, req) => {
+  const refreshToken = await createRefreshToken(userId, req);
+
+  return {
+    token: generateAccessToken(userId),
+    refreshToken: refreshToken.token
+  };
+};
+
+// Exchange a refresh token for a new pair, revoking the old one.
+// Presenting an already revoked token is treated as theft and ends every session of that user.
+const rotateRefreshToken = async (token, req) => {
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    const result = await client.query(
+      `SELECT id, user_id, revoked_at, expires_at < CURRENT_TIMESTAMP as expired
+       FROM refresh_tokens
+       WHERE token_hash = $1
+       FOR UPDATE`,
+      [hashToken(token)]
+    );
+
+    if (result.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return null;
+    }
+
+    const stored = result.rows[0];
+
+    if (stored.revoked_at) {
+      await client.query('ROLLBACK');
+      await revokeUserSessions(stored.user_id);
+      return null;
+    }
+
+    if (stored.expired) {
+      await client.query('ROLLBACK');
+      return null;
+    }
+
+    const replacement = await createRefreshToken(stored.user_id, req, client);
+
+    await client.query(
+      `UPDATE refresh_tokens
+       SET revoked_at = CURRENT_TIMESTAMP, replaced_by = $1
+       WHERE id = $2`,
+      [replacement.id, stored.id]
+    );
+
+    await client.query('COMMIT');
+
+    return {
+      userId: stored.user_id,
+      token: generateAccessToken(stored.user_id),
+      refreshToken: replacement.token
+    };
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+};
+
+// Revoke a single refresh token. Returns the id of its user, or null when it was not active.
+const revokeRefreshToken = async (token, db = pool) => {
+  const result = await db.query(
+    `UPDATE refresh_tokens
+     SET revoked_at = CURRENT_TIMESTAMP
+     WHERE token_hash = $1 AND revoked_at IS NULL
+     RETURNING user_id`,
+    [hashToken(token)]
+  );
+
+  return result.rows.length > 0 ? result.rows[0].user_id : null;
+};
+
+// Revoke every refresh token of a user and invalidate access tokens issued so far
+const revokeUserSessions = async (userId, db = pool) => {
+  await db.query(
+    `UPDATE refresh_tokens
+     SET revoked_at = CURRENT_TIMESTAMP
+     WHERE user_id = $1 AND revoked_at IS NULL`,
+    [userId]
+  );
+
+  await db.query(
+    'UPDATE users SET tokens_valid_after = CURRENT_TIMESTAMP WHERE id = $1',
+    [userId]
+  );
+};
+
+module.exports = {
+  hashToken,
+  generateOpaqueToken,
+  generateAccessToken,
+  generateEmailVerificationToken,
+  verifyEmailVerificationToken,
+  sendVerificationEmail,
+  issueTokens,
+  rotateRefreshToken,
+  revokeRefreshToken,
+  revokeUserSessions
+};
@@ -0,0 +1,116 @@
+const crypto = require('crypto');
+
+// Time-based one-time passwords (RFC 6238) with the defaults authenticator apps expect
+const DIGITS = 6;
+const PERIOD_SECONDS = 30;
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+// Encode a buffer as RFC 4648 base32 without padding
+const base32Encode = (buffer) => {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+
+  return output;
+};
+
+// Decode an RFC 4648 base32 string (padding and spaces are ignored)
+const base32Decode = (input) => {
+  const cleaned = input.toUpperCase().replace(/[\s=]/g, '');
+  const bytes = [];
+  let bits = 0;
+  let value = 0;
+
+  for (const char of cleaned) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) {
+      throw new Error('Invalid base32 character');
+    }
+
+    value = (value << 5) | index;
+    bits += 5;
+
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+
+  return Buffer.from(bytes);
+};
+
+// Generate a new random secret, base32 encoded
+const generateSecret = () => {
+  return base32Encode(crypto.randomBytes(20));
+};
+
+// Current time step
+const currentStep = () => {
+  return Math.floor(Date.now() / 1000 / PERIOD_SECONDS);
+};
+
+// HOTP value (RFC 4226) for a secret and counter
+const generateCode = (secret, step = currentStep()) => {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(step));
+
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest();
+  const offset = hmac[hmac.length - 1] & 0xf;
+  const binary = ((hmac[offset] & 0x7f) << 24) |
+    (hmac[offset + 1] << 16) |
+    (hmac[offset + 2] << 8) |
+    hmac[offset + 3];
+
+  return String(binary % Math.pow(10, DIGITS)).padStart(DIGITS, '0');
+};
+
+// Verify a code, allowing one step of clock drift either way.
+// Returns the matching time step, or null if the code is invalid.
+const verifyCode = (secret, code, window = 1) => {
+  const step = currentStep();
+  const expected = Buffer.from(String(code));
+
+  for (let offset = -window; offset <= window; offset++) {
+    const candidate = Buffer.from(generateCode(secret, step + offset));
+    if (candidate.length === expected.length && crypto.timingSafeEqual(candidate, expected)) {
+      return step + offset;
+    }
+  }
+
+  return null;
+};
+
+// Build the otpauth:// provisioning URI rendered as a QR code by the client
+const buildOtpAuthUrl = (secret, accountName, issuer = process.env.TOTP_ISSUER || 'Store Rating Platform') => {
+  const label = encodeURIComponent(`${issuer}:${accountName}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: 'SHA1',
+    digits: String(DIGITS),
+    period: String(PERIOD_SECONDS)
+  });
+
+  return `otpauth://totp/${label}?${params.toString()}`;
+};
+
+module.exports = {
+  generateSecret,
+  generateCode,
+  verifyCode,
+  buildOtpAuthUrl
+};
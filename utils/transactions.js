@@ -0,0 +1,20 @@
+// Roll back the transaction on a pooled client, if one was acquired. A failed rollback (e.g. on a
+// dead connection) is logged instead of thrown so it does not hide the error that caused it.
+// Returns false when the rollback failed, so the caller can discard the connection.
+const rollback = async (client) => {
+  if (!client) {
+    return true;
+  }
+
+  try {
+    await client.query('ROLLBACK');
+    return true;
+  } catch (error) {
+    console.error('Rollback error:', error);
+    return false;
+  }
+};
+
+module.exports = {
+  rollback
+};
@@ -0,0 +1,103 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { pool } = require('../config/database');
+const { hashToken } = require('./tokens');
+const { verifyCode } = require('./totp');
+
+const RECOVERY_CODE_COUNT = 10;
+
+// Recovery codes are compared case-insensitively and without separators
+const normalizeRecoveryCode = (code) => {
+  return String(code).toLowerCase().replace(/[^a-z0-9]/g, '');
+};
+
+// Replace a user's recovery codes and return the new plain codes (shown only once)
+const generateRecoveryCodes = async (userId, db = pool) => {
+  const codes = [];
+  for (let i = 0; i < RECOVERY_CODE_COUNT; i++) {
+    const code = crypto.randomBytes(5).toString('hex');
+    codes.push(`${code.substring(0, 5)}-${code.substring(5)}`);
+  }
+
+  await db.query('DELETE FROM totp_recovery_codes WHERE user_id = $1', [userId]);
+
+  for (const code of codes) {
+    await db.query(
+      'INSERT INTO totp_recovery_codes (user_id, code_hash) VALUES ($1, $2)',
+      [userId, hashToken(normalizeRecoveryCode(code))]
+    );
+  }
+
+  return codes;
+};
+
+// Check a TOTP code against the user's secret. Each time step is accepted only once.
+const verifyTotpForUser = async (userId, secret, code) => {
+  const step = verifyCode(secret, code);
+  if (step === null) {
+    return false;
+  }
+
+  const result = await pool.query(
+    `UPDATE users SET totp_last_used_step = $1
+     WHERE id = $2 AND (totp_last_used_step IS NULL OR totp_last_used_step < $1)
+     RETURNING id`,
+    [step, userId]
+  );
+
+  return result.rows.length > 0;
+};
+
+// Consume a recovery code
+const useRecoveryCode = async (userId, recoveryCode) => {
+  const result = await pool.query(
+    `UPDATE totp_recovery_codes SET used_at = CURRENT_TIMESTAMP
+     WHERE user_id = $1 AND code_hash = $2 AND used_at IS NULL
+     RETURNING id`,
+    [userId, hashToken(normalizeRecoveryCode(recoveryCode))]
+  );
+
+  return result.rows.length > 0;
+};
+
+// Verify the second factor of an enrolled user with either a TOTP code or a recovery code
+const verifySecondFactor = async (user, { code, recoveryCode }) => {
+  if (!user.totp_secret) {
+    return false;
+  }
+
+  if (code) {
+    return verifyTotpForUser(user.id, user.totp_secret, code);
+  }
+
+  if (recoveryCode) {
+    return useRecoveryCode(user.id, recoveryCode);
+  }
+
+  return false;
+};
+
+// Short-lived token proving the password step of a two-step login succeeded
+const generateChallengeToken = (userId) => {
+  return jwt.sign({ userId, purpose: '2fa_challenge' }, process.env.JWT_SECRET, {
+    expiresIn: process.env.TWO_FACTOR_CHALLENGE_EXPIRE || '5m'
+  });
+};
+
+// Verify a challenge token, returning its payload or null
+const verifyChallengeToken = (token) => {
+  try {
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    return decoded.purpose === '2fa_challenge' ? decoded : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+module.exports = {
+  generateRecoveryCodes,
+  verifyTotpForUser,
+  verifySecondFactor,
+  generateChallengeToken,
+  verifyChallengeToken
+};
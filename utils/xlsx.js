@@ -0,0 +1,266 @@
+// Streaming XLSX writer: a single worksheet inside a ZIP archive written entry by entry.
+// Entries use data descriptors, so nothing has to be buffered to know sizes and checksums
+// up front. There is no ZIP64 support, so an export must stay below 4 GB.
+const zlib = require('zlib');
+
+// CRC-32 (IEEE 802.3) as used by ZIP
+const CRC_TABLE = new Int32Array(256).map((_, index) => {
+  let crc = index;
+  for (let bit = 0; bit < 8; bit++) {
+    crc = crc & 1 ? 0xedb88320 ^ (crc >>> 1) : crc >>> 1;
+  }
+  return crc;
+});
+
+const crc32 = (buffer, previous = 0) => {
+  let crc = ~previous;
+  for (let i = 0; i < buffer.length; i++) {
+    crc = CRC_TABLE[(crc ^ buffer[i]) & 0xff] ^ (crc >>> 8);
+  }
+  return ~crc >>> 0;
+};
+
+// DOS date and time of an archive entry
+const dosDateTime = (date) => ({
+  time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+  date: ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+});
+
+// Bit 3: sizes and CRC follow the data; bit 11: UTF-8 names
+const ZIP_FLAGS = 0x0808;
+const DEFLATE = 8;
+
+// ZIP archive written through write(chunk) -> promise
+const createZipWriter = (write) => {
+  const entries = [];
+  const modified = dosDateTime(new Date());
+  let offset = 0;
+
+  const output = async (chunk) => {
+    offset += chunk.length;
+    await write(chunk);
+  };
+
+  // Start an entry; returns { write(data), end() } for its uncompressed content
+  const addEntry = async (name) => {
+    const nameBuffer = Buffer.from(name, 'utf8');
+    const entry = { nameBuffer, offset, crc: 0, size: 0, compressedSize: 0 };
+
+    const header = Buffer.alloc(30);
+    header.writeUInt32LE(0x04034b50, 0);
+    header.writeUInt16LE(20, 4);
+    header.writeUInt16LE(ZIP_FLAGS, 6);
+    header.writeUInt16LE(DEFLATE, 8);
+    header.writeUInt16LE(modified.time, 10);
+    header.writeUInt16LE(modified.date, 12);
+    header.writeUInt16LE(nameBuffer.length, 26);
+    await output(Buffer.concat([header, nameBuffer]));
+
+    // Compressed output is collected per write and passed on before the next one
+    const deflate = zlib.createDeflateRaw();
+    let compressed = [];
+    deflate.on('data', (chunk) => compressed.push(chunk));
+
+    const flushCompressed = async () => {
+      const chunk = Buffer.concat(compressed);
+      compressed = [];
+      entry.compressedSize += chunk.length;
+      if (chunk.length > 0) {
+        await output(chunk);
+      }
+    };
+
+    return {
+      write: async (data) => {
+        const buffer = Buffer.from(data, 'utf8');
+        entry.crc = crc32(buffer, entry.crc);
+        entry.size += buffer.length;
+        await new Promise((resolve, reject) => {
+          deflate.write(buffer, (error) => (error ? reject(error) : resolve()));
+        });
+        await flushCompressed();
+      },
+
+      end: async () => {
+        await new Promise((resolve, reject) => {
+          deflate.once('end', resolve);
+          deflate.once('error', reject);
+          deflate.end();
+        });
+        await flushCompressed();
+
+        const descriptor = Buffer.alloc(16);
+        descriptor.writeUInt32LE(0x08074b50, 0);
+        descriptor.writeUInt32LE(entry.crc, 4);
+        descriptor.writeUInt32LE(entry.compressedSize, 8);
+        descriptor.writeUInt32LE(entry.size, 12);
+        await output(descriptor);
+
+        entries.push(entry);
+      }
+    };
+  };
+
+  const addFile = async (name, content) => {
+    const entry = await addEntry(name);
+    await entry.write(content);
+    await entry.end();
+  };
+
+  // Central directory and end record
+  const finish = async () => {
+    const directoryOffset = offset;
+    const records = entries.map((entry) => {
+      const record = Buffer.alloc(46);
+      record.writeUInt32LE(0x02014b50, 0);
+      record.writeUInt16LE(20, 4);
+      record.writeUInt16LE(20, 6);
+      record.writeUInt16LE(ZIP_FLAGS, 8);
+      record.writeUInt16LE(DEFLATE, 10);
+      record.writeUInt16LE(modified.time, 12);
+      record.writeUInt16LE(modified.date, 14);
+      record.writeUInt32LE(entry.crc, 16);
+      record.writeUInt32LE(entry.compressedSize, 20);
+      record.writeUInt32LE(entry.size, 24);
+      record.writeUInt16LE(entry.nameBuffer.length, 28);
+      record.writeUInt32LE(entry.offset, 42);
+      return Buffer.concat([record, entry.nameBuffer]);
+    });
+    const directory = Buffer.concat(records);
+
+    const end = Buffer.alloc(22);
+    end.writeUInt32LE(0x06054b50, 0);
+    end.writeUInt16LE(entries.length, 8);
+    end.writeUInt16LE(entries.length, 10);
+    end.writeUInt32LE(directory.length, 12);
+    end.writeUInt32LE(directoryOffset, 16);
+
+    await output(Buffer.concat([directory, end]));
+  };
+
+  return { addEntry, addFile, finish };
+};
+
+const XML_HEADER = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n';
+const MAIN_NS = 'http://schemas.openxmlformats.org/spreadsheetml/2006/main';
+const REL_NS = 'http://schemas.openxmlformats.org/officeDocument/2006/relationships';
+const PACKAGE_REL_NS = 'http://schemas.openxmlformats.org/package/2006/relationships';
+
+// Escape text for XML, dropping control characters XML cannot represent
+const escapeXml = (text) => text
+  .replace(/[\x00-\x08\x0b\x0c\x0e-\x1f]/g, '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+// Fixed parts of a one-sheet workbook; style 1 is the bold header
+const STATIC_PARTS = {
+  '[Content_Types].xml': XML_HEADER +
+    '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">' +
+    '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>' +
+    '<Default Extension="xml" ContentType="application/xml"/>' +
+    '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>' +
+    '<Override PartName="/xl/worksheets/sheet1.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>' +
+    '<Override PartName="/xl/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml"/>' +
+    '</Types>',
+  '_rels/.rels': XML_HEADER +
+    `<Relationships xmlns="${PACKAGE_REL_NS}">` +
+    `<Relationship Id="rId1" Type="${REL_NS}/officeDocument" Target="xl/workbook.xml"/>` +
+    '</Relationships>',
+  'xl/_rels/workbook.xml.rels': XML_HEADER +
+    `<Relationships xmlns="${PACKAGE_REL_NS}">` +
+    `<Relationship Id="rId1" Type="${REL_NS}/worksheet" Target="worksheets/sheet1.xml"/>` +
+    `<Relationship Id="rId2" Type="${REL_NS}/styles" Target="styles.xml"/>` +
+    '</Relationships>',
+  'xl/styles.xml': XML_HEADER +
+    `<styleSheet xmlns="${MAIN_NS}">` +
+    '<fonts count="2"><font><sz val="11"/><name val="Calibri"/></font><font><b/><sz val="11"/><name val="Calibri"/></font></fonts>' +
+    '<fills count="2"><fill><patternFill patternType="none"/></fill><fill><patternFill patternType="gray125"/></fill></fills>' +
+    '<borders count="1"><border><left/><right/><top/><bottom/><diagonal/></border></borders>' +
+    '<cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs>' +
+    '<cellXfs count="2"><xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0"/>' +
+    '<xf numFmtId="0" fontId="1" fillId="0" borderId="0" xfId="0" applyFont="1"/></cellXfs>' +
+    '</styleSheet>'
+};
+
+const workbookXml = (sheetName) => XML_HEADER +
+  `<workbook xmlns="${MAIN_NS}" xmlns:r="${REL_NS}">` +
+  `<sheets><sheet name="${escapeXml(sheetName)}" sheetId="1" r:id="rId1"/></sheets>` +
+  '</workbook>';
+
+// Column letters for a zero-based index (0 -> A, 26 -> AA)
+const columnLetters = (index) => {
+  let letters = '';
+  for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+    letters = String.fromCharCode(65 + ((n - 1) % 26)) + letters;
+  }
+  return letters;
+};
+
+// Numbers become numeric cells, everything else inline text (never a formula)
+const cellXml = (value, ref, style = '') => {
+  if (value === null || value === undefined) {
+    return '';
+  }
+  if (typeof value === 'number' && Number.isFinite(value)) {
+    return `<c r="${ref}"${style}><v>${value}</v></c>`;
+  }
+
+  let text;
+  if (value instanceof Date) {
+    text = value.toISOString();
+  } else if (typeof value === 'object') {
+    text = JSON.stringify(value);
+  } else {
+    text = String(value);
+  }
+
+  return `<c r="${ref}" t="inlineStr"${style}><is><t xml:space="preserve">${escapeXml(text)}</t></is></c>`;
+};
+
+const rowXml = (values, rowNumber, style) => `<row r="${rowNumber}">` +
+  values.map((value, index) => cellXml(value, `${columnLetters(index)}${rowNumber}`, style)).join('') +
+  '</row>';
+
+// Workbook writer with the same shape as the other export formats:
+// begin() writes the header row, rows(list) appends rows, end() closes the archive
+const createXlsxWriter = (write, headers, sheetName = 'Export') => {
+  const zip = createZipWriter(write);
+  let sheet;
+  let rowNumber = 1;
+
+  return {
+    begin: async () => {
+      for (const [name, content] of Object.entries(STATIC_PARTS)) {
+        await zip.addFile(name, content);
+      }
+      await zip.addFile('xl/workbook.xml', workbookXml(sheetName));
+
+      sheet = await zip.addEntry('xl/worksheets/sheet1.xml');
+      await sheet.write(
+        XML_HEADER +
+        `<worksheet xmlns="${MAIN_NS}">` +
+        '<sheetViews><sheetView workbookViewId="0">' +
+        '<pane ySplit="1" topLeftCell="A2" activePane="bottomLeft" state="frozen"/>' +
+        '</sheetView></sheetViews>' +
+        '<sheetData>' +
+        rowXml(headers, rowNumber, ' s="1"')
+      );
+    },
+
+    rows: async (list) => {
+      await sheet.write(list.map(values => rowXml(values, ++rowNumber, '')).join(''));
+    },
+
+    end: async () => {
+      await sheet.write('</sheetData></worksheet>');
+      await sheet.end();
+      await zip.finish();
+    }
+  };
+};
+
+module.exports = {
+  createXlsxWriter
+};